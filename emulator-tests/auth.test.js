@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import { signInAnonymously, applyActionCode } from 'firebase/auth';
+import { collection, doc, getDocs, setDoc } from 'firebase/firestore';
+import { auth } from '../src/firebase';
+import { teamBuildsPath, teamMembersPath, legacyBuildsPath } from '../src/config';
+import { signUpWithEmail, signInWithEmail, signOutUser, hasPendingLegacyBuilds, claimLegacyBuilds } from '../src/auth';
+import { memberKeyFor } from '../src/team';
+import { PROJECT_ID, createTestEnvironment } from './setup';
+
+// These go through the app's own auth and db instances, which firebase.js points
+// at the emulators when VITE_FIREBASE_EMULATORS is set.
+
+const AUTH_EMULATOR = `http://127.0.0.1:9099/emulator/v1/projects/${PROJECT_ID}`;
+
+let testEnv;
+
+beforeAll(async () => {
+    testEnv = await createTestEnvironment();
+});
+
+beforeEach(async () => {
+    await signOutUser();
+    await fetch(`${AUTH_EMULATOR}/accounts`, { method: 'DELETE' });
+    await testEnv.clearFirestore();
+});
+
+afterAll(async () => {
+    await signOutUser();
+    await testEnv.cleanup();
+});
+
+// Follows the link from the verification email the emulator "sent".
+const verifyEmail = async (email) => {
+    const { oobCodes } = await (await fetch(`${AUTH_EMULATOR}/oobCodes`)).json();
+    const { oobCode } = oobCodes.find(code => code.email === email && code.requestType === 'VERIFY_EMAIL');
+    await applyActionCode(auth, oobCode);
+    await auth.currentUser.reload();
+    // Refresh the token so Firestore sees email_verified.
+    await auth.currentUser.getIdToken(true);
+};
+
+const seed = (write) => testEnv.withSecurityRulesDisabled((context) => write(context.firestore()));
+
+describe('email sign-up', () => {
+    it('only identifies a crew member once their email is verified', async () => {
+        const { user } = await signUpWithEmail('New.Member@Sidewinder.test', 'correct horse');
+        expect(memberKeyFor(user)).toBeNull();
+
+        await verifyEmail('new.member@sidewinder.test');
+        expect(memberKeyFor(auth.currentUser)).toBe('new.member@sidewinder.test');
+    });
+
+    it('signs back in with the same password', async () => {
+        await signUpWithEmail('driver@sidewinder.test', 'correct horse');
+        await signOutUser();
+
+        const { user } = await signInWithEmail('driver@sidewinder.test', 'correct horse');
+        expect(user.email).toBe('driver@sidewinder.test');
+        await expect(signInWithEmail('driver@sidewinder.test', 'wrong')).rejects.toThrow();
+    });
+});
+
+describe('legacy build migration', () => {
+    it('copies the anonymous device builds into the team once', async () => {
+        const { user: anonymous } = await signInAnonymously(auth);
+        await seed(async (db) => {
+            await setDoc(doc(db, legacyBuildsPath(anonymous.uid), 'old'), { name: 'Current Build', isDefault: true, components: [{ id: 'motor', name: 'Drive motor', quantity: '2', price: '850' }] });
+            await setDoc(doc(db, teamMembersPath, 'captain@sidewinder.test'), { role: 'editor' });
+        });
+
+        await signUpWithEmail('captain@sidewinder.test', 'correct horse');
+        await verifyEmail('captain@sidewinder.test');
+        expect(hasPendingLegacyBuilds()).toBe(true);
+
+        expect(await claimLegacyBuilds()).toBe(1);
+        expect(await claimLegacyBuilds()).toBe(0);
+
+        let builds = [];
+        await seed(async (db) => {
+            builds = (await getDocs(collection(db, teamBuildsPath))).docs;
+        });
+        expect(builds.map(b => b.id)).toEqual([`legacy-${anonymous.uid}-old`]);
+        expect(builds[0].data()).toMatchObject({ name: 'Current Build (claimed)', isDefault: false, claimedFrom: anonymous.uid });
+    });
+});
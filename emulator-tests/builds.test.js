@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import { collection, getDocs } from 'firebase/firestore';
+import { teamBuildsPath } from '../src/config';
+import { createFirestoreRepository } from '../src/firestoreRepository';
+import { DEFAULT_BUILD_ID } from '../src/bom';
+import { addComponent, updateComponent, EditConflictError } from '../src/componentWrites';
+import { saveScenario } from '../src/calculator';
+import { CREW, createTestEnvironment, seedCrew, crewFirestore, crewUser, waitFor } from './setup';
+
+let testEnv;
+
+beforeAll(async () => {
+    testEnv = await createTestEnvironment();
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedCrew(testEnv);
+});
+
+afterAll(() => testEnv.cleanup());
+
+const storedBuilds = async () => {
+    let builds = [];
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const querySnapshot = await getDocs(collection(context.firestore(), teamBuildsPath));
+        builds = querySnapshot.docs.map(buildDoc => ({ id: buildDoc.id, ...buildDoc.data() }));
+    });
+    return builds;
+};
+
+const buildsOf = (repository, options) => waitFor(
+    (onChange, onError) => repository.subscribeBuilds(onChange, onError, options),
+    (builds) => builds.length > 0,
+);
+
+describe('default build bootstrap', () => {
+    it('creates "Current Build" when an editor opens an empty workspace', async () => {
+        const repository = createFirestoreRepository({ db: crewFirestore(testEnv, CREW.editor) });
+        const builds = await buildsOf(repository, { createDefault: true });
+
+        expect(builds).toHaveLength(1);
+        expect(builds[0]).toMatchObject({ id: DEFAULT_BUILD_ID, name: 'Current Build', isDefault: true, components: [] });
+    });
+
+    it('creates a single default build when several tabs open an empty workspace at once', async () => {
+        // Separate Firestore instances behave like separate browser tabs.
+        const tabs = [CREW.owner, CREW.editor, CREW.otherEditor].map(member => createFirestoreRepository({ db: crewFirestore(testEnv, member) }));
+        await Promise.all(tabs.map(tab => buildsOf(tab, { createDefault: true })));
+
+        const builds = await storedBuilds();
+        expect(builds.map(b => b.id)).toEqual([DEFAULT_BUILD_ID]);
+    });
+});
+
+describe('concurrent component edits', () => {
+    const motor = { id: 'motor', name: 'Drive motor', quantity: '2', price: '850' };
+    const battery = { id: 'battery', name: '3S LiPo', quantity: '1', price: '1200' };
+
+    const seedBuild = async () => {
+        const repository = createFirestoreRepository({ db: crewFirestore(testEnv, CREW.owner) });
+        return repository.createBuild({ name: 'RoboWarz 2025', components: [motor, battery] });
+    };
+
+    it('keeps both edits when two people change different rows at the same time', async () => {
+        const buildId = await seedBuild();
+        const alice = createFirestoreRepository({ db: crewFirestore(testEnv, CREW.editor) });
+        const bob = createFirestoreRepository({ db: crewFirestore(testEnv, CREW.otherEditor) });
+
+        await Promise.all([
+            alice.applyComponentChange(buildId, crewUser(CREW.editor), updateComponent({ ...motor, price: '900' }, motor)),
+            bob.applyComponentChange(buildId, crewUser(CREW.otherEditor), updateComponent({ ...battery, quantity: '3' }, battery)),
+        ]);
+
+        const [build] = await storedBuilds();
+        expect(build.components).toEqual([{ ...motor, price: '900' }, { ...battery, quantity: '3' }]);
+    });
+
+    it('keeps a row added after another editor loaded the build', async () => {
+        const buildId = await seedBuild();
+        const alice = createFirestoreRepository({ db: crewFirestore(testEnv, CREW.editor) });
+        const bob = createFirestoreRepository({ db: crewFirestore(testEnv, CREW.otherEditor) });
+        const spare = { id: 'spare', name: 'Spare blade', quantity: '1', price: '400' };
+
+        // Alice's copy of the build predates Bob's save, the way an open page's would.
+        const aliceView = await waitFor((onChange, onError) => alice.subscribeBuild(buildId, onChange, onError), (build) => build !== null);
+        await bob.applyComponentChange(buildId, crewUser(CREW.otherEditor), addComponent(spare));
+        const aliceMotor = aliceView.components.find(c => c.id === 'motor');
+        await alice.applyComponentChange(buildId, crewUser(CREW.editor), updateComponent({ ...aliceMotor, price: '900' }, aliceMotor));
+
+        const [build] = await storedBuilds();
+        expect(build.components).toEqual([{ ...motor, price: '900' }, battery, spare]);
+    });
+
+    it('rejects a save based on a row someone else has changed since', async () => {
+        const buildId = await seedBuild();
+        const alice = createFirestoreRepository({ db: crewFirestore(testEnv, CREW.editor) });
+        const bob = createFirestoreRepository({ db: crewFirestore(testEnv, CREW.otherEditor) });
+
+        await alice.applyComponentChange(buildId, crewUser(CREW.editor), updateComponent({ ...motor, price: '900' }, motor));
+        await expect(bob.applyComponentChange(buildId, crewUser(CREW.otherEditor), updateComponent({ ...motor, quantity: '4' }, motor)))
+            .rejects.toBeInstanceOf(EditConflictError);
+
+        const [build] = await storedBuilds();
+        expect(build.components[0]).toEqual({ ...motor, price: '900' });
+    });
+
+    it('writes a history entry alongside every change', async () => {
+        const buildId = await seedBuild();
+        const repository = createFirestoreRepository({ db: crewFirestore(testEnv, CREW.editor) });
+        await repository.applyComponentChange(buildId, crewUser(CREW.editor), updateComponent({ ...motor, price: '900' }, motor));
+
+        const history = await waitFor(
+            (onChange, onError) => repository.subscribeHistory(buildId, onChange, onError),
+            (entries) => entries.length > 0 && entries[0].at !== null,
+        );
+        expect(history[0]).toMatchObject({ action: 'update', componentId: 'motor', actor: { uid: CREW.editor.uid, email: CREW.editor.email } });
+    });
+});
+
+describe('concurrent build list edits', () => {
+    it('keeps both scenarios when two people save at the same time', async () => {
+        const owner = createFirestoreRepository({ db: crewFirestore(testEnv, CREW.owner) });
+        const buildId = await owner.createBuild({ name: 'RoboWarz 2025', components: [], scenarios: [] });
+        const alice = createFirestoreRepository({ db: crewFirestore(testEnv, CREW.editor) });
+        const bob = createFirestoreRepository({ db: crewFirestore(testEnv, CREW.otherEditor) });
+
+        await Promise.all([
+            alice.updateBuildList(buildId, 'scenarios', (scenarios) => saveScenario(scenarios, { name: 'Stock', inputs: {} })),
+            bob.updateBuildList(buildId, 'scenarios', (scenarios) => saveScenario(scenarios, { name: 'Bigger disc', inputs: {} })),
+        ]);
+
+        const [build] = await storedBuilds();
+        expect(build.scenarios.map(s => s.name).sort()).toEqual(['Bigger disc', 'Stock']);
+    });
+
+    it('keeps both shipping lines when two people add one at the same time', async () => {
+        const owner = createFirestoreRepository({ db: crewFirestore(testEnv, CREW.owner) });
+        const buildId = await owner.createBuild({ name: 'RoboWarz 2025', components: [] });
+        const alice = createFirestoreRepository({ db: crewFirestore(testEnv, CREW.editor) });
+        const bob = createFirestoreRepository({ db: crewFirestore(testEnv, CREW.otherEditor) });
+        const courier = { id: 'courier', label: 'Courier', amount: '300', currency: 'INR' };
+        const freight = { id: 'freight', label: 'AliExpress freight', amount: '12', currency: 'USD' };
+
+        await Promise.all([
+            alice.updateBuildList(buildId, 'shipping', (shipping) => [...shipping, courier]),
+            bob.updateBuildList(buildId, 'shipping', (shipping) => [...shipping, freight]),
+        ]);
+
+        const [build] = await storedBuilds();
+        expect(build.shipping.map(l => l.id).sort()).toEqual(['courier', 'freight']);
+    });
+});
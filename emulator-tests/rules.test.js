@@ -0,0 +1,136 @@
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { collection, doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
+import { teamBuildsPath, teamMembersPath, teamSparesPath, teamContentPath, teamSettingsPath, legacyBuildsPath } from '../src/config';
+import { CREW, createTestEnvironment, seedCrew, crewFirestore } from './setup';
+
+// Mirrors the role table in README.md: owner > editor > viewer, and public read
+// access to the pages visitors can see.
+
+let testEnv;
+
+const motor = { id: 'motor', name: 'Drive motor', quantity: '2', price: '850' };
+const battery = { id: 'battery', name: '3S LiPo', quantity: '1', price: '1200' };
+
+beforeAll(async () => {
+    testEnv = await createTestEnvironment();
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedCrew(testEnv);
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, teamBuildsPath, 'default'), { name: 'Current Build', isDefault: true, components: [motor, battery] });
+        await setDoc(doc(db, teamBuildsPath, 'event'), { name: 'RoboWarz 2025', isDefault: false, components: [motor] });
+    });
+});
+
+afterAll(() => testEnv.cleanup());
+
+const buildRef = (db, buildId) => doc(db, teamBuildsPath, buildId);
+const visitor = () => testEnv.unauthenticatedContext().firestore();
+
+describe('builds', () => {
+    it('are readable by anyone', async () => {
+        await assertSucceeds(getDoc(buildRef(visitor(), 'default')));
+    });
+
+    it('can only be created by editors and owners', async () => {
+        const build = { name: 'Botwars 2026', isDefault: false, components: [] };
+        await assertFails(setDoc(buildRef(visitor(), 'new'), build));
+        await assertFails(setDoc(buildRef(crewFirestore(testEnv, CREW.viewer), 'new'), build));
+        await assertSucceeds(setDoc(buildRef(crewFirestore(testEnv, CREW.editor), 'new'), build));
+    });
+
+    it('let editors add and edit components but not remove them', async () => {
+        const db = crewFirestore(testEnv, CREW.editor);
+        await assertSucceeds(updateDoc(buildRef(db, 'default'), { components: [{ ...motor, price: '900' }, battery] }));
+        await assertFails(updateDoc(buildRef(db, 'default'), { components: [battery] }));
+    });
+
+    it('let only owners change the default build or delete builds', async () => {
+        const editor = crewFirestore(testEnv, CREW.editor);
+        await assertFails(updateDoc(buildRef(editor, 'event'), { isDefault: true }));
+        await assertFails(deleteDoc(buildRef(editor, 'event')));
+
+        const owner = crewFirestore(testEnv, CREW.owner);
+        await assertSucceeds(updateDoc(buildRef(owner, 'event'), { isDefault: true }));
+        await assertSucceeds(deleteDoc(buildRef(owner, 'event')));
+    });
+
+    it('are read-only for viewers and unverified accounts', async () => {
+        await assertFails(updateDoc(buildRef(crewFirestore(testEnv, CREW.viewer), 'default'), { name: 'Renamed' }));
+        const unverified = testEnv.authenticatedContext(CREW.editor.uid, { email: CREW.editor.email, email_verified: false }).firestore();
+        await assertFails(updateDoc(buildRef(unverified, 'default'), { name: 'Renamed' }));
+    });
+});
+
+describe('build history', () => {
+    const historyRef = (db) => doc(db, teamBuildsPath, 'default', 'history', 'entry');
+    const entry = (member) => ({ action: 'add', componentId: 'motor', actor: { uid: member.uid, email: member.email }, at: serverTimestamp() });
+
+    it('is only visible to the crew', async () => {
+        await assertFails(getDoc(historyRef(visitor())));
+        await assertSucceeds(getDoc(historyRef(crewFirestore(testEnv, CREW.viewer))));
+    });
+
+    it('must name the person making the change and can never be edited', async () => {
+        const db = crewFirestore(testEnv, CREW.editor);
+        await assertFails(setDoc(historyRef(db), entry(CREW.owner)));
+        await assertSucceeds(setDoc(historyRef(db), entry(CREW.editor)));
+        await assertFails(updateDoc(historyRef(crewFirestore(testEnv, CREW.owner)), { action: 'delete' }));
+    });
+});
+
+describe('members', () => {
+    const memberRef = (db, email) => doc(db, teamMembersPath, email);
+    const outsider = () => testEnv.authenticatedContext('outsider-uid', { email: 'Outsider@example.test', email_verified: true }).firestore();
+
+    it('let anyone signed in look up their own entry, but only the crew see the roster', async () => {
+        await assertSucceeds(getDoc(memberRef(outsider(), 'outsider@example.test')));
+        await assertFails(getDoc(memberRef(outsider(), CREW.owner.email)));
+        await assertFails(getDocs(collection(outsider(), teamMembersPath)));
+        await assertFails(getDocs(collection(visitor(), teamMembersPath)));
+        await assertSucceeds(getDocs(collection(crewFirestore(testEnv, CREW.viewer), teamMembersPath)));
+    });
+
+    it('are managed by owners, who cannot change their own entry', async () => {
+        await assertFails(setDoc(memberRef(crewFirestore(testEnv, CREW.editor), 'new@sidewinder.test'), { role: 'viewer' }));
+
+        const owner = crewFirestore(testEnv, CREW.owner);
+        await assertSucceeds(setDoc(memberRef(owner, 'new@sidewinder.test'), { role: 'viewer' }));
+        await assertFails(setDoc(memberRef(owner, 'new@sidewinder.test'), { role: 'admin' }));
+        await assertFails(setDoc(memberRef(owner, CREW.owner.email), { role: 'viewer' }));
+        await assertFails(deleteDoc(memberRef(owner, CREW.owner.email)));
+    });
+});
+
+describe('crew-only and owner-only collections', () => {
+    it('hide spares from visitors', async () => {
+        await assertFails(getDoc(doc(visitor(), teamSparesPath, 'battery')));
+        await assertSucceeds(getDoc(doc(crewFirestore(testEnv, CREW.viewer), teamSparesPath, 'battery')));
+    });
+
+    it('let only owners edit site content', async () => {
+        await assertSucceeds(getDoc(doc(visitor(), teamContentPath, 'site')));
+        await assertFails(setDoc(doc(crewFirestore(testEnv, CREW.editor), teamContentPath, 'site'), { hero: {} }));
+        await assertSucceeds(setDoc(doc(crewFirestore(testEnv, CREW.owner), teamContentPath, 'site'), { hero: {} }));
+    });
+
+    it('let editors keep the exchange rates that visitors see', async () => {
+        await assertSucceeds(getDoc(doc(visitor(), teamSettingsPath, 'currency')));
+        await assertFails(setDoc(doc(crewFirestore(testEnv, CREW.viewer), teamSettingsPath, 'currency'), { rates: { USD: 83 } }));
+        await assertSucceeds(setDoc(doc(crewFirestore(testEnv, CREW.editor), teamSettingsPath, 'currency'), { rates: { USD: 83 } }));
+    });
+});
+
+describe('legacy device builds', () => {
+    it('are readable only by the anonymous user that made them, and never writable', async () => {
+        const path = legacyBuildsPath('anon-uid');
+        const anonymous = testEnv.authenticatedContext('anon-uid', { firebase: { sign_in_provider: 'anonymous' } }).firestore();
+        await assertSucceeds(getDoc(doc(anonymous, path, 'old')));
+        await assertFails(getDoc(doc(crewFirestore(testEnv, CREW.owner), path, 'old')));
+        await assertFails(setDoc(doc(anonymous, path, 'old'), { name: 'Old build' }));
+    });
+});
@@ -0,0 +1,49 @@
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+import { teamMembersPath } from '../src/config';
+
+// --- Emulator Test Helpers ---
+// `firebase emulators:exec` sets FIRESTORE_EMULATOR_HOST, which the test
+// environment picks up. Every test starts from an empty database.
+
+export const PROJECT_ID = 'demo-sidewinder';
+
+export const CREW = {
+    owner: { uid: 'owner-uid', email: 'owner@sidewinder.test', role: 'owner' },
+    editor: { uid: 'editor-uid', email: 'editor@sidewinder.test', role: 'editor' },
+    otherEditor: { uid: 'other-editor-uid', email: 'pit@sidewinder.test', role: 'editor' },
+    viewer: { uid: 'viewer-uid', email: 'viewer@sidewinder.test', role: 'viewer' },
+};
+
+export const createTestEnvironment = () => initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+});
+
+export const seedCrew = (testEnv) => testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await Promise.all(Object.values(CREW).map(({ email, role }) => setDoc(doc(db, teamMembersPath, email), { role })));
+});
+
+// Signs in as a crew member with a verified email, like the site after sign-in.
+export const crewFirestore = (testEnv, member) =>
+    testEnv.authenticatedContext(member.uid, { email: member.email, email_verified: true }).firestore();
+
+// The user object the site passes around after sign-in.
+export const crewUser = (member) => ({ uid: member.uid, email: member.email, isAnonymous: false });
+
+// Resolves with the first value `subscribe` reports that satisfies `predicate`.
+export const waitFor = (subscribe, predicate) => new Promise((resolve, reject) => {
+    let unsubscribe = null;
+    let done = false;
+    const finish = (settle, value) => {
+        done = true;
+        unsubscribe?.();
+        settle(value);
+    };
+    unsubscribe = subscribe((value) => {
+        if (!done && predicate(value)) finish(resolve, value);
+    }, (err) => finish(reject, err));
+    if (done) unsubscribe();
+});
@@ -0,0 +1,88 @@
+// Service worker for the installable app. Firestore caches its own data in
+// IndexedDB; this only keeps the app shell, bundled images and gallery photos
+// available offline.
+
+// Sets self.PRECACHE_ASSETS; written by the build (see vite.config.js).
+importScripts('/precache-manifest.js');
+
+const SHELL_CACHE = 'sidewinder-shell-v2';
+const IMAGE_CACHE = 'sidewinder-images-v1';
+const SHELL_FILES = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
+
+// Every built script and style is cached up front, lazily loaded pages included,
+// so any route opens offline even if the site was only visited once.
+const precacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll([...SHELL_FILES, ...self.PRECACHE_ASSETS]);
+};
+
+// Hashed assets from earlier deploys are never requested again.
+const pruneShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  const current = new Set(self.PRECACHE_ASSETS);
+  const requests = await cache.keys();
+  await Promise.all(requests
+    .filter(request => {
+      const { pathname } = new URL(request.url);
+      return pathname.startsWith('/assets/') && !current.has(pathname);
+    })
+    .map(request => cache.delete(request)));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, IMAGE_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+      .then(pruneShell)
+      .then(() => self.clients.claim())
+  );
+});
+
+const isGalleryImage = (url) => url.hostname === 'firebasestorage.googleapis.com' || (url.origin === self.location.origin && url.pathname.startsWith('/images/'));
+
+// Serves from the cache and refreshes it in the background.
+const staleWhileRevalidate = async (cacheName, request) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || network;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Every route is the same single page, so navigations fall back to the cached shell.
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          caches.open(SHELL_CACHE).then(cache => cache.put('/index.html', response.clone()));
+          return response;
+        })
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  if (isGalleryImage(url)) {
+    event.respondWith(staleWhileRevalidate(IMAGE_CACHE, request));
+    return;
+  }
+
+  // Built assets have hashed names, so a cached copy never goes stale.
+  if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(SHELL_CACHE, request));
+  }
+});
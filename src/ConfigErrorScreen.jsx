@@ -0,0 +1,18 @@
+// Shown instead of the app when Firebase can't be configured, so a bad deploy
+// explains itself rather than rendering a blank page.
+const ConfigErrorScreen = ({ error }) => (
+    <div className="bg-black text-gray-200 min-h-screen font-sans flex items-center justify-center p-4">
+        <div className="max-w-xl w-full bg-neutral-800 p-8 rounded-lg shadow-xl border border-red-700 space-y-4">
+            <h1 className="text-2xl font-bold text-white">The site isn't configured</h1>
+            <p className="text-red-400">{error}</p>
+            <p className="text-gray-300">
+                Set <code className="text-orange-400">VITE_FIREBASE_CONFIG</code> to the web app config JSON from the Firebase console, in <code className="text-orange-400">.env.local</code> or the deployment's environment variables, then rebuild.
+            </p>
+            <p className="text-gray-300">
+                To work without Firebase, set <code className="text-orange-400">VITE_DATA_BACKEND=local</code> instead; data is then kept in this browser only.
+            </p>
+        </div>
+    </div>
+);
+
+export default ConfigErrorScreen;
@@ -0,0 +1,137 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router';
+import { dataBackend } from './config';
+import { fetchBuilds, fetchMatches, fetchGalleryPhotos } from './publicData';
+import { SEARCH_KINDS, buildSearchIndex, searchEntries } from './search';
+
+// The repository pulls in the Firebase SDK, so it's only loaded for the crew and in local mode.
+const loadRepository = () => import('./repository').then(module => module.repository);
+
+// Opened from the navbar or with Ctrl+K. Like the gallery, visitors get a one-off
+// read over REST and signed-in users search the live data.
+const SearchPalette = ({ user, content, onClose }) => {
+    const navigate = useNavigate();
+    const inputRef = useRef(null);
+    const [query, setQuery] = useState('');
+    const [activeIndex, setActiveIndex] = useState(0);
+    const [data, setData] = useState({ builds: [], matches: [], photos: [] });
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const isLocal = dataBackend === 'local';
+    const isLive = isLocal || Boolean(user);
+
+    useEffect(() => {
+        inputRef.current?.focus();
+    }, []);
+
+    useEffect(() => {
+        let cancelled = false;
+        const unsubscribes = [];
+        const onError = (err) => {
+            console.error("Error loading search data:", err);
+            setError("Some results couldn't be loaded.");
+        };
+        const update = (key) => (items) => {
+            setData(prev => ({ ...prev, [key]: items }));
+            setLoading(false);
+        };
+        if (isLive) {
+            loadRepository()
+                .then(repository => {
+                    if (cancelled) return;
+                    unsubscribes.push(repository.subscribeBuilds(update('builds'), onError));
+                    unsubscribes.push(repository.subscribeGallery(update('photos'), onError));
+                })
+                .catch(onError);
+        } else {
+            Promise.all([fetchBuilds(), fetchGalleryPhotos()])
+                .then(([builds, photos]) => {
+                    if (cancelled) return;
+                    update('builds')(builds);
+                    update('photos')(photos);
+                })
+                .catch(err => {
+                    onError(err);
+                    setLoading(false);
+                });
+        }
+        // Matches only exist in Firestore and are public, so REST serves everyone.
+        if (!isLocal) {
+            fetchMatches()
+                .then(matches => !cancelled && update('matches')(matches))
+                .catch(onError);
+        }
+        return () => {
+            cancelled = true;
+            unsubscribes.forEach(unsubscribe => unsubscribe());
+        };
+    }, [isLive, isLocal]);
+
+    const results = searchEntries(buildSearchIndex({ ...data, content }), query);
+
+    const handleQueryChange = (e) => {
+        setQuery(e.target.value);
+        setActiveIndex(0);
+    };
+
+    const handleSelect = (result) => {
+        navigate(result.to);
+        onClose();
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            onClose();
+        } else if (e.key === 'ArrowDown' && results.length > 0) {
+            e.preventDefault();
+            setActiveIndex(index => (index + 1) % results.length);
+        } else if (e.key === 'ArrowUp' && results.length > 0) {
+            e.preventDefault();
+            setActiveIndex(index => (index - 1 + results.length) % results.length);
+        } else if (e.key === 'Enter' && results[activeIndex]) {
+            e.preventDefault();
+            handleSelect(results[activeIndex]);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-[60] bg-black/70 flex items-start justify-center px-4 pt-[10vh]" onClick={onClose}>
+            <div role="dialog" aria-modal="true" aria-label="Search" className="w-full max-w-2xl bg-neutral-900 border border-neutral-700 rounded-lg shadow-2xl overflow-hidden" onClick={(e) => e.stopPropagation()}>
+                <input
+                    ref={inputRef}
+                    type="search"
+                    value={query}
+                    onChange={handleQueryChange}
+                    onKeyDown={handleKeyDown}
+                    placeholder="Search components, suppliers, notes, matches, photos…"
+                    aria-label="Search the site"
+                    aria-controls="search-results"
+                    aria-activedescendant={results[activeIndex] ? `search-${results[activeIndex].id}` : undefined}
+                    className="w-full bg-neutral-900 border-0 border-b border-neutral-700 py-4 px-5 text-lg text-white placeholder-gray-500 focus:outline-none focus:ring-0"
+                />
+                {error && <p className="px-5 pt-3 text-sm text-amber-400">{error}</p>}
+                <ul id="search-results" role="listbox" className="max-h-[60vh] overflow-y-auto py-2">
+                    {results.map((result, index) => (
+                        <li key={result.id} id={`search-${result.id}`} role="option" aria-selected={index === activeIndex}>
+                            <button onClick={() => handleSelect(result)} onMouseEnter={() => setActiveIndex(index)} className={`w-full text-left px-5 py-2 flex items-start gap-3 ${index === activeIndex ? 'bg-neutral-800' : ''}`}>
+                                <span className="mt-0.5 w-24 flex-shrink-0 text-xs uppercase tracking-wider text-orange-400">{SEARCH_KINDS.find(k => k.id === result.kind).label}</span>
+                                <span className="min-w-0">
+                                    <span className="block text-white truncate">{result.title}</span>
+                                    {result.detail && <span className="block text-sm text-gray-400 truncate">{result.detail}</span>}
+                                    {result.snippet && <span className="block text-xs text-gray-500">{result.snippet}</span>}
+                                </span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+                {query.trim() && results.length === 0 && (
+                    <p className="px-5 pb-4 text-sm text-gray-400">{loading ? 'Loading…' : `Nothing matches "${query.trim()}".`}</p>
+                )}
+                <p className="px-5 py-2 border-t border-neutral-800 text-xs text-gray-500">↑↓ to move · Enter to open · Esc to close</p>
+            </div>
+        </div>
+    );
+};
+
+export default SearchPalette;
@@ -0,0 +1,102 @@
+import { GoogleAuthProvider, signInWithPopup, signInWithEmailAndPassword, createUserWithEmailAndPassword, sendEmailVerification, signOut } from 'firebase/auth';
+import { collection, doc, getDocs, writeBatch } from 'firebase/firestore';
+import { auth, db } from './firebase';
+import { teamBuildsPath, legacyBuildsPath } from './config';
+
+// --- Legacy Build Migration ---
+// Before team sign-in existed, every browser signed in anonymously and kept its own
+// builds. We read them while the anonymous session is still active, because the
+// real sign-in replaces it and the old uid loses access. The copies wait in
+// localStorage, keyed by the anonymous uid, so a reload before they're claimed
+// (the email-verification round trip, or a Google account that isn't on the crew
+// yet) doesn't lose them.
+const LEGACY_STASH_KEY = 'sidewinder-legacy-builds';
+
+const readStash = () => {
+    try {
+        return JSON.parse(localStorage.getItem(LEGACY_STASH_KEY)) || {};
+    } catch {
+        return {};
+    }
+};
+
+const writeStash = (stash) => {
+    try {
+        if (Object.keys(stash).length === 0) localStorage.removeItem(LEGACY_STASH_KEY);
+        else localStorage.setItem(LEGACY_STASH_KEY, JSON.stringify(stash));
+    } catch (err) {
+        console.error("Error saving device builds:", err);
+    }
+};
+
+// Timestamps don't survive JSON, so the creation time is kept as an ISO string.
+const toStashed = (buildDoc) => {
+    const { createdAt, ...build } = buildDoc.data();
+    return { id: buildDoc.id, ...build, ...(createdAt?.toDate ? { createdAt: createdAt.toDate().toISOString() } : {}) };
+};
+
+const stashLegacyBuilds = async () => {
+    // Auth loads on demand, so the saved session may still be restoring.
+    await auth.authStateReady();
+    const currentUser = auth.currentUser;
+    if (!currentUser?.isAnonymous) return;
+    try {
+        const querySnapshot = await getDocs(collection(db, legacyBuildsPath(currentUser.uid)));
+        if (!querySnapshot.empty) {
+            writeStash({ ...readStash(), [currentUser.uid]: querySnapshot.docs.map(toStashed) });
+        }
+    } catch (err) {
+        console.error("Error reading device builds:", err);
+    }
+};
+
+export const hasPendingLegacyBuilds = () => Object.keys(readStash()).length > 0;
+
+// Copies the stashed builds into the team workspace in one batch, and forgets them
+// only once it commits. Document IDs are derived from the old ones, so claiming
+// the same device twice never duplicates a build.
+export const claimLegacyBuilds = async () => {
+    const stash = readStash();
+    const uids = Object.keys(stash);
+    if (uids.length === 0) return 0;
+    const batch = writeBatch(db);
+    let count = 0;
+    uids.forEach(uid => stash[uid].forEach(({ id, createdAt, ...build }) => {
+        batch.set(doc(db, teamBuildsPath, `legacy-${uid}-${id}`), {
+            ...build,
+            ...(createdAt ? { createdAt: new Date(createdAt) } : {}),
+            name: build.isDefault ? `${build.name} (claimed)` : build.name,
+            isDefault: false,
+            components: build.components || [],
+            claimedFrom: uid,
+            claimedAt: new Date(),
+        });
+        count++;
+    }));
+    await batch.commit();
+    const remaining = readStash();
+    uids.forEach(uid => delete remaining[uid]);
+    writeStash(remaining);
+    return count;
+};
+
+// --- Sign-in ---
+
+export const signInWithGoogle = async () => {
+    await stashLegacyBuilds();
+    return signInWithPopup(auth, new GoogleAuthProvider());
+};
+
+export const signInWithEmail = async (email, password) => {
+    await stashLegacyBuilds();
+    return signInWithEmailAndPassword(auth, email, password);
+};
+
+export const signUpWithEmail = async (email, password) => {
+    await stashLegacyBuilds();
+    const credential = await createUserWithEmailAndPassword(auth, email, password);
+    await sendEmailVerification(credential.user);
+    return credential;
+};
+
+export const signOutUser = () => signOut(auth);
@@ -0,0 +1,90 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// A fake anonymous session and Firestore, shared by every fresh copy of auth.js.
+const firebase = vi.hoisted(() => ({ currentUser: null, legacyDocs: [], commit: null, writes: [] }));
+
+vi.mock('./firebase', () => ({
+    auth: {
+        authStateReady: async () => {},
+        get currentUser() {
+            return firebase.currentUser;
+        },
+    },
+    db: {},
+}));
+
+vi.mock('firebase/auth', () => ({
+    GoogleAuthProvider: class {},
+    signInWithPopup: vi.fn(async () => ({ user: { uid: 'google-uid' } })),
+    signInWithEmailAndPassword: vi.fn(),
+    createUserWithEmailAndPassword: vi.fn(),
+    sendEmailVerification: vi.fn(),
+    signOut: vi.fn(),
+}));
+
+vi.mock('firebase/firestore', () => ({
+    collection: (_db, path) => path,
+    doc: (_db, path, id) => `${path}/${id}`,
+    getDocs: async () => ({
+        empty: firebase.legacyDocs.length === 0,
+        docs: firebase.legacyDocs.map(({ id, ...data }) => ({ id, data: () => data })),
+    }),
+    writeBatch: () => ({
+        set: (ref, data) => firebase.writes.push({ ref, data }),
+        commit: () => firebase.commit(),
+    }),
+}));
+
+const timestamp = (iso) => ({ toDate: () => new Date(iso) });
+
+// Each call is a new page load: module state is gone, storage is not.
+const freshAuth = async () => {
+    vi.resetModules();
+    return import('./auth');
+};
+
+describe('legacy build migration', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        firebase.currentUser = { uid: 'anon-uid', isAnonymous: true };
+        firebase.legacyDocs = [{ id: 'old', name: 'Current Build', isDefault: true, createdAt: timestamp('2024-03-01T10:00:00.000Z'), components: [] }];
+        firebase.commit = async () => {};
+        firebase.writes = [];
+    });
+
+    afterEach(() => {
+        localStorage.clear();
+    });
+
+    it('keeps the stashed builds across a reload until they are claimed', async () => {
+        await (await freshAuth()).signInWithGoogle();
+        firebase.currentUser = { uid: 'google-uid', isAnonymous: false };
+
+        const { hasPendingLegacyBuilds, claimLegacyBuilds } = await freshAuth();
+        expect(hasPendingLegacyBuilds()).toBe(true);
+        expect(await claimLegacyBuilds()).toBe(1);
+        expect(firebase.writes).toHaveLength(1);
+        expect(firebase.writes[0].ref).toMatch(/\/builds\/legacy-anon-uid-old$/);
+        expect(firebase.writes[0].data).toMatchObject({ name: 'Current Build (claimed)', isDefault: false, claimedFrom: 'anon-uid', createdAt: new Date('2024-03-01T10:00:00.000Z') });
+
+        expect((await freshAuth()).hasPendingLegacyBuilds()).toBe(false);
+    });
+
+    it('keeps the stash when the batch fails, so the next load can retry', async () => {
+        await (await freshAuth()).signInWithGoogle();
+        firebase.commit = async () => {
+            throw new Error('permission-denied');
+        };
+
+        const { hasPendingLegacyBuilds, claimLegacyBuilds } = await freshAuth();
+        await expect(claimLegacyBuilds()).rejects.toThrow('permission-denied');
+        expect(hasPendingLegacyBuilds()).toBe(true);
+    });
+
+    it('stashes nothing for a session that was never anonymous', async () => {
+        firebase.currentUser = { uid: 'google-uid', isAnonymous: false };
+        await (await freshAuth()).signInWithGoogle();
+
+        expect((await freshAuth()).hasPendingLegacyBuilds()).toBe(false);
+    });
+});
@@ -0,0 +1,252 @@
+import { BASE_CURRENCY, currencyOf, currencyFromSymbol, toBase } from './currency';
+
+// --- Bill of Materials Helpers ---
+// Components are stored as entered in the form, so numeric fields may be strings
+// and older documents may be missing newer fields entirely.
+
+// Beetleweight class limit: 3 lb.
+export const DEFAULT_WEIGHT_LIMIT_G = 1360;
+
+export const COMPONENT_CATEGORIES = ['drive', 'weapon', 'electronics', 'armor', 'fasteners', 'other'];
+
+// An empty workspace starts with this build. Its id is fixed so that tabs
+// bootstrapping the workspace at the same moment all write the same document.
+export const DEFAULT_BUILD_ID = 'current-build';
+
+export const defaultBuildFields = () => ({ name: "Current Build", isDefault: true, components: [] });
+
+// `currency` is blank for rupees; see currency.js.
+export const emptyComponent = { id: '', name: '', quantity: '', price: '', currency: '', mass: '', category: '', supplier: '', partNumber: '', url: '', notes: '' };
+
+// Fills in fields that older component documents were saved without.
+export const normalizeComponent = (component) => ({ ...emptyComponent, ...component });
+
+export const isValidUrl = (value) => /^https?:\/\/\S+$/i.test(value);
+
+// Firestore doesn't preserve map key order, so compare field by field.
+export const sameComponent = (a, b) => {
+    if (!a || !b) return a === b;
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => (a[key] ?? '') === (b[key] ?? ''));
+};
+
+// The rules behind the component form. Returns an error message, or '' when valid.
+export const validateComponent = (component) => {
+    if (!component.name || !component.quantity || isNaN(parseFloat(component.price)) || isNaN(parseInt(component.quantity))) {
+        return "Please fill all fields with valid data.";
+    }
+    if (component.mass && (isNaN(parseFloat(component.mass)) || parseFloat(component.mass) < 0)) {
+        return "Mass must be a positive number of grams.";
+    }
+    if (component.url && !isValidUrl(component.url)) {
+        return "Product link must start with http:// or https://.";
+    }
+    return '';
+};
+
+const toNumber = (value) => {
+    const number = parseFloat(value);
+    return isNaN(number) ? 0 : number;
+};
+
+// Cost in the price's own currency.
+export const componentPriceTotal = (component) => toNumber(component.price) * toNumber(component.quantity);
+
+// Cost in rupees. Parts priced in a currency without a rate count as nothing;
+// pages warn about them with missingRates().
+export const componentCost = (component, rates) => toBase(componentPriceTotal(component), currencyOf(component), rates) ?? 0;
+
+export const componentMass = (component) => toNumber(component.mass) * toNumber(component.quantity);
+
+export const totalCost = (components = [], rates) => components.reduce((sum, c) => sum + componentCost(c, rates), 0);
+
+export const totalMass = (components = []) => components.reduce((sum, c) => sum + componentMass(c), 0);
+
+export const weightLimitOf = (build) => toNumber(build?.weightLimit) || DEFAULT_WEIGHT_LIMIT_G;
+
+// --- Tax & Shipping ---
+// Builds carry a GST rate, charged on the parts, and shipping line items
+// `{ id, label, amount, currency }`, each in the currency it was paid in.
+
+export const emptyShippingLine = { id: '', label: '', amount: '', currency: '' };
+
+export const gstRateOf = (build) => toNumber(build?.gstRate);
+
+// Everything in rupees.
+export const buildTotals = (build, rates) => {
+    const parts = totalCost(build?.components, rates);
+    const gst = parts * gstRateOf(build) / 100;
+    const shipping = (build?.shipping || []).reduce((sum, line) => sum + (toBase(toNumber(line.amount), currencyOf(line), rates) ?? 0), 0);
+    return { parts, gst, shipping, total: parts + gst + shipping };
+};
+
+// The rules behind a shipping line. Returns an error message, or '' when valid.
+export const validateShippingLine = (line) => {
+    if (!line.label.trim()) return "Give the shipping charge a name.";
+    if (isNaN(parseFloat(line.amount)) || parseFloat(line.amount) < 0) return "Shipping must be a positive amount.";
+    return '';
+};
+
+// Mass per category, heaviest first. Components without a category count as "other".
+export const massByCategory = (components = []) => {
+    const totals = {};
+    components.forEach(c => {
+        const category = COMPONENT_CATEGORIES.includes(c.category) ? c.category : 'other';
+        totals[category] = (totals[category] || 0) + componentMass(c);
+    });
+    return Object.entries(totals)
+        .filter(([, mass]) => mass > 0)
+        .sort((a, b) => b[1] - a[1]);
+};
+
+export const formatMass = (grams) => grams >= 1000 ? `${(grams / 1000).toFixed(3)} kg` : `${grams.toFixed(0)} g`;
+
+// --- Table Views ---
+
+const categoryOf = (component) => COMPONENT_CATEGORIES.includes(component.category) ? component.category : 'other';
+
+// Prices in different currencies are compared in rupees.
+const SORT_VALUES = {
+    name: c => (c.name || '').toLowerCase(),
+    category: c => COMPONENT_CATEGORIES.indexOf(categoryOf(c)),
+    supplier: c => (c.supplier || '').toLowerCase(),
+    partNumber: c => (c.partNumber || '').toLowerCase(),
+    quantity: c => toNumber(c.quantity),
+    price: (c, rates) => toBase(toNumber(c.price), currencyOf(c), rates) ?? 0,
+    mass: c => componentMass(c),
+    cost: (c, rates) => componentCost(c, rates),
+};
+
+export const sortComponents = (components, key, direction = 'asc', rates) => {
+    const valueOf = SORT_VALUES[key];
+    if (!valueOf) return components;
+    const sign = direction === 'desc' ? -1 : 1;
+    return [...components].sort((a, b) => {
+        const x = valueOf(a, rates);
+        const y = valueOf(b, rates);
+        return (x < y ? -1 : x > y ? 1 : 0) * sign;
+    });
+};
+
+// Matches the search text against every free-text field.
+export const filterComponents = (components, { text = '', category = '' } = {}) => {
+    const needle = text.trim().toLowerCase();
+    return components.filter(c => {
+        if (category && categoryOf(c) !== category) return false;
+        if (!needle) return true;
+        return [c.name, c.supplier, c.partNumber, c.notes].some(field => (field || '').toLowerCase().includes(needle));
+    });
+};
+
+// Groups in COMPONENT_CATEGORIES order, skipping empty ones, with per-group subtotals.
+export const groupByCategory = (components, rates) => COMPONENT_CATEGORIES
+    .map(category => {
+        const items = components.filter(c => categoryOf(c) === category);
+        return { category, components: items, cost: totalCost(items, rates), mass: totalMass(items) };
+    })
+    .filter(group => group.components.length > 0);
+
+// --- CSV Import & Export ---
+
+// Column order for exports; `aliases` help guess the mapping for spreadsheets we didn't write.
+export const BOM_FIELDS = [
+    { key: 'name', label: 'Name', aliases: ['component', 'item', 'part', 'description'] },
+    { key: 'category', label: 'Category', aliases: ['subsystem', 'type'] },
+    { key: 'supplier', label: 'Supplier', aliases: ['vendor', 'store', 'seller'] },
+    { key: 'partNumber', label: 'Part Number', aliases: ['sku', 'part no', 'part #', 'mpn'] },
+    { key: 'quantity', label: 'Quantity', aliases: ['qty', 'items', 'count', 'number of items'] },
+    { key: 'price', label: 'Price', aliases: ['unit price', 'cost', 'price (inr)', 'price (₹)'] },
+    { key: 'currency', label: 'Currency', aliases: ['ccy', 'price currency'] },
+    { key: 'mass', label: 'Mass per Item (g)', aliases: ['mass', 'weight', 'mass (g)', 'weight (g)'] },
+    { key: 'url', label: 'Product Link', aliases: ['url', 'link'] },
+    { key: 'notes', label: 'Notes', aliases: ['comments', 'remarks'] },
+];
+
+const TOTALS_LABEL = 'Totals';
+
+// The totals row is in rupees, whatever the parts were priced in.
+export const buildToCsvRows = (build, rates) => {
+    const components = build.components || [];
+    return [
+        BOM_FIELDS.map(f => f.label),
+        ...components.map(c => BOM_FIELDS.map(f => f.key === 'currency' ? currencyOf(c) : c[f.key] ?? '')),
+        [],
+        [TOTALS_LABEL, '', '', '', components.reduce((sum, c) => sum + toNumber(c.quantity), 0), totalCost(components, rates).toFixed(2), BASE_CURRENCY, totalMass(components).toFixed(1)],
+    ];
+};
+
+// Maps each field to a column index in `headers`, or -1 when nothing matches.
+export const guessColumnMapping = (headers) => {
+    const normalized = headers.map(h => h.trim().toLowerCase());
+    const mapping = {};
+    BOM_FIELDS.forEach(field => {
+        const candidates = [field.label.toLowerCase(), field.key.toLowerCase(), ...field.aliases];
+        mapping[field.key] = normalized.findIndex(h => candidates.includes(h));
+    });
+    return mapping;
+};
+
+// Turns data rows into components, each paired with the form's validation message.
+export const componentsFromCsvRows = (rows, mapping) => rows
+    .filter(row => (row[mapping.name] || '').trim() !== TOTALS_LABEL)
+    .map(row => {
+        const component = { ...emptyComponent };
+        BOM_FIELDS.forEach(field => {
+            const index = mapping[field.key];
+            if (index >= 0) component[field.key] = (row[index] || '').trim();
+        });
+        const category = component.category.toLowerCase();
+        component.category = COMPONENT_CATEGORIES.includes(category) ? category : '';
+        component.currency = component.currency.toUpperCase() || currencyFromSymbol(component.price);
+        component.price = component.price.replace(/[^\d.-]/g, '');
+        return { component, error: validateComponent(component) };
+    });
+
+// --- Build Comparison ---
+
+const DIFF_FIELDS = ['name', 'category', 'supplier', 'partNumber', 'quantity', 'price', 'currency', 'mass', 'url', 'notes'];
+const NUMERIC_FIELDS = ['quantity', 'price', 'mass'];
+
+const fieldChanged = (key, before, after) => {
+    if (NUMERIC_FIELDS.includes(key)) return toNumber(before[key]) !== toNumber(after[key]);
+    if (key === 'currency') return currencyOf(before) !== currencyOf(after);
+    return (before[key] || '') !== (after[key] || '');
+};
+
+const nameKey = (component) => (component.name || '').trim().toLowerCase();
+
+// Pairs components by id (builds cloned from one another share ids), then by name
+// for builds that were entered separately.
+export const diffBuilds = (base, target, rates) => {
+    const baseComponents = base?.components || [];
+    const targetComponents = target?.components || [];
+    const unmatched = new Map(baseComponents.map(c => [c.id, c]));
+    const pairs = [];
+    const added = [];
+
+    targetComponents.forEach(after => {
+        let before = unmatched.get(after.id);
+        if (!before) {
+            before = [...unmatched.values()].find(c => nameKey(c) === nameKey(after));
+        }
+        if (before) {
+            unmatched.delete(before.id);
+            pairs.push({ before, after });
+        } else {
+            added.push(after);
+        }
+    });
+
+    const changed = pairs
+        .map(({ before, after }) => ({ before, after, fields: DIFF_FIELDS.filter(key => fieldChanged(key, before, after)) }))
+        .filter(change => change.fields.length > 0);
+
+    return {
+        added,
+        removed: [...unmatched.values()],
+        changed,
+        unchangedCount: pairs.length - changed.length,
+        costDelta: totalCost(targetComponents, rates) - totalCost(baseComponents, rates),
+        massDelta: totalMass(targetComponents) - totalMass(baseComponents),
+    };
+};
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { validateComponent, totalCost, componentCost, defaultBuildFields, emptyComponent, buildTotals, componentsFromCsvRows, diffBuilds } from './bom';
+
+const component = (fields) => ({ ...emptyComponent, name: 'Drive motor', quantity: '2', price: '850', ...fields });
+
+describe('validateComponent', () => {
+    it('accepts a complete component', () => {
+        expect(validateComponent(component({ mass: '42.5', url: 'https://example.com/motor' }))).toBe('');
+    });
+
+    it('requires a name, a quantity and a price', () => {
+        expect(validateComponent(component({ name: '' }))).toMatch(/fill all fields/);
+        expect(validateComponent(component({ quantity: '' }))).toMatch(/fill all fields/);
+        expect(validateComponent(component({ price: '' }))).toMatch(/fill all fields/);
+        expect(validateComponent(component({ quantity: 'two' }))).toMatch(/fill all fields/);
+    });
+
+    it('allows a free part with a price of zero', () => {
+        expect(validateComponent(component({ price: '0' }))).toBe('');
+    });
+
+    it('rejects a negative or non-numeric mass', () => {
+        expect(validateComponent(component({ mass: '-5' }))).toMatch(/Mass/);
+        expect(validateComponent(component({ mass: 'heavy' }))).toMatch(/Mass/);
+    });
+
+    it('only accepts http and https product links', () => {
+        expect(validateComponent(component({ url: 'ftp://example.com' }))).toMatch(/Product link/);
+        expect(validateComponent(component({ url: 'http://example.com' }))).toBe('');
+    });
+});
+
+describe('totalCost', () => {
+    it('multiplies price by quantity for every component', () => {
+        expect(totalCost([component({ price: '850', quantity: '2' }), component({ price: '12.5', quantity: '4' })])).toBe(1750);
+    });
+
+    it('treats blank or invalid numbers as zero', () => {
+        expect(componentCost(component({ price: '', quantity: '3' }))).toBe(0);
+        expect(totalCost([component({ quantity: 'abc' })])).toBe(0);
+    });
+
+    it('is zero for a build without components', () => {
+        expect(totalCost()).toBe(0);
+        expect(totalCost([])).toBe(0);
+    });
+});
+
+describe('currencies', () => {
+    const rates = { USD: 80 };
+
+    it('converts foreign prices and leaves out those without a rate', () => {
+        expect(componentCost(component({ price: '10', quantity: '2', currency: 'USD' }), rates)).toBe(1600);
+        expect(totalCost([component({ price: '10', currency: 'USD' }), component({ price: '100', quantity: '1' })], {})).toBe(100);
+    });
+
+    it('adds GST on the parts and converts shipping', () => {
+        const build = {
+            components: [component({ price: '500', quantity: '2' })],
+            gstRate: '18',
+            shipping: [{ id: 's', label: 'Courier', amount: '5', currency: 'USD' }, { id: 't', label: 'Customs', amount: '100', currency: '' }],
+        };
+        expect(buildTotals(build, rates)).toEqual({ parts: 1000, gst: 180, shipping: 500, total: 1680 });
+    });
+
+    it('reads the currency from a column or the price symbol on import', () => {
+        const mapping = { name: 0, quantity: 1, price: 2, currency: 3 };
+        const imported = componentsFromCsvRows([['Motor', '2', '$12.50', ''], ['Disc', '1', '40', 'cny']], mapping);
+        expect(imported.map(({ component }) => [component.price, component.currency])).toEqual([['12.50', 'USD'], ['40', 'CNY']]);
+    });
+
+    it('counts a currency change as a change, but not INR versus blank', () => {
+        const before = { components: [component({ id: 'a' }), component({ id: 'b', name: 'Wheel' })] };
+        const after = { components: [component({ id: 'a', currency: 'INR' }), component({ id: 'b', name: 'Wheel', currency: 'USD' })] };
+        const diff = diffBuilds(before, after, rates);
+        expect(diff.changed.map(c => [c.after.id, c.fields])).toEqual([['b', ['currency']]]);
+    });
+});
+
+describe('defaultBuildFields', () => {
+    it('describes an empty default build', () => {
+        expect(defaultBuildFields()).toEqual({ name: 'Current Build', isDefault: true, components: [] });
+    });
+});
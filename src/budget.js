@@ -0,0 +1,102 @@
+import { COMPONENT_CATEGORIES, componentCost, buildTotals } from './bom';
+import { maintenanceCost } from './maintenance';
+
+// --- Build Budgets & Cost Reports ---
+// An event build can carry a `budget` in rupees. What a build has cost is its
+// parts list at purchase price, with GST and shipping, plus the repairs logged
+// against it at that event. `rates` converts foreign prices; see currency.js.
+
+export const budgetOf = (build) => {
+    const budget = parseFloat(build?.budget);
+    return budget > 0 ? budget : null;
+};
+
+// Cost per category or supplier, most expensive first, like massByCategory.
+const sortedTotals = (components, keyOf, rates) => {
+    const totals = {};
+    components.forEach(c => {
+        const key = keyOf(c);
+        totals[key] = (totals[key] || 0) + componentCost(c, rates);
+    });
+    return Object.entries(totals)
+        .filter(([, cost]) => cost > 0)
+        .sort((a, b) => b[1] - a[1]);
+};
+
+export const costByCategory = (components = [], rates) =>
+    sortedTotals(components, c => COMPONENT_CATEGORIES.includes(c.category) ? c.category : 'other', rates);
+
+export const UNKNOWN_SUPPLIER = 'No supplier';
+
+export const costBySupplier = (components = [], rates) =>
+    sortedTotals(components, c => (c.supplier || '').trim() || UNKNOWN_SUPPLIER, rates);
+
+export const buildSpend = (build, maintenanceEntries = [], rates) => {
+    const { parts, gst, shipping, total } = buildTotals(build, rates);
+    const repairs = maintenanceCost(maintenanceEntries.filter(e => e.buildId === build?.id));
+    return { parts, gst, shipping, repairs, total: total + repairs };
+};
+
+// Null until the build has fought, so a fresh build doesn't read as ₹0 per match.
+export const costPerMatch = (spend, matchCount) => matchCount > 0 ? spend / matchCount : null;
+
+// Firestore hands back Timestamps; the local backend stores ISO strings.
+const toDate = (value) => value?.toDate?.() ?? (value ? new Date(value) : null);
+
+// When a build was used: its first logged match, or failing that when it was created.
+const buildDate = (build, buildMatches) => {
+    const matchDates = buildMatches.map(m => m.date).filter(Boolean).sort();
+    if (matchDates.length > 0) return matchDates[0];
+    const created = toDate(build.createdAt);
+    return created && !isNaN(created) ? created.toISOString().slice(0, 10) : '';
+};
+
+// One row per build, oldest event first, for the trend charts and sponsor export.
+export const costReport = (builds = [], matches = [], maintenanceEntries = [], rates) => builds
+    .map(build => {
+        const buildMatches = matches.filter(m => m.buildId === build.id);
+        const spend = buildSpend(build, maintenanceEntries, rates);
+        const budget = budgetOf(build);
+        return {
+            id: build.id,
+            name: build.name,
+            date: buildDate(build, buildMatches),
+            archived: Boolean(build.archived),
+            budget,
+            ...spend,
+            budgetUsed: budget ? spend.total / budget : null,
+            matches: buildMatches.length,
+            wins: buildMatches.filter(m => m.result === 'win').length,
+            costPerMatch: costPerMatch(spend.total, buildMatches.length),
+        };
+    })
+    .sort((a, b) => (a.date || '9999').localeCompare(b.date || '9999') || a.name.localeCompare(b.name));
+
+export const reportTotals = (rows = []) => {
+    const total = rows.reduce((sum, row) => sum + row.total, 0);
+    const matches = rows.reduce((sum, row) => sum + row.matches, 0);
+    return {
+        total,
+        repairs: rows.reduce((sum, row) => sum + row.repairs, 0),
+        matches,
+        wins: rows.reduce((sum, row) => sum + row.wins, 0),
+        costPerMatch: costPerMatch(total, matches),
+    };
+};
+
+export const costReportToCsvRows = (rows) => [
+    ['Event', 'Date', 'Budget (₹)', 'Parts (₹)', 'GST & shipping (₹)', 'Repairs (₹)', 'Total (₹)', 'Budget used (%)', 'Matches', 'Wins', 'Cost per match (₹)'],
+    ...rows.map(row => [
+        row.name,
+        row.date,
+        row.budget ?? '',
+        row.parts.toFixed(2),
+        (row.gst + row.shipping).toFixed(2),
+        row.repairs.toFixed(2),
+        row.total.toFixed(2),
+        row.budgetUsed === null ? '' : (row.budgetUsed * 100).toFixed(0),
+        row.matches,
+        row.wins,
+        row.costPerMatch === null ? '' : row.costPerMatch.toFixed(2),
+    ]),
+];
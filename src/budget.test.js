@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { budgetOf, costByCategory, costBySupplier, buildSpend, costPerMatch, costReport, reportTotals } from './budget';
+
+const motor = { id: 'motor', name: 'Drive motor', quantity: '2', price: '850', category: 'drive', supplier: 'RoboKits' };
+const battery = { id: 'battery', name: '3S LiPo', quantity: '1', price: '1200', category: 'electronics', supplier: ' RoboKits ' };
+const bolts = { id: 'bolts', name: 'M3 bolts', quantity: '20', price: '5', category: '', supplier: '' };
+
+describe('budgetOf', () => {
+    it('ignores missing, zero and invalid budgets', () => {
+        expect(budgetOf({ budget: '15000' })).toBe(15000);
+        expect(budgetOf({})).toBeNull();
+        expect(budgetOf({ budget: 0 })).toBeNull();
+        expect(budgetOf({ budget: 'lots' })).toBeNull();
+    });
+});
+
+describe('cost breakdowns', () => {
+    it('groups by category, most expensive first', () => {
+        expect(costByCategory([motor, battery, bolts])).toEqual([['drive', 1700], ['electronics', 1200], ['other', 100]]);
+    });
+
+    it('groups by trimmed supplier name', () => {
+        expect(costBySupplier([motor, battery, bolts])).toEqual([['RoboKits', 2900], ['No supplier', 100]]);
+    });
+});
+
+describe('buildSpend', () => {
+    it('adds the repairs logged against the build', () => {
+        const entries = [{ buildId: 'event', cost: 300 }, { buildId: 'other', cost: 999 }];
+        expect(buildSpend({ id: 'event', components: [motor] }, entries)).toEqual({ parts: 1700, gst: 0, shipping: 0, repairs: 300, total: 2000 });
+    });
+
+    it('adds GST on the parts and converts foreign prices and shipping', () => {
+        const build = {
+            id: 'event',
+            components: [motor, { ...battery, price: '15', currency: 'USD' }],
+            gstRate: '18',
+            shipping: [{ id: 'dhl', label: 'DHL', amount: '10', currency: 'USD' }],
+        };
+        expect(buildSpend(build, [], { USD: 80 })).toEqual({ parts: 2900, gst: 522, shipping: 800, repairs: 0, total: 4222 });
+        expect(costBySupplier(build.components, { USD: 80 })).toEqual([['RoboKits', 2900]]);
+    });
+});
+
+describe('costPerMatch', () => {
+    it('is null before the first match', () => {
+        expect(costPerMatch(2000, 0)).toBeNull();
+        expect(costPerMatch(2000, 4)).toBe(500);
+    });
+});
+
+describe('costReport', () => {
+    const builds = [
+        { id: 'late', name: 'RoboWarz 2025', budget: 1000, createdAt: '2025-01-10T00:00:00.000Z', components: [motor] },
+        { id: 'early', name: 'Botwars 2024', createdAt: { toDate: () => new Date('2024-02-01T00:00:00Z') }, components: [battery] },
+    ];
+    const matches = [
+        { buildId: 'late', date: '2025-03-02', result: 'win' },
+        { buildId: 'late', date: '2025-03-01', result: 'loss' },
+    ];
+
+    it('orders events by their first match, or creation date without matches', () => {
+        const rows = costReport(builds, matches);
+        expect(rows.map(r => [r.id, r.date])).toEqual([['early', '2024-02-01'], ['late', '2025-03-01']]);
+    });
+
+    it('reports budget use and cost per match for each event', () => {
+        const late = costReport(builds, matches).find(r => r.id === 'late');
+        expect(late).toMatchObject({ budget: 1000, total: 1700, budgetUsed: 1.7, matches: 2, wins: 1, costPerMatch: 850 });
+    });
+
+    it('totals spend and matches across events', () => {
+        expect(reportTotals(costReport(builds, matches))).toEqual({ total: 2900, repairs: 0, matches: 2, wins: 1, costPerMatch: 1450 });
+    });
+});
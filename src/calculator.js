@@ -0,0 +1,202 @@
+import { totalMass } from './bom';
+import { isBattery } from './checklist';
+
+// --- Weapon & Drivetrain Calculator ---
+// Back-of-the-envelope numbers for a spinner and its drive, replacing the team's
+// spreadsheets. Inputs are kept as entered in the form (strings, in the units
+// shown next to each field) so scenarios round-trip through Firestore unchanged.
+
+const GRAVITY = 9.81;
+const LIPO_CELL_VOLTS = 3.7;
+// Draining a LiPo past this much of its rated capacity shortens its life.
+const USABLE_CAPACITY = 0.8;
+
+// Moment of inertia is `inertiaFactor × mass × radius²` for each shape.
+export const WEAPON_SHAPES = [
+    { id: 'disc', label: 'Solid disc', inertiaFactor: 1 / 2 },
+    { id: 'bar', label: 'Bar / beater', inertiaFactor: 1 / 3 },
+    { id: 'ring', label: 'Ring / shell drum', inertiaFactor: 1 },
+];
+
+// Form layout; `unit` is shown in the label.
+export const CALCULATOR_FIELDS = [
+    { key: 'voltage', label: 'Battery voltage', unit: 'V', group: 'battery' },
+    { key: 'batteryCapacity', label: 'Capacity', unit: 'mAh', group: 'battery' },
+    { key: 'dutyCycle', label: 'Average load', unit: '% of current limits', group: 'battery' },
+    { key: 'matchMinutes', label: 'Match length', unit: 'min', group: 'battery' },
+    { key: 'weaponKv', label: 'Motor KV', unit: 'rpm/V', group: 'weapon' },
+    { key: 'weaponGearRatio', label: 'Reduction', unit: 'motor turns per weapon turn', group: 'weapon' },
+    { key: 'weaponCurrent', label: 'Current limit', unit: 'A', group: 'weapon' },
+    { key: 'weaponMass', label: 'Weapon mass', unit: 'g', group: 'weapon' },
+    { key: 'weaponDiameter', label: 'Tip diameter', unit: 'mm', group: 'weapon' },
+    { key: 'speedEfficiency', label: 'Speed under load', unit: '% of no-load', group: 'weapon' },
+    { key: 'driveKv', label: 'Motor KV', unit: 'rpm/V', group: 'drive' },
+    { key: 'driveMotors', label: 'Drive motors', unit: 'count', group: 'drive' },
+    { key: 'driveGearRatio', label: 'Reduction', unit: 'motor turns per wheel turn', group: 'drive' },
+    { key: 'driveCurrent', label: 'Current limit', unit: 'A per motor', group: 'drive' },
+    { key: 'wheelDiameter', label: 'Wheel diameter', unit: 'mm', group: 'drive' },
+    { key: 'robotMass', label: 'Robot mass', unit: 'g', group: 'drive' },
+    { key: 'traction', label: 'Wheel grip', unit: 'friction coefficient', group: 'drive' },
+];
+
+export const emptyScenarioInputs = {
+    voltage: '', batteryCapacity: '', dutyCycle: '35', matchMinutes: '3',
+    weaponKv: '', weaponGearRatio: '1', weaponCurrent: '', weaponMass: '', weaponDiameter: '', weaponShape: 'disc', speedEfficiency: '80',
+    driveKv: '', driveMotors: '2', driveGearRatio: '1', driveCurrent: '', wheelDiameter: '', robotMass: '', traction: '0.9',
+};
+
+// Null unless the field holds a positive number, so blank fields blank their outputs.
+const positive = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+const allPresent = (...values) => values.every(value => value !== null);
+
+const rpmToRadPerSec = (rpm) => rpm * 2 * Math.PI / 60;
+
+// Torque constant in N·m/A; for a brushless motor it follows from KV alone.
+const torqueConstant = (kv) => 1 / rpmToRadPerSec(kv);
+
+// Loaded output speed in rpm after the reduction.
+const loadedRpm = (kv, voltage, efficiency, gearRatio) => kv * voltage * efficiency / gearRatio;
+
+export const calculateScenario = (inputs) => {
+    const values = Object.fromEntries(Object.keys(emptyScenarioInputs).map(key => [key, positive(inputs?.[key])]));
+    const { voltage, weaponKv, weaponCurrent, weaponMass, weaponDiameter, driveKv, driveMotors, driveCurrent, wheelDiameter, robotMass, traction, batteryCapacity, matchMinutes } = values;
+    const efficiency = (values.speedEfficiency ?? 100) / 100;
+    const weaponGearRatio = values.weaponGearRatio ?? 1;
+    const driveGearRatio = values.driveGearRatio ?? 1;
+    const shape = WEAPON_SHAPES.find(s => s.id === inputs?.weaponShape) || WEAPON_SHAPES[0];
+
+    const weaponRpm = allPresent(weaponKv, voltage) ? loadedRpm(weaponKv, voltage, efficiency, weaponGearRatio) : null;
+    const weaponOmega = weaponRpm === null ? null : rpmToRadPerSec(weaponRpm);
+    const weaponRadius = weaponDiameter === null ? null : weaponDiameter / 2000;
+    const inertia = allPresent(weaponMass, weaponRadius) ? shape.inertiaFactor * (weaponMass / 1000) * weaponRadius ** 2 : null;
+    const energy = allPresent(inertia, weaponOmega) ? 0.5 * inertia * weaponOmega ** 2 : null;
+    // Assumes the ESC holds the current limit all the way up, so it's a best case.
+    const weaponTorque = allPresent(weaponKv, weaponCurrent) ? torqueConstant(weaponKv) * weaponCurrent * weaponGearRatio : null;
+    const spinUp = allPresent(inertia, weaponOmega, weaponTorque) ? inertia * weaponOmega / weaponTorque : null;
+
+    const wheelRpm = allPresent(driveKv, voltage) ? loadedRpm(driveKv, voltage, efficiency, driveGearRatio) : null;
+    const driveSpeed = allPresent(wheelRpm, wheelDiameter) ? wheelRpm / 60 * Math.PI * wheelDiameter / 1000 : null;
+    // Pushing force is whichever runs out first: motor torque or grip.
+    const motorPush = allPresent(driveKv, driveMotors, driveCurrent, wheelDiameter)
+        ? driveMotors * torqueConstant(driveKv) * driveCurrent * driveGearRatio / (wheelDiameter / 2000)
+        : null;
+    const tractionPush = allPresent(robotMass, traction) ? traction * (robotMass / 1000) * GRAVITY : null;
+    const pushForce = motorPush === null || tractionPush === null ? null : Math.min(motorPush, tractionPush);
+    const pushLimit = pushForce === null ? null : motorPush < tractionPush ? 'motors' : 'traction';
+
+    const peakDraw = (weaponCurrent ?? 0) + (driveMotors ?? 0) * (driveCurrent ?? 0);
+    const averageDraw = peakDraw > 0 && values.dutyCycle !== null ? peakDraw * values.dutyCycle / 100 : null;
+    const runtime = allPresent(batteryCapacity, averageDraw) ? batteryCapacity / 1000 * USABLE_CAPACITY / averageDraw * 60 : null;
+
+    return {
+        weaponRpm,
+        tipSpeed: allPresent(weaponOmega, weaponRadius) ? weaponOmega * weaponRadius : null,
+        energy,
+        spinUp,
+        driveSpeed,
+        pushForce,
+        pushLimit,
+        averageDraw,
+        runtime,
+        lastsMatch: runtime === null || matchMinutes === null ? null : runtime >= matchMinutes,
+    };
+};
+
+const fixed = (digits, unit) => (value) => `${value.toFixed(digits)} ${unit}`;
+
+// Rows of the results and comparison tables. `better` marks which way is an improvement.
+export const SCENARIO_OUTPUTS = [
+    { key: 'weaponRpm', label: 'Weapon speed', format: fixed(0, 'rpm'), better: 'higher' },
+    { key: 'tipSpeed', label: 'Tip speed', format: fixed(1, 'm/s'), better: 'higher' },
+    { key: 'energy', label: 'Stored energy', format: fixed(0, 'J'), better: 'higher' },
+    { key: 'spinUp', label: 'Spin-up time', format: fixed(2, 's'), better: 'lower' },
+    { key: 'driveSpeed', label: 'Drive top speed', format: fixed(2, 'm/s'), better: 'higher' },
+    { key: 'pushForce', label: 'Pushing force', format: fixed(1, 'N'), better: 'higher' },
+    { key: 'averageDraw', label: 'Average current', format: fixed(1, 'A'), better: 'lower' },
+    { key: 'runtime', label: 'Battery runtime', format: fixed(1, 'min'), better: 'higher' },
+];
+
+// Index of the best value in a comparison row, or -1 if fewer than two can be compared.
+export const bestIndex = (values, better) => {
+    const present = values.map((value, index) => [value, index]).filter(([value]) => value !== null);
+    if (present.length < 2) return -1;
+    const [, index] = present.reduce((best, entry) => (better === 'lower' ? entry[0] < best[0] : entry[0] > best[0]) ? entry : best);
+    return index;
+};
+
+// --- Inputs From Components ---
+// Reads what it can from the build's parts list: KV ratings and battery specs are
+// usually in the part name ("2207 1750KV", "4S 850mAh").
+
+const KV_PATTERN = /(\d{2,5})\s*kv\b/i;
+const CELLS_PATTERN = /\b(\d{1,2})\s*s\b/i;
+const CAPACITY_PATTERN = /(\d{3,5})\s*mah\b/i;
+const DIAMETER_PATTERN = /(\d{2,3}(?:\.\d+)?)\s*mm\b/i;
+
+const describe = (component) => `${component.name} ${component.partNumber || ''} ${component.notes || ''}`;
+
+const matchNumber = (component, pattern) => {
+    const match = describe(component).match(pattern);
+    return match ? match[1] : null;
+};
+
+// Returns the inputs found and, for each one, the name of the part it came from.
+export const inputsFromComponents = (components = []) => {
+    const inputs = {};
+    const sources = {};
+    const take = (key, value, component) => {
+        if (value === null || value === undefined || key in inputs) return;
+        inputs[key] = String(value);
+        sources[key] = component ? component.name : 'Parts list';
+    };
+
+    const motors = components.filter(c => matchNumber(c, KV_PATTERN));
+    const weaponMotor = motors.find(c => c.category === 'weapon');
+    if (weaponMotor) take('weaponKv', matchNumber(weaponMotor, KV_PATTERN), weaponMotor);
+    const driveMotors = motors.filter(c => c.category === 'drive');
+    if (driveMotors.length > 0) {
+        take('driveKv', matchNumber(driveMotors[0], KV_PATTERN), driveMotors[0]);
+        const count = driveMotors.reduce((sum, c) => sum + (parseInt(c.quantity) || 0), 0);
+        if (count > 0) take('driveMotors', count, driveMotors[0]);
+    }
+
+    const battery = components.find(c => isBattery(c) && matchNumber(c, CELLS_PATTERN));
+    if (battery) {
+        take('voltage', (parseInt(matchNumber(battery, CELLS_PATTERN)) * LIPO_CELL_VOLTS).toFixed(1), battery);
+        take('batteryCapacity', matchNumber(battery, CAPACITY_PATTERN), battery);
+    }
+
+    // The heaviest weapon part that isn't the motor is taken to be the weapon itself.
+    const weapon = components
+        .filter(c => c.category === 'weapon' && !motors.includes(c) && parseFloat(c.mass) > 0)
+        .sort((a, b) => parseFloat(b.mass) - parseFloat(a.mass))[0];
+    if (weapon) {
+        take('weaponMass', parseFloat(weapon.mass), weapon);
+        take('weaponDiameter', matchNumber(weapon, DIAMETER_PATTERN), weapon);
+    }
+
+    const mass = totalMass(components);
+    if (mass > 0) take('robotMass', mass.toFixed(0), null);
+
+    return { inputs, sources };
+};
+
+// --- Saved Scenarios ---
+// Stored on the build as `scenarios: [{ id, name, inputs, savedAt }]`.
+
+export const scenariosOf = (build) => build?.scenarios || [];
+
+// Saving under an existing name overwrites that scenario.
+export const saveScenario = (scenarios, { name, inputs }, newId = crypto.randomUUID()) => {
+    const existing = scenarios.find(s => s.name.toLowerCase() === name.trim().toLowerCase());
+    const scenario = { id: existing?.id || newId, name: name.trim(), inputs: { ...emptyScenarioInputs, ...inputs }, savedAt: new Date().toISOString() };
+    return existing
+        ? scenarios.map(s => s.id === existing.id ? scenario : s)
+        : [...scenarios, scenario];
+};
+
+export const deleteScenario = (scenarios, scenarioId) => scenarios.filter(s => s.id !== scenarioId);
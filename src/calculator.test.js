@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { emptyScenarioInputs, calculateScenario, bestIndex, inputsFromComponents, saveScenario, deleteScenario } from './calculator';
+
+// A beetleweight undercutter: 4S, 1000KV weapon with a 2:1 reduction, 250 g disc.
+const undercutter = {
+    ...emptyScenarioInputs,
+    voltage: '14.8', batteryCapacity: '850', dutyCycle: '50', matchMinutes: '3',
+    weaponKv: '1000', weaponGearRatio: '2', weaponCurrent: '40', weaponMass: '250', weaponDiameter: '150', weaponShape: 'disc', speedEfficiency: '100',
+    driveKv: '1000', driveMotors: '2', driveGearRatio: '20', driveCurrent: '10', wheelDiameter: '40', robotMass: '1360', traction: '0.9',
+};
+
+describe('calculateScenario', () => {
+    it('works out the weapon numbers', () => {
+        const results = calculateScenario(undercutter);
+        expect(results.weaponRpm).toBe(7400);
+        expect(results.tipSpeed).toBeCloseTo(58.1, 1);
+        // ½ · (½ · 0.25 kg · 0.075² m²) · (775 rad/s)²
+        expect(results.energy).toBeCloseTo(210.9, 0);
+        expect(results.spinUp).toBeCloseTo(0.71, 2);
+    });
+
+    it('caps pushing force at whichever runs out first', () => {
+        const results = calculateScenario(undercutter);
+        expect(results.driveSpeed).toBeCloseTo(1.55, 2);
+        expect(results.pushForce).toBeCloseTo(12.0, 1);
+        expect(results.pushLimit).toBe('traction');
+        expect(calculateScenario({ ...undercutter, driveGearRatio: '1' }).pushLimit).toBe('motors');
+    });
+
+    it('estimates battery runtime from the average draw', () => {
+        const results = calculateScenario(undercutter);
+        expect(results.averageDraw).toBe(30);
+        expect(results.runtime).toBeCloseTo(1.36, 2);
+        expect(results.lastsMatch).toBe(false);
+    });
+
+    it('leaves outputs blank when their inputs are missing', () => {
+        const results = calculateScenario({ ...undercutter, weaponDiameter: '', batteryCapacity: 'lots' });
+        expect(results.weaponRpm).toBe(7400);
+        expect(results.tipSpeed).toBeNull();
+        expect(results.energy).toBeNull();
+        expect(results.spinUp).toBeNull();
+        expect(results.runtime).toBeNull();
+        expect(results.lastsMatch).toBeNull();
+    });
+});
+
+describe('bestIndex', () => {
+    it('picks the best present value in either direction', () => {
+        expect(bestIndex([3, null, 5], 'higher')).toBe(2);
+        expect(bestIndex([3, null, 5], 'lower')).toBe(0);
+        expect(bestIndex([3, null], 'higher')).toBe(-1);
+    });
+});
+
+describe('inputsFromComponents', () => {
+    it('reads motors, the battery and the weapon from the parts list', () => {
+        const { inputs, sources } = inputsFromComponents([
+            { id: '1', name: 'Weapon motor 2836 1000KV', category: 'weapon', quantity: '1', mass: '80' },
+            { id: '2', name: 'Drive motor 1806 2300kv', category: 'drive', quantity: '2', mass: '20' },
+            { id: '3', name: 'S7 disc 150mm', category: 'weapon', quantity: '1', mass: '250' },
+            { id: '4', name: 'LiPo 4S 850mAh', category: 'electronics', quantity: '1', mass: '95' },
+        ]);
+        expect(inputs).toEqual({
+            weaponKv: '1000',
+            driveKv: '2300',
+            driveMotors: '2',
+            voltage: '14.8',
+            batteryCapacity: '850',
+            weaponMass: '250',
+            weaponDiameter: '150',
+            robotMass: '465',
+        });
+        expect(sources.weaponMass).toBe('S7 disc 150mm');
+        expect(sources.robotMass).toBe('Parts list');
+    });
+
+    it('returns nothing for an unrelated parts list', () => {
+        expect(inputsFromComponents([{ id: '1', name: 'M3 bolts', category: 'fasteners', quantity: '20' }]).inputs).toEqual({});
+    });
+});
+
+describe('scenarios', () => {
+    it('overwrites a scenario saved under the same name', () => {
+        const saved = saveScenario([], { name: 'Stock', inputs: undercutter }, 'a');
+        const renamed = saveScenario(saved, { name: ' stock ', inputs: { ...undercutter, voltage: '22.2' } }, 'b');
+        expect(renamed).toHaveLength(1);
+        expect(renamed[0]).toMatchObject({ id: 'a', name: 'stock' });
+        expect(renamed[0].inputs.voltage).toBe('22.2');
+
+        const both = saveScenario(renamed, { name: '6S', inputs: {} }, 'c');
+        expect(both.map(s => s.id)).toEqual(['a', 'c']);
+        expect(both[1].inputs).toEqual(emptyScenarioInputs);
+        expect(deleteScenario(both, 'a').map(s => s.id)).toEqual(['c']);
+    });
+});
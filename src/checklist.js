@@ -0,0 +1,85 @@
+import { formatMass, totalMass, weightLimitOf } from './bom';
+import { isLowStock } from './spares';
+
+// --- Event Checklists ---
+// Items are generated from the build and the spares inventory each time the list
+// is opened; only the ticks are stored, keyed by item id, so a change to the
+// build adds or drops items without losing what's already been ticked.
+
+export const CHECKLIST_SECTIONS = [
+    { id: 'spares', label: 'Spares' },
+    { id: 'batteries', label: 'Batteries' },
+    { id: 'tools', label: 'Tools' },
+    { id: 'inspection', label: 'Tech inspection' },
+];
+
+export const PIT_TOOLS = [
+    'Hex key set (metric)',
+    'Screwdrivers and nut drivers',
+    'Soldering iron, solder and flux',
+    'Heat shrink and zip ties',
+    'Threadlocker',
+    'Multimeter',
+    'LiPo charger and balance leads',
+    'LiPo-safe bag',
+    'Transmitter and spare AA cells',
+    'Safety glasses and gloves',
+];
+
+export const TECH_INSPECTION_CHECKS = [
+    'Failsafe: switch the transmitter off, drive and weapon stop',
+    'Weapon locking bar fitted for transport',
+    'Power switch reachable with the robot upright and inverted',
+    'No exposed battery terminals or loose wiring',
+    'All fasteners tight and threadlocked',
+    'Weapon spins up and stops cleanly on the bench',
+];
+
+const slug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const BATTERY_PATTERN = /batter|lipo|li-ion|\d+s\b/i;
+
+export const isBattery = (component) => BATTERY_PATTERN.test(`${component.name} ${component.partNumber || ''}`);
+
+// Spares linked to a component only go in the box when the build carries that part.
+export const generateChecklist = (build, spares = []) => {
+    const components = build?.components || [];
+    const componentIds = new Set(components.map(c => c.id));
+    const items = [];
+
+    spares
+        .filter(spare => !spare.componentId || componentIds.has(spare.componentId))
+        .forEach(spare => items.push({
+            id: `spare-${spare.id}`,
+            section: 'spares',
+            label: `${spare.name} (${spare.onHand ?? 0} on hand)`,
+            warning: isLowStock(spare) ? `Below minimum of ${spare.minStock}` : '',
+        }));
+
+    components.filter(isBattery).forEach(component => items.push({
+        id: `battery-${component.id}`,
+        section: 'batteries',
+        label: `Charge and pack ${component.quantity}× ${component.name}`,
+        warning: '',
+    }));
+
+    PIT_TOOLS.forEach(tool => items.push({ id: `tool-${slug(tool)}`, section: 'tools', label: tool, warning: '' }));
+
+    const mass = totalMass(components);
+    const limit = weightLimitOf(build);
+    items.push({
+        id: 'inspection-weight',
+        section: 'inspection',
+        label: `Weigh in under ${formatMass(limit)} (BOM says ${formatMass(mass)})`,
+        warning: mass > limit ? 'The BOM is over the weight limit' : '',
+    });
+    TECH_INSPECTION_CHECKS.forEach(check => items.push({ id: `inspection-${slug(check)}`, section: 'inspection', label: check, warning: '' }));
+
+    return items;
+};
+
+// Ticks for items that no longer exist are ignored.
+export const checklistProgress = (items, ticks = {}) => {
+    const done = items.filter(item => ticks[item.id]).length;
+    return { done, total: items.length, complete: items.length > 0 && done === items.length };
+};
@@ -0,0 +1,55 @@
+import { sameComponent } from './bom';
+
+// --- Conflict-safe Component Writes ---
+// Components live in one array on the build. Each edit is a change function that
+// the repository applies to the latest copy of that array, so two people editing
+// different rows never overwrite each other.
+
+export class EditConflictError extends Error {
+    constructor(current) {
+        super(current ? "This component was changed by someone else." : "This component was deleted by someone else.");
+        this.name = 'EditConflictError';
+        this.current = current;
+    }
+}
+
+// Each change function takes the latest components and returns the new array plus
+// the history entry describing it, or null when there is nothing to write.
+
+export const addComponent = (component) => (components) => ({
+    components: [...components, component],
+    change: { action: 'add', componentId: component.id, after: component },
+});
+
+// `expected` is the component as the editor last saw it; a mismatch means someone
+// else saved in between. Pass the latest version to overwrite knowingly.
+export const updateComponent = (component, expected) => (components) => {
+    const current = components.find(c => c.id === component.id);
+    if (!current || (expected && !sameComponent(current, expected))) {
+        throw new EditConflictError(current || null);
+    }
+    return {
+        components: components.map(c => c.id === component.id ? component : c),
+        change: { action: 'update', componentId: component.id, before: current, after: component },
+    };
+};
+
+// The component form adds a row, or saves the one being edited when `editing` is
+// set. `base` is that row as it was when editing started.
+export const componentFormChange = ({ draft, editing, base }, newId = crypto.randomUUID()) => editing
+    ? updateComponent({ ...editing }, base)
+    : addComponent({ ...draft, id: newId });
+
+export const removeComponent = (componentId) => (components) => {
+    const current = components.find(c => c.id === componentId);
+    if (!current) return null;
+    return {
+        components: components.filter(c => c.id !== componentId),
+        change: { action: 'delete', componentId, before: current },
+    };
+};
+
+export const importComponents = (imported, mode) => (components) => ({
+    components: mode === 'replace' ? imported : [...components, ...imported],
+    change: { action: 'import', before: mode === 'replace' ? components : null, after: imported },
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { componentFormChange, addComponent, updateComponent, removeComponent, importComponents, EditConflictError } from './componentWrites';
+
+const motor = { id: 'motor', name: 'Drive motor', quantity: '2', price: '850' };
+const battery = { id: 'battery', name: '3S LiPo', quantity: '1', price: '1200' };
+
+describe('componentFormChange', () => {
+    it('adds the draft with a new id when nothing is being edited', () => {
+        const draft = { ...motor, id: '' };
+        const result = componentFormChange({ draft, editing: null, base: null }, 'new-id')([battery]);
+        expect(result.components).toEqual([battery, { ...motor, id: 'new-id' }]);
+        expect(result.change).toMatchObject({ action: 'add', componentId: 'new-id' });
+    });
+
+    it('updates the row being edited in place', () => {
+        const editing = { ...motor, price: '900' };
+        const result = componentFormChange({ draft: null, editing, base: motor }, 'unused')([motor, battery]);
+        expect(result.components).toEqual([editing, battery]);
+        expect(result.change).toMatchObject({ action: 'update', componentId: 'motor', before: motor, after: editing });
+    });
+
+    it('refuses to overwrite a row someone else saved since editing started', () => {
+        const theirs = { ...motor, quantity: '4' };
+        const change = componentFormChange({ draft: null, editing: { ...motor, price: '900' }, base: motor });
+        expect(() => change([theirs])).toThrow(EditConflictError);
+    });
+});
+
+describe('change functions', () => {
+    it('reports a deleted row as a conflict with no current version', () => {
+        try {
+            updateComponent(motor, motor)([battery]);
+            throw new Error('expected a conflict');
+        } catch (err) {
+            expect(err).toBeInstanceOf(EditConflictError);
+            expect(err.current).toBeNull();
+        }
+    });
+
+    it('leaves other rows alone when two edits are applied in turn', () => {
+        const afterAdd = addComponent(battery)([motor]).components;
+        const result = updateComponent({ ...motor, price: '900' }, motor)(afterAdd);
+        expect(result.components).toEqual([{ ...motor, price: '900' }, battery]);
+    });
+
+    it('skips removing a row that is already gone', () => {
+        expect(removeComponent('missing')([motor])).toBeNull();
+    });
+
+    it('appends or replaces on import', () => {
+        expect(importComponents([battery], 'append')([motor]).components).toEqual([motor, battery]);
+        const replaced = importComponents([battery], 'replace')([motor]);
+        expect(replaced.components).toEqual([battery]);
+        expect(replaced.change.before).toEqual([motor]);
+    });
+});
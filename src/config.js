@@ -0,0 +1,65 @@
+// --- Helper Functions & Configuration ---
+// Everything the site needs to know before deciding whether to load Firebase at
+// all. Kept free of Firebase imports so public pages don't download the SDK.
+
+// VITE_DATA_BACKEND=local keeps all data in this browser and skips Firebase
+// entirely; anything else uses Firestore with the config below.
+export const dataBackend = import.meta.env.VITE_DATA_BACKEND === 'local' ? 'local' : 'firestore';
+
+// VITE_FIREBASE_EMULATORS=true talks to `firebase emulators:start` instead of the
+// real project; the emulator test suite runs this way.
+export const useEmulators = import.meta.env.VITE_FIREBASE_EMULATORS === 'true';
+
+const REQUIRED_CONFIG_KEYS = ['apiKey', 'authDomain', 'projectId', 'appId'];
+
+// This now securely reads the Firebase config from your local .env.local file
+// or from the deployment environment's variables on Vercel. Returns the config,
+// or an error explaining what's wrong with it.
+const readFirebaseConfig = () => {
+    const configString = import.meta.env.VITE_FIREBASE_CONFIG || (typeof __firebase_config !== 'undefined' ? __firebase_config : '');
+    if (!configString.trim()) {
+        return { error: "VITE_FIREBASE_CONFIG is not set." };
+    }
+    let config;
+    try {
+        config = JSON.parse(configString);
+    } catch (err) {
+        return { error: `VITE_FIREBASE_CONFIG is not valid JSON (${err.message}).` };
+    }
+    const missing = REQUIRED_CONFIG_KEYS.filter(key => !config?.[key]);
+    if (missing.length > 0) {
+        return { error: `VITE_FIREBASE_CONFIG is missing ${missing.join(', ')}.` };
+    }
+    return { config };
+};
+
+const { config, error: configError } = dataBackend === 'firestore' ? readFirebaseConfig() : {};
+
+// Null in local mode or with a bad config.
+export const firebaseConfig = config || null;
+
+// Shown by main.jsx instead of the app when Firebase can't start.
+export const firebaseConfigError = configError || null;
+
+export const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+
+// Every signed-in crew member reads and writes the same team workspace.
+export const teamId = import.meta.env.VITE_TEAM_ID || 'sidewinder';
+
+// Local mode has no sign-in, so this single user stands in and can do everything.
+export const LOCAL_USER = { uid: 'local', email: 'local@this-device', isAnonymous: false };
+
+// --- Firestore Paths ---
+export const teamPath = `artifacts/${appId}/teams/${teamId}`;
+export const teamBuildsPath = `${teamPath}/builds`;
+export const teamMembersPath = `${teamPath}/members`;
+export const teamGalleryPath = `${teamPath}/gallery`;
+export const teamMatchesPath = `${teamPath}/matches`;
+export const teamMaintenancePath = `${teamPath}/maintenance`;
+export const teamSparesPath = `${teamPath}/spares`;
+export const teamChecklistsPath = `${teamPath}/checklists`;
+export const teamContentPath = `${teamPath}/content`;
+export const teamSettingsPath = `${teamPath}/settings`;
+
+// Builds used to be stored per anonymous user; kept so they can be claimed into the team.
+export const legacyBuildsPath = (uid) => `artifacts/${appId}/users/${uid}/builds`;
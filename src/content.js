@@ -0,0 +1,94 @@
+// --- Site Content ---
+// Copy for the homepage and About page lives in one `content/site` document that
+// owners edit from the site. `defaultSiteContent` is what the site shows until the
+// document exists, and fills in any section it's missing. Reading and saving the
+// document lives in contentStore.js, so public pages don't load Firebase.
+
+export const FEATURE_ICONS = ['bolt', 'shield', 'cog'];
+
+export const SOCIAL_LINKS = [
+    { id: 'instagram', label: 'Instagram' },
+    { id: 'linkedin', label: 'LinkedIn' },
+    { id: 'github', label: 'GitHub' },
+];
+
+export const defaultSiteContent = {
+    hero: {
+        title: 'SIDEWINDER',
+        tagline: '3lb Beetleweight Combat Robot. Engineered to Dominate.',
+        backgroundUrl: '/images/sdOriginal.jpg',
+    },
+    features: [
+        { id: 'undercutter', icon: 'bolt', title: 'Undercutter', description: 'A high-RPM, hardened S7 tool steel weapon designed for maximum impact and armor penetration.' },
+        { id: 'fighter', icon: 'shield', title: 'Fighter', description: "Only bot in Thriveforce to defeat bullfrog..... Won it's debut match dominantly" },
+        { id: 'brushless-drive', icon: 'cog', title: 'Brushless Drive', description: 'Powerful brushless motors deliver rapid acceleration and agile maneuverability inside the arena.' },
+    ],
+    // Crew access entries link back to these by `id`, so ids shouldn't change once used.
+    members: [
+        { id: 'keshav', name: 'Keshav Krishnan', title: 'Founder', imgSrc: '/images/Keshav.png', bio: '', socials: {} },
+        { id: 'manoj', name: 'Badam Naga Manoj', title: 'Hard Worker', imgSrc: '/images/manoj.png', bio: '', socials: {} },
+        { id: 'ekansh', name: 'Ekansh Goel', title: 'Moral Support', imgSrc: '/images/ekansh.png', bio: '', socials: {} },
+    ],
+    specs: [
+        { label: 'Weight class', value: 'Beetleweight (3 lb / 1.36 kg)' },
+        { label: 'Weapon', value: 'Undercutter, hardened S7 tool steel' },
+        { label: 'Drive', value: 'Brushless, two-wheel' },
+        { label: 'Chassis', value: 'Invertible, low profile' },
+    ],
+    about: [
+        { id: 'origin', heading: '', body: 'Sidewinder was born from a passion for robotic combat and a drive to create a machine that is both elegant in its simplicity and brutal in its effectiveness. The design philosophy centers around a powerful, reliable weapon system coupled with a durable, low-profile chassis that can withstand the rigors of the modern combat robotics arena.', imageUrl: '/images/electronics.jpg', imageAlt: 'Sidewinder schematics' },
+        { id: 'design', heading: 'Design Philosophy', body: 'Our primary goal is complete dominance. Sidewinder is designed to be invertible, aggressive, and incredibly sturdy. Every component, from the custom-machined weapon bar to the shock-mounted electronics, has been selected and integrated to contribute to a single purpose: victory.', imageUrl: '', imageAlt: '' },
+        { id: 'history', heading: 'Competition History', body: 'Sidewinder made its debut at Thriveforce, where it was the only bot to defeat Bullfrog. Every fight since is logged with its result, how it was decided and the build that fought it.', imageUrl: '', imageAlt: '' },
+    ],
+    contactEmail: 'krishnankeshav007@gmail.com',
+};
+
+export const emptyFeature = { id: '', icon: 'bolt', title: '', description: '' };
+export const emptyMember = { id: '', name: '', title: '', imgSrc: '', bio: '', socials: {} };
+export const emptySpec = { label: '', value: '' };
+export const emptyAboutSection = { id: '', heading: '', body: '', imageUrl: '', imageAlt: '' };
+
+// Top-level sections replace the defaults whole, so an emptied list stays empty.
+export const mergeSiteContent = (stored) => ({
+    ...defaultSiteContent,
+    ...stored,
+    hero: { ...defaultSiteContent.hero, ...stored?.hero },
+});
+
+export const findTeamMember = (members, id) => members.find(m => m.id === id);
+
+// Paragraphs are separated by blank lines in the editor.
+export const paragraphsOf = (text = '') => text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+
+export const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Items keep the id they were created with; new ones get one from their title.
+export const withIds = (items, titleKey) => {
+    const used = new Set();
+    return items.map(item => {
+        let id = item.id || slugify(item[titleKey] || '') || 'item';
+        while (used.has(id)) id = `${id}-2`;
+        used.add(id);
+        return { ...item, id };
+    });
+};
+
+// The rules behind each section editor. Returns an error message, or '' when valid.
+export const validateSection = (section, value) => {
+    switch (section) {
+        case 'hero':
+            return value.title.trim() ? '' : "The hero needs a title.";
+        case 'features':
+            return value.every(f => f.title.trim() && f.description.trim()) ? '' : "Every feature card needs a title and a description.";
+        case 'members':
+            return value.every(m => m.name.trim()) ? '' : "Every team member needs a name.";
+        case 'specs':
+            return value.every(s => s.label.trim() && s.value.trim()) ? '' : "Every spec needs a label and a value.";
+        case 'about':
+            return value.every(a => a.body.trim()) ? '' : "Every About section needs some text.";
+        case 'contactEmail':
+            return value.includes('@') ? '' : "Enter a valid contact email.";
+        default:
+            return '';
+    }
+};
@@ -0,0 +1,29 @@
+import { doc, onSnapshot, setDoc, serverTimestamp } from 'firebase/firestore';
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { db, storage } from './firebase';
+import { teamPath, teamContentPath } from './config';
+import { mergeSiteContent } from './content';
+import { resizeImage } from './gallery';
+
+// --- Site Content Storage ---
+// The Firestore side of content.js, loaded with the rest of Firebase for the crew.
+
+const siteContentRef = () => doc(db, teamContentPath, 'site');
+
+// Live updates, so an owner's edits show up as soon as they're saved.
+export const subscribeSiteContent = (onChange, onError) =>
+    onSnapshot(siteContentRef(), (contentDoc) => onChange(mergeSiteContent(contentDoc.data())), onError);
+
+export const saveSiteSection = (section, value, user) => setDoc(siteContentRef(), {
+    [section]: value,
+    updatedBy: user.email || user.uid,
+    updatedAt: serverTimestamp(),
+}, { merge: true });
+
+// Team photos and section images are stored next to the gallery in Storage.
+export const uploadContentImage = async (file, name) => {
+    const { blob } = await resizeImage(file, 1200);
+    const imageRef = ref(storage, `${teamPath}/content/${name}-${Date.now()}.jpg`);
+    await uploadBytes(imageRef, blob, { contentType: 'image/jpeg' });
+    return getDownloadURL(imageRef);
+};
@@ -0,0 +1,61 @@
+import { downloadBlob } from './download';
+
+// --- CSV Helpers ---
+// Minimal RFC 4180 reader/writer: quoted fields, escaped quotes, embedded commas and newlines.
+
+// Spreadsheets run text starting with these as a formula, so exported text cells
+// get a leading apostrophe, which they show as plain text. Import strips it again.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const unguardFormula = (field) => field.startsWith("'") && FORMULA_START.test(field.slice(1)) ? field.slice(1) : field;
+
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Spreadsheets like to pad exports with blank lines.
+    return rows.filter(r => r.some(cell => cell.trim() !== '')).map(r => r.map(unguardFormula));
+};
+
+const escapeField = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(escapeField).join(',')).join('\r\n');
+
+// Prefixes a byte-order mark so Excel reads the ₹ sign correctly.
+export const downloadCsv = (filename, rows) => downloadBlob(filename, new Blob(['\uFEFF' + toCsv(rows)], { type: 'text/csv;charset=utf-8' }));
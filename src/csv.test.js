@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsv, toCsv } from './csv';
+
+describe('toCsv', () => {
+    it('quotes fields with commas, quotes and newlines', () => {
+        expect(toCsv([['Name', 'Notes'], ['Drive motor, 2207', 'Says "2207"\non the can']]))
+            .toBe('Name,Notes\r\n"Drive motor, 2207","Says ""2207""\non the can"');
+    });
+
+    it('keeps spreadsheets from running text cells as formulas', () => {
+        expect(toCsv([['=HYPERLINK("http://evil.test")', '+91 98765', '-M3 bolt', '@SUM(A1)', 'M3 bolt', -5]]))
+            .toBe(`"'=HYPERLINK(""http://evil.test"")",'+91 98765,'-M3 bolt,'@SUM(A1),M3 bolt,-5`);
+    });
+});
+
+describe('parseCsv', () => {
+    it('reads back what toCsv writes, including guarded cells', () => {
+        const rows = [['Name', 'Part number', 'Notes'], ['=cmd', '-M3', 'Line one\nline two, with "quotes"']];
+        expect(parseCsv('\uFEFF' + toCsv(rows))).toEqual(rows);
+    });
+
+    it('drops blank padding rows', () => {
+        expect(parseCsv('a,b\r\n\r\n,\r\nc,d\r\n')).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+});
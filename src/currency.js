@@ -0,0 +1,82 @@
+// --- Currencies & Exchange Rates ---
+// Prices are entered in whatever currency the part was bought in. Budgets, repair
+// costs and reports stay in rupees, so everything is converted through
+// BASE_CURRENCY using the team's own rate table: `rates` maps a currency code to
+// how many rupees one unit is worth, e.g. { USD: 83.2 }.
+
+export const BASE_CURRENCY = 'INR';
+
+export const CURRENCIES = [
+    { code: 'INR', symbol: '₹', label: 'Indian rupee' },
+    { code: 'USD', symbol: '$', label: 'US dollar' },
+    { code: 'CNY', symbol: '¥', label: 'Chinese yuan' },
+    { code: 'EUR', symbol: '€', label: 'Euro' },
+    { code: 'GBP', symbol: '£', label: 'British pound' },
+];
+
+// Components and line items saved before currencies existed are in rupees.
+export const currencyOf = (item) => item?.currency || BASE_CURRENCY;
+
+export const currencySymbol = (code) => CURRENCIES.find(c => c.code === code)?.symbol;
+
+export const formatMoney = (amount, currency = BASE_CURRENCY) => {
+    const symbol = currencySymbol(currency);
+    return symbol ? `${symbol}${amount.toFixed(2)}` : `${amount.toFixed(2)} ${currency}`;
+};
+
+// Rupees per unit of `currency`, or null when the team hasn't set a rate for it.
+export const rateFor = (currency, rates) => {
+    if (currency === BASE_CURRENCY) return 1;
+    const rate = parseFloat(rates?.[currency]);
+    return rate > 0 ? rate : null;
+};
+
+// Both return null when a rate is missing, so callers can flag it rather than guess.
+export const toBase = (amount, currency, rates) => {
+    const rate = rateFor(currency, rates);
+    return rate === null ? null : amount * rate;
+};
+
+export const fromBase = (amount, currency, rates) => {
+    const rate = rateFor(currency, rates);
+    return rate === null ? null : amount / rate;
+};
+
+// Currencies used by `items` that have no rate, for the "left out of the totals" warning.
+export const missingRates = (items = [], rates) =>
+    [...new Set(items.map(currencyOf))].filter(code => rateFor(code, rates) === null);
+
+// The rate form's values as numbers, dropping blanks. Returns { rates } or { error }.
+export const parseRates = (inputs) => {
+    const rates = {};
+    for (const [code, value] of Object.entries(inputs)) {
+        if (code === BASE_CURRENCY || String(value ?? '').trim() === '') continue;
+        const rate = parseFloat(value);
+        if (!(rate > 0)) return { error: `The ${code} rate must be a positive number of rupees.` };
+        rates[code] = rate;
+    }
+    return { rates };
+};
+
+// Price cells in spreadsheets often carry the symbol instead of a currency column.
+export const currencyFromSymbol = (text) => CURRENCIES.find(c => String(text).includes(c.symbol))?.code || '';
+
+// The display currency is a per-device preference, like the table filters.
+const DISPLAY_CURRENCY_KEY = 'sidewinder-display-currency';
+
+export const savedDisplayCurrency = () => {
+    try {
+        const code = localStorage.getItem(DISPLAY_CURRENCY_KEY);
+        return CURRENCIES.some(c => c.code === code) ? code : BASE_CURRENCY;
+    } catch {
+        return BASE_CURRENCY;
+    }
+};
+
+export const rememberDisplayCurrency = (code) => {
+    try {
+        localStorage.setItem(DISPLAY_CURRENCY_KEY, code);
+    } catch {
+        // Not worth an error message; it just resets next visit.
+    }
+};
@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { currencyOf, formatMoney, toBase, fromBase, missingRates, parseRates, currencyFromSymbol, savedDisplayCurrency, rememberDisplayCurrency } from './currency';
+
+describe('conversion', () => {
+    it('treats items without a currency as rupees', () => {
+        expect(currencyOf({ price: '10' })).toBe('INR');
+        expect(toBase(10, 'INR', {})).toBe(10);
+    });
+
+    it('converts through the rupee rate in both directions', () => {
+        expect(toBase(25, 'USD', { USD: 80 })).toBe(2000);
+        expect(fromBase(2000, 'USD', { USD: '80' })).toBe(25);
+    });
+
+    it('returns null rather than guessing when a rate is missing', () => {
+        expect(toBase(25, 'USD', {})).toBeNull();
+        expect(fromBase(25, 'CNY', { CNY: 0 })).toBeNull();
+        expect(missingRates([{ currency: 'USD' }, { currency: 'CNY' }, {}, { currency: 'USD' }], { CNY: 11.5 })).toEqual(['USD']);
+    });
+});
+
+describe('formatMoney', () => {
+    it('uses the symbol where there is one', () => {
+        expect(formatMoney(12.5, 'USD')).toBe('$12.50');
+        expect(formatMoney(12.5)).toBe('₹12.50');
+        expect(formatMoney(12.5, 'CHF')).toBe('12.50 CHF');
+    });
+});
+
+describe('parseRates', () => {
+    it('drops blanks and the base currency', () => {
+        expect(parseRates({ INR: '2', USD: '83.2', EUR: ' ' })).toEqual({ rates: { USD: 83.2 } });
+    });
+
+    it('rejects zero or non-numeric rates', () => {
+        expect(parseRates({ USD: '0' }).error).toMatch(/USD/);
+        expect(parseRates({ GBP: 'lots' }).error).toMatch(/GBP/);
+    });
+});
+
+describe('currencyFromSymbol', () => {
+    it('recognises a symbol in a spreadsheet price cell', () => {
+        expect(currencyFromSymbol('$12.50')).toBe('USD');
+        expect(currencyFromSymbol('12.50')).toBe('');
+    });
+});
+
+describe('display currency', () => {
+    beforeEach(() => localStorage.clear());
+
+    it('remembers a known currency and ignores anything else', () => {
+        expect(savedDisplayCurrency()).toBe('INR');
+        rememberDisplayCurrency('EUR');
+        expect(savedDisplayCurrency()).toBe('EUR');
+        rememberDisplayCurrency('XYZ');
+        expect(savedDisplayCurrency()).toBe('INR');
+    });
+});
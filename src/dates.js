@@ -0,0 +1,2 @@
+// Dates are stored as YYYY-MM-DD strings and shown in the visitor's locale.
+export const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
@@ -0,0 +1,11 @@
+// Saves a file built in the browser through a temporary link.
+export const downloadBlob = (filename, blob) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Some browsers only start reading the file after click() returns, so the URL
+    // is released well afterwards rather than straight away.
+    setTimeout(() => URL.revokeObjectURL(url), 40000);
+};
@@ -0,0 +1,24 @@
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { initializeFirestore, connectFirestoreEmulator, persistentLocalCache, persistentMultipleTabManager, setLogLevel } from 'firebase/firestore';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
+import { firebaseConfig, useEmulators } from './config';
+
+// --- Firebase Initialization ---
+// Only imported by code that talks to Firebase, which the app loads on demand.
+// These stay null in local mode or with a bad config, so importing this module never throws.
+const firebaseEnabled = Boolean(firebaseConfig);
+export const app = firebaseEnabled ? initializeApp(firebaseConfig) : null;
+export const auth = firebaseEnabled ? getAuth(app) : null;
+// Reads are cached in IndexedDB and shared between tabs, so builds that were
+// synced once stay browsable (and editable) without a connection.
+export const db = firebaseEnabled ? initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) }) : null;
+export const storage = firebaseEnabled ? getStorage(app) : null;
+if (firebaseEnabled) setLogLevel('debug');
+
+// Ports match firebase.json.
+if (firebaseEnabled && useEmulators) {
+    connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+    connectFirestoreEmulator(db, '127.0.0.1', 8080);
+    connectStorageEmulator(storage, '127.0.0.1', 9199);
+}
@@ -0,0 +1,271 @@
+import { collection, doc, onSnapshot, setDoc, updateDoc, deleteDoc, writeBatch, runTransaction, getDocFromCache, getDocs, query, orderBy, limit, serverTimestamp } from 'firebase/firestore';
+import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { db as appDb, storage as appStorage } from './firebase';
+import { teamPath, teamBuildsPath, teamGalleryPath, teamSettingsPath, teamMaintenancePath, teamMatchesPath } from './config';
+import { DEFAULT_BUILD_ID, defaultBuildFields } from './bom';
+import { historyPath, HISTORY_LIMIT } from './history';
+import { GALLERY_FULL_SIZE, GALLERY_THUMB_SIZE, resizeImage } from './gallery';
+import { MAINTENANCE_PHOTO_SIZE, maintenanceEntryFields } from './maintenance';
+import { isOffline, queueWrite } from './sync';
+
+// --- Firestore Repository ---
+// The shared team workspace. See repository.js for the interface.
+
+const sortBuilds = (builds) => builds.sort((a, b) => (a.isDefault ? -1 : b.isDefault ? 1 : a.name.localeCompare(b.name)));
+
+const buildFromDoc = (buildDoc) => ({ id: buildDoc.id, ...buildDoc.data() });
+
+const storagePathFor = (photoId, variant) => `${teamPath}/gallery/${photoId}/${variant}.jpg`;
+
+// `writer` is a write batch or transaction. `before`/`after` are single components
+// for add/update/delete, or whole component arrays for imports.
+const recordChange = (writer, buildRef, user, { action, componentId = null, before = null, after = null, undoOf = null }) => {
+    writer.set(doc(collection(buildRef, 'history')), {
+        action,
+        componentId,
+        before,
+        after,
+        undoOf,
+        actor: { uid: user.uid, email: user.email || null },
+        at: serverTimestamp(),
+    });
+};
+
+// `db` and `storage` default to the app's Firebase instances; tests pass emulator ones.
+export const createFirestoreRepository = ({ db = appDb, storage = appStorage } = {}) => {
+    // Every open tab that finds the workspace empty tries this at once, so the
+    // default build is only written if no other tab has created it yet.
+    const createDefaultBuild = () => runTransaction(db, async (transaction) => {
+        const buildRef = doc(db, teamBuildsPath, DEFAULT_BUILD_ID);
+        if ((await transaction.get(buildRef)).exists()) return;
+        transaction.set(buildRef, { ...defaultBuildFields(), createdAt: new Date() });
+    });
+
+    const subscribeBuilds = (onChange, onError, { createDefault = false } = {}) => {
+        const q = collection(db, teamBuildsPath);
+        // Metadata changes are included so an empty cached result is followed by the server's answer.
+        return onSnapshot(q, { includeMetadataChanges: true }, async (querySnapshot) => {
+            // An empty cache only means this device hasn't synced yet, not that there are no builds.
+            if (querySnapshot.empty && createDefault && !querySnapshot.metadata.fromCache) {
+                try {
+                    await createDefaultBuild();
+                } catch (err) {
+                    onError(err);
+                }
+                return;
+            }
+            onChange(sortBuilds(querySnapshot.docs.map(buildFromDoc)));
+        }, onError);
+    };
+
+    const subscribeBuild = (buildId, onChange, onError) =>
+        onSnapshot(doc(db, teamBuildsPath, buildId), (buildDoc) => onChange(buildDoc.exists() ? buildFromDoc(buildDoc) : null), onError);
+
+    // The id is picked locally so the new tab opens even while the write is queued offline.
+    const createBuild = async (fields) => {
+        const buildRef = doc(collection(db, teamBuildsPath));
+        await queueWrite(setDoc(buildRef, { isDefault: false, createdAt: new Date(), components: [], ...fields }));
+        return buildRef.id;
+    };
+
+    const updateBuild = (buildId, fields) => queueWrite(updateDoc(doc(db, teamBuildsPath, buildId), fields));
+
+    // Only one build is the default, so the old one is demoted in the same batch.
+    const makeDefaultBuild = (buildId, builds) => {
+        const batch = writeBatch(db);
+        builds.filter(b => b.isDefault).forEach(b => batch.update(doc(db, teamBuildsPath, b.id), { isDefault: false }));
+        batch.update(doc(db, teamBuildsPath, buildId), { isDefault: true, archived: false });
+        return queueWrite(batch.commit());
+    };
+
+    const deleteBuild = async (buildId) => {
+        // Batches cap at 500 writes, so a long history is cleared in chunks first.
+        const historySnapshot = await getDocs(collection(db, historyPath(teamBuildsPath, buildId)));
+        for (let i = 0; i < historySnapshot.docs.length; i += 400) {
+            const batch = writeBatch(db);
+            historySnapshot.docs.slice(i, i + 400).forEach(entry => batch.delete(entry.ref));
+            await batch.commit();
+        }
+        await deleteDoc(doc(db, teamBuildsPath, buildId));
+    };
+
+    // Components live in one array on the build document. Each edit re-reads that
+    // array inside a transaction and changes only its own component, so two people
+    // editing different rows never overwrite each other. Firestore retries the
+    // transaction if the build changes between the read and the write.
+    // Transactions need the server, so offline edits are checked against the cached
+    // build instead and queued; they land last-write-wins when the connection returns.
+    const applyOffline = async (buildId, user, changeFn) => {
+        const buildRef = doc(db, teamBuildsPath, buildId);
+        const buildDoc = await getDocFromCache(buildRef);
+        if (!buildDoc.exists()) throw new Error("This build no longer exists.");
+
+        const result = changeFn(buildDoc.data().components || []);
+        if (!result) return null;
+
+        const batch = writeBatch(db);
+        batch.update(buildRef, { components: result.components });
+        recordChange(batch, buildRef, user, result.change);
+        await queueWrite(batch.commit());
+        return result.change;
+    };
+
+    const applyComponentChange = (buildId, user, changeFn) => isOffline()
+        ? applyOffline(buildId, user, changeFn)
+        : queueWrite(runTransaction(db, async (transaction) => {
+            const buildRef = doc(db, teamBuildsPath, buildId);
+            const buildDoc = await transaction.get(buildRef);
+            if (!buildDoc.exists()) throw new Error("This build no longer exists.");
+
+            const result = changeFn(buildDoc.data().components || []);
+            if (!result) return null;
+
+            transaction.update(buildRef, { components: result.components });
+            recordChange(transaction, buildRef, user, result.change);
+            return result.change;
+        }));
+
+    // Other lists on the build, such as calculator scenarios and shipping lines,
+    // are changed the same way so concurrent edits don't overwrite each other,
+    // just without history. `changeFn` maps the latest list to the new one.
+    const updateBuildListOffline = async (buildId, field, changeFn) => {
+        const buildRef = doc(db, teamBuildsPath, buildId);
+        const buildDoc = await getDocFromCache(buildRef);
+        if (!buildDoc.exists()) throw new Error("This build no longer exists.");
+        await queueWrite(updateDoc(buildRef, { [field]: changeFn(buildDoc.data()[field] || []) }));
+    };
+
+    const updateBuildList = (buildId, field, changeFn) => isOffline()
+        ? updateBuildListOffline(buildId, field, changeFn)
+        : queueWrite(runTransaction(db, async (transaction) => {
+            const buildRef = doc(db, teamBuildsPath, buildId);
+            const buildDoc = await transaction.get(buildRef);
+            if (!buildDoc.exists()) throw new Error("This build no longer exists.");
+            transaction.update(buildRef, { [field]: changeFn(buildDoc.data()[field] || []) });
+        }));
+
+    // `at` is a server timestamp, null until the write reaches the server.
+    const subscribeHistory = (buildId, onChange, onError) => {
+        const q = query(collection(db, historyPath(teamBuildsPath, buildId)), orderBy('at', 'desc'), limit(HISTORY_LIMIT));
+        return onSnapshot(q, (querySnapshot) => {
+            onChange(querySnapshot.docs.map(entryDoc => ({ id: entryDoc.id, ...entryDoc.data(), at: entryDoc.data().at?.toDate() ?? null })));
+        }, onError);
+    };
+
+    // One settings document holds the team's rate table; see currency.js.
+    const subscribeExchangeRates = (onChange, onError) =>
+        onSnapshot(doc(db, teamSettingsPath, 'currency'), (settingsDoc) => onChange(settingsDoc.data()?.rates || {}), onError);
+
+    const saveExchangeRates = (rates, user) => queueWrite(setDoc(doc(db, teamSettingsPath, 'currency'), {
+        rates,
+        updatedBy: user.email || user.uid,
+        updatedAt: serverTimestamp(),
+    }));
+
+    // Image files live in Storage under the same path as the team's Firestore data;
+    // captions, order and download URLs live in the `gallery` collection.
+    const subscribeGallery = (onChange, onError) => {
+        const q = query(collection(db, teamGalleryPath), orderBy('order'));
+        return onSnapshot(q, (querySnapshot) => onChange(querySnapshot.docs.map(photoDoc => ({ id: photoDoc.id, ...photoDoc.data() }))), onError);
+    };
+
+    const uploadGalleryPhoto = async (file, { caption = '', alt = '', album = '', takenAt = '', order = Date.now(), user }) => {
+        const photoRef = doc(collection(db, teamGalleryPath));
+        const [full, thumb] = await Promise.all([resizeImage(file, GALLERY_FULL_SIZE), resizeImage(file, GALLERY_THUMB_SIZE, 0.8)]);
+
+        const fullRef = ref(storage, storagePathFor(photoRef.id, 'full'));
+        const thumbRef = ref(storage, storagePathFor(photoRef.id, 'thumb'));
+        const metadata = { contentType: 'image/jpeg' };
+        await Promise.all([uploadBytes(fullRef, full.blob, metadata), uploadBytes(thumbRef, thumb.blob, metadata)]);
+        const [url, thumbUrl] = await Promise.all([getDownloadURL(fullRef), getDownloadURL(thumbRef)]);
+
+        await setDoc(photoRef, {
+            url,
+            thumbUrl,
+            storagePath: fullRef.fullPath,
+            thumbPath: thumbRef.fullPath,
+            width: full.width,
+            height: full.height,
+            caption,
+            alt,
+            album,
+            takenAt,
+            order,
+            uploadedBy: user.email || user.uid,
+            createdAt: serverTimestamp(),
+        });
+        return photoRef.id;
+    };
+
+    const updateGalleryPhoto = (photoId, details) => updateDoc(doc(db, teamGalleryPath, photoId), details);
+
+    // Swaps the `order` of two photos in one batch.
+    const swapGalleryOrder = async (a, b) => {
+        const batch = writeBatch(db);
+        batch.update(doc(db, teamGalleryPath, a.id), { order: b.order });
+        batch.update(doc(db, teamGalleryPath, b.id), { order: a.order });
+        await batch.commit();
+    };
+
+    const deleteGalleryPhoto = async (photo) => {
+        await deleteDoc(doc(db, teamGalleryPath, photo.id));
+        // The metadata is gone either way; a missing file shouldn't block the delete.
+        await Promise.all([photo.storagePath, photo.thumbPath].filter(Boolean).map(path =>
+            deleteObject(ref(storage, path)).catch(err => console.error("Error deleting photo file:", err))
+        ));
+    };
+
+    // Repairs hang off component ids across every build, newest first. Photos go to
+    // Storage next to the entry, like gallery images.
+    const subscribeMaintenance = (onChange, onError) => {
+        const q = query(collection(db, teamMaintenancePath), orderBy('date', 'desc'));
+        return onSnapshot(q, (querySnapshot) => onChange(querySnapshot.docs.map(entryDoc => ({ id: entryDoc.id, ...entryDoc.data() }))), onError);
+    };
+
+    const addMaintenanceEntry = async ({ component, buildId, entry, files = [], user }) => {
+        const entryRef = doc(collection(db, teamMaintenancePath));
+        const photos = await Promise.all(files.map(async (file, index) => {
+            const { blob } = await resizeImage(file, MAINTENANCE_PHOTO_SIZE);
+            const photoRef = ref(storage, `${teamPath}/maintenance/${entryRef.id}/${index}.jpg`);
+            await uploadBytes(photoRef, blob, { contentType: 'image/jpeg' });
+            return { url: await getDownloadURL(photoRef), storagePath: photoRef.fullPath };
+        }));
+
+        await setDoc(entryRef, { ...maintenanceEntryFields({ component, buildId, entry, photos, user }), createdAt: serverTimestamp() });
+        return entryRef.id;
+    };
+
+    const deleteMaintenanceEntry = async (entry) => {
+        await deleteDoc(doc(db, teamMaintenancePath, entry.id));
+        // The entry is gone either way; a missing file shouldn't block the delete.
+        await Promise.all((entry.photos || []).map(photo =>
+            deleteObject(ref(storage, photo.storagePath)).catch(err => console.error("Error deleting repair photo:", err))
+        ));
+    };
+
+    const subscribeMatches = (onChange, onError) =>
+        onSnapshot(collection(db, teamMatchesPath), (querySnapshot) => onChange(querySnapshot.docs.map(matchDoc => ({ id: matchDoc.id, ...matchDoc.data() }))), onError);
+
+    return {
+        subscribeBuilds,
+        subscribeBuild,
+        createBuild,
+        updateBuild,
+        makeDefaultBuild,
+        deleteBuild,
+        applyComponentChange,
+        updateBuildList,
+        subscribeHistory,
+        subscribeExchangeRates,
+        saveExchangeRates,
+        subscribeGallery,
+        uploadGalleryPhoto,
+        updateGalleryPhoto,
+        swapGalleryOrder,
+        deleteGalleryPhoto,
+        subscribeMaintenance,
+        addMaintenanceEntry,
+        deleteMaintenanceEntry,
+        subscribeMatches,
+    };
+};
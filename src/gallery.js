@@ -0,0 +1,44 @@
+// --- Gallery Photos ---
+// Albums, alt text and resizing shared by both data backends. Storage of the
+// photos themselves lives in the repositories.
+
+export const GALLERY_FULL_SIZE = 1920;
+export const GALLERY_THUMB_SIZE = 480;
+
+export const GALLERY_ALBUMS = [
+    { id: 'workshop', label: 'Workshop' },
+    { id: 'bpgc-match', label: 'BPGC match' },
+    { id: 'build-progress', label: 'Build progress' },
+];
+
+export const albumLabel = (albumId) => GALLERY_ALBUMS.find(a => a.id === albumId)?.label || '';
+
+// Screen readers get the alt text, falling back to the caption.
+export const photoAlt = (photo) => photo.alt || photo.caption || 'Sidewinder gallery photo';
+
+// Photos bundled with the site, shown until the team uploads its own.
+export const bundledGalleryImages = [
+    { id: 'p1', url: '/images/p1.png', album: 'build-progress', caption: 'CAD internals', alt: 'CAD render of Sidewinder with the lid off, showing the drive motors, ESCs and weapon motor mount' },
+    { id: 'p2', url: '/images/p2.png', album: 'build-progress', caption: 'Design render', alt: 'CAD render of an early Sidewinder design' },
+    { id: 'p3', url: '/images/p3.png', album: 'build-progress', caption: 'Design render', alt: 'CAD render of an early Sidewinder design' },
+    { id: 'sdOriginal', url: '/images/sdOriginal.jpg', album: 'workshop', caption: 'First printed chassis', alt: 'The first 3D-printed Sidewinder chassis on a workbench with its undercutter blade and battery leads' },
+    { id: 'sdPre-matchBPGC', url: '/images/sdPre-matchBPGC.jpg', album: 'bpgc-match', caption: 'Before the BPGC match', alt: 'Sidewinder before its match at BPGC' },
+    { id: 'sdPost-match-BPGC', url: '/images/sdPost-match-BPGC.jpg', album: 'bpgc-match', caption: 'After the BPGC match', alt: 'Sidewinder after its match at BPGC' },
+    { id: 'p4', url: '/images/p4.png', album: 'build-progress', caption: 'Design render', alt: 'CAD render of an early Sidewinder design' },
+    { id: 'sd1', url: '/images/sd1.png', album: 'build-progress', caption: 'Final design', alt: 'CAD render of the final Sidewinder design with green wheels and an undercutter blade' },
+    { id: 'sd2', url: '/images/sd2.png', album: 'build-progress', caption: 'Final design', alt: 'CAD render of the final Sidewinder design' },
+];
+
+// Scales an image down so its longest side is at most `maxSize`, re-encoded as JPEG.
+export const resizeImage = async (file, maxSize, quality = 0.85) => {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+    if (!blob) throw new Error("Could not encode the image.");
+    return { blob, width: canvas.width, height: canvas.height };
+};
@@ -0,0 +1,22 @@
+import { useEffect } from 'react';
+import { useSearchParams } from 'react-router';
+
+// --- Search Highlights ---
+// Search results link to `?highlight=<id>`. Pages mark the matching element with
+// `data-highlight-id` and style it with HIGHLIGHT_CLASS; this scrolls it into view
+// once `ready` says the data behind it has rendered.
+
+export const HIGHLIGHT_CLASS = 'ring-2 ring-inset ring-orange-500 bg-orange-900/20';
+
+export const useHighlight = (ready = true) => {
+    const [searchParams] = useSearchParams();
+    const highlightId = searchParams.get('highlight');
+
+    useEffect(() => {
+        if (!highlightId || !ready) return;
+        const element = [...document.querySelectorAll('[data-highlight-id]')].find(el => el.dataset.highlightId === highlightId);
+        element?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }, [highlightId, ready]);
+
+    return highlightId;
+};
@@ -0,0 +1,61 @@
+import { sameComponent } from './bom';
+
+// --- Component Change History ---
+// Every write to a build's components also appends an entry to its history in the
+// same write, so the log can't drift from the data. The repositories store the
+// entries; this module only describes and reverts them.
+
+export const HISTORY_LIMIT = 25;
+
+export const historyPath = (buildsPath, buildId) => `${buildsPath}/${buildId}/history`;
+
+export const describeChange = (entry) => {
+    const name = entry.after?.name || entry.before?.name;
+    switch (entry.action) {
+        case 'add':
+            return `Added ${name}`;
+        case 'update':
+            return `Edited ${name}`;
+        case 'delete':
+            return `Deleted ${name}`;
+        case 'import':
+            return `Imported ${entry.after?.length || 0} components${entry.before ? ' (replaced build)' : ''}`;
+        default:
+            return entry.action;
+    }
+};
+
+export const isUndoable = (entry) => ['add', 'update', 'delete'].includes(entry.action) && !entry.undoOf;
+
+// Returns the components with `entry` reverted and the change that reverting makes,
+// or null when there is nothing left to revert.
+export const revertChange = (components, entry) => {
+    const current = components.find(c => c.id === entry.componentId);
+    switch (entry.action) {
+        case 'add':
+            if (!current) return null;
+            return { components: components.filter(c => c.id !== entry.componentId), change: { action: 'delete', before: current } };
+        case 'update':
+            if (!current) return null;
+            return { components: components.map(c => c.id === entry.componentId ? entry.before : c), change: { action: 'update', before: current, after: entry.before } };
+        case 'delete':
+            if (current) return null;
+            return { components: [...components, entry.before], change: { action: 'add', after: entry.before } };
+        default:
+            return null;
+    }
+};
+
+// True when someone changed the component again after `entry`, so undoing would
+// also throw away their edit.
+export const hasLaterEdits = (components, entry) => {
+    if (entry.action !== 'update') return false;
+    const current = components.find(c => c.id === entry.componentId);
+    return Boolean(current) && !sameComponent(current, entry.after);
+};
+
+export const changedFields = (entry) => {
+    if (entry.action !== 'update') return [];
+    const keys = new Set([...Object.keys(entry.before || {}), ...Object.keys(entry.after || {})]);
+    return [...keys].filter(key => key !== 'id' && (entry.before?.[key] ?? '') !== (entry.after?.[key] ?? ''));
+};
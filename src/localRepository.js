@@ -0,0 +1,240 @@
+import { teamId } from './config';
+import { DEFAULT_BUILD_ID, defaultBuildFields } from './bom';
+import { HISTORY_LIMIT } from './history';
+import { GALLERY_THUMB_SIZE, resizeImage } from './gallery';
+import { maintenanceEntryFields } from './maintenance';
+
+// --- Local Repository ---
+// Keeps builds, history, gallery photos and the repair log in one localStorage entry, or only in
+// memory when no storage is available. Used for development without Firebase and
+// for tests. There's no sign-in; LOCAL_USER in config.js stands in for everyone.
+
+// Photos are stored inline as data URLs, so they're kept small to fit the storage quota.
+const LOCAL_PHOTO_SIZE = 1024;
+// Older history is dropped so a busy build can't fill the storage quota.
+const STORED_HISTORY_LIMIT = 200;
+
+const emptyState = () => ({ builds: {}, history: {}, gallery: {}, exchangeRates: {}, maintenance: {} });
+
+const defaultStorage = () => {
+    try {
+        return typeof window !== 'undefined' ? window.localStorage : null;
+    } catch {
+        return null;
+    }
+};
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+const sortBuilds = (builds) => builds.sort((a, b) => (a.isDefault ? -1 : b.isDefault ? 1 : a.name.localeCompare(b.name)));
+
+export const createLocalRepository = ({ storage = defaultStorage(), storageKey = `sidewinder-${teamId}-data` } = {}) => {
+    const load = () => {
+        try {
+            return { ...emptyState(), ...JSON.parse(storage?.getItem(storageKey) || '{}') };
+        } catch (err) {
+            console.error("Ignoring unreadable local data:", err);
+            return emptyState();
+        }
+    };
+
+    let state = load();
+    const listeners = new Set();
+    const notify = () => listeners.forEach(listener => listener());
+
+    // Writes throw when the storage quota is full; the in-memory copy is left untouched then.
+    const commit = (nextState) => {
+        storage?.setItem(storageKey, JSON.stringify(nextState));
+        state = nextState;
+        notify();
+    };
+
+    // Other tabs write to the same entry.
+    if (storage && typeof window !== 'undefined') {
+        window.addEventListener('storage', (event) => {
+            if (event.key !== storageKey) return;
+            state = load();
+            notify();
+        });
+    }
+
+    const listen = (render) => {
+        const listener = () => render();
+        listeners.add(listener);
+        render();
+        return () => listeners.delete(listener);
+    };
+
+    const getBuild = (buildId) => {
+        const build = state.builds[buildId];
+        if (!build) throw new Error("This build no longer exists.");
+        return build;
+    };
+
+    const putBuild = (id, fields) => {
+        commit({ ...state, builds: { ...state.builds, [id]: { isDefault: false, createdAt: new Date().toISOString(), components: [], ...structuredClone(fields), id } } });
+    };
+
+    const createBuild = async (fields) => {
+        const id = crypto.randomUUID();
+        putBuild(id, fields);
+        return id;
+    };
+
+    const subscribeBuilds = (onChange, onError, { createDefault = false } = {}) => listen(() => {
+        if (createDefault && Object.keys(state.builds).length === 0) {
+            try {
+                putBuild(DEFAULT_BUILD_ID, defaultBuildFields());
+            } catch (err) {
+                onError(err);
+            }
+            return;
+        }
+        onChange(sortBuilds(Object.values(structuredClone(state.builds))));
+    });
+
+    const subscribeBuild = (buildId, onChange) => listen(() => onChange(state.builds[buildId] ? structuredClone(state.builds[buildId]) : null));
+
+    const updateBuild = async (buildId, fields) => {
+        commit({ ...state, builds: { ...state.builds, [buildId]: { ...getBuild(buildId), ...structuredClone(fields) } } });
+    };
+
+    const makeDefaultBuild = async (buildId) => {
+        getBuild(buildId);
+        const builds = Object.fromEntries(Object.entries(state.builds).map(([id, build]) => [id, id === buildId
+            ? { ...build, isDefault: true, archived: false }
+            : { ...build, isDefault: false }]));
+        commit({ ...state, builds });
+    };
+
+    const deleteBuild = async (buildId) => {
+        const { [buildId]: _deleted, ...builds } = state.builds;
+        const { [buildId]: _history, ...history } = state.history;
+        commit({ ...state, builds, history });
+    };
+
+    // Nothing else writes in between, so the change function always sees the latest components.
+    const applyComponentChange = async (buildId, user, changeFn) => {
+        const build = getBuild(buildId);
+        const result = changeFn(structuredClone(build.components || []));
+        if (!result) return null;
+
+        const { action, componentId = null, before = null, after = null, undoOf = null } = result.change;
+        const entry = { id: crypto.randomUUID(), action, componentId, before, after, undoOf, actor: { uid: user.uid, email: user.email || null }, at: new Date().toISOString() };
+        commit({
+            ...state,
+            builds: { ...state.builds, [buildId]: { ...build, components: result.components } },
+            history: { ...state.history, [buildId]: [entry, ...(state.history[buildId] || [])].slice(0, STORED_HISTORY_LIMIT) },
+        });
+        return result.change;
+    };
+
+    const updateBuildList = async (buildId, field, changeFn) => {
+        const build = getBuild(buildId);
+        commit({ ...state, builds: { ...state.builds, [buildId]: { ...build, [field]: changeFn(structuredClone(build[field] || [])) } } });
+    };
+
+    const subscribeHistory = (buildId, onChange) => listen(() => {
+        onChange((state.history[buildId] || []).slice(0, HISTORY_LIMIT).map(entry => ({ ...structuredClone(entry), at: new Date(entry.at) })));
+    });
+
+    const subscribeExchangeRates = (onChange) => listen(() => onChange(structuredClone(state.exchangeRates)));
+
+    const saveExchangeRates = async (rates) => {
+        commit({ ...state, exchangeRates: structuredClone(rates) });
+    };
+
+    const subscribeGallery = (onChange) => listen(() => {
+        onChange(Object.values(structuredClone(state.gallery)).sort((a, b) => a.order - b.order));
+    });
+
+    const uploadGalleryPhoto = async (file, { caption = '', alt = '', album = '', takenAt = '', order = Date.now(), user }) => {
+        const [full, thumb] = await Promise.all([resizeImage(file, LOCAL_PHOTO_SIZE, 0.75), resizeImage(file, GALLERY_THUMB_SIZE, 0.7)]);
+        const id = crypto.randomUUID();
+        const photo = {
+            id,
+            url: await blobToDataUrl(full.blob),
+            thumbUrl: await blobToDataUrl(thumb.blob),
+            width: full.width,
+            height: full.height,
+            caption,
+            alt,
+            album,
+            takenAt,
+            order,
+            uploadedBy: user.email || user.uid,
+            createdAt: new Date().toISOString(),
+        };
+        commit({ ...state, gallery: { ...state.gallery, [id]: photo } });
+        return id;
+    };
+
+    const updateGalleryPhoto = async (photoId, details) => {
+        commit({ ...state, gallery: { ...state.gallery, [photoId]: { ...state.gallery[photoId], ...details } } });
+    };
+
+    const swapGalleryOrder = async (a, b) => {
+        commit({
+            ...state,
+            gallery: { ...state.gallery, [a.id]: { ...state.gallery[a.id], order: b.order }, [b.id]: { ...state.gallery[b.id], order: a.order } },
+        });
+    };
+
+    const deleteGalleryPhoto = async (photo) => {
+        const { [photo.id]: _deleted, ...gallery } = state.gallery;
+        commit({ ...state, gallery });
+    };
+
+    const subscribeMaintenance = (onChange) => listen(() => {
+        onChange(Object.values(structuredClone(state.maintenance)).sort((a, b) => b.date.localeCompare(a.date)));
+    });
+
+    const addMaintenanceEntry = async ({ component, buildId, entry, files = [], user }) => {
+        const photos = await Promise.all(files.map(async (file) => {
+            const { blob } = await resizeImage(file, LOCAL_PHOTO_SIZE, 0.75);
+            return { url: await blobToDataUrl(blob) };
+        }));
+        const id = crypto.randomUUID();
+        commit({ ...state, maintenance: { ...state.maintenance, [id]: { ...maintenanceEntryFields({ component, buildId, entry, photos, user }), id, createdAt: new Date().toISOString() } } });
+        return id;
+    };
+
+    const deleteMaintenanceEntry = async (entry) => {
+        const { [entry.id]: _deleted, ...maintenance } = state.maintenance;
+        commit({ ...state, maintenance });
+    };
+
+    // Matches are only recorded in Firestore; null tells pages there's nothing to count.
+    const subscribeMatches = (onChange) => {
+        onChange(null);
+        return () => {};
+    };
+
+    return {
+        subscribeBuilds,
+        subscribeBuild,
+        createBuild,
+        updateBuild,
+        makeDefaultBuild,
+        deleteBuild,
+        applyComponentChange,
+        updateBuildList,
+        subscribeHistory,
+        subscribeExchangeRates,
+        saveExchangeRates,
+        subscribeGallery,
+        uploadGalleryPhoto,
+        updateGalleryPhoto,
+        swapGalleryOrder,
+        deleteGalleryPhoto,
+        subscribeMaintenance,
+        addMaintenanceEntry,
+        deleteMaintenanceEntry,
+        subscribeMatches,
+    };
+};
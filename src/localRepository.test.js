@@ -0,0 +1,102 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createLocalRepository } from './localRepository';
+import { LOCAL_USER } from './config';
+import { addComponent } from './componentWrites';
+import { DEFAULT_BUILD_ID } from './bom';
+
+// A localStorage stand-in shared by every repository created with it, like tabs of one browser.
+const memoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value),
+    };
+};
+
+const latestBuilds = (repository, options) => {
+    const onChange = vi.fn();
+    const unsubscribe = repository.subscribeBuilds(onChange, (err) => { throw err; }, options);
+    unsubscribe();
+    return onChange.mock.lastCall?.[0];
+};
+
+describe('createLocalRepository', () => {
+    it('creates the default build for an empty workspace', () => {
+        const builds = latestBuilds(createLocalRepository({ storage: memoryStorage() }), { createDefault: true });
+        expect(builds).toHaveLength(1);
+        expect(builds[0]).toMatchObject({ id: DEFAULT_BUILD_ID, name: 'Current Build', isDefault: true, components: [] });
+    });
+
+    it('leaves an empty workspace alone without createDefault', () => {
+        expect(latestBuilds(createLocalRepository({ storage: memoryStorage() }))).toEqual([]);
+    });
+
+    it('creates only one default build when two tabs bootstrap at once', () => {
+        const storage = memoryStorage();
+        // Both tabs load the empty workspace before either writes.
+        const first = createLocalRepository({ storage });
+        const second = createLocalRepository({ storage });
+        latestBuilds(first, { createDefault: true });
+        latestBuilds(second, { createDefault: true });
+
+        const builds = latestBuilds(createLocalRepository({ storage }));
+        expect(builds.map(b => b.id)).toEqual([DEFAULT_BUILD_ID]);
+    });
+
+    it('lists the default build first, then by name', async () => {
+        const repository = createLocalRepository({ storage: null });
+        await repository.createBuild({ name: 'RoboWarz 2025' });
+        await repository.createBuild({ name: 'Botwars 2024' });
+        const defaultId = await repository.createBuild({ name: 'Zeta' });
+        await repository.makeDefaultBuild(defaultId);
+        expect(latestBuilds(repository).map(b => b.name)).toEqual(['Zeta', 'Botwars 2024', 'RoboWarz 2025']);
+    });
+
+    it('records a history entry with every component change', async () => {
+        const repository = createLocalRepository({ storage: null });
+        const buildId = await repository.createBuild({ name: 'RoboWarz 2025' });
+        const component = { id: 'motor', name: 'Drive motor', quantity: '2', price: '850' };
+        await repository.applyComponentChange(buildId, LOCAL_USER, addComponent(component));
+
+        const onHistory = vi.fn();
+        repository.subscribeHistory(buildId, onHistory)();
+        const [entry] = onHistory.mock.lastCall[0];
+        expect(entry).toMatchObject({ action: 'add', componentId: 'motor', after: component, actor: { uid: LOCAL_USER.uid } });
+        expect(entry.at).toBeInstanceOf(Date);
+    });
+
+    it('changes a list on the build from its latest value', async () => {
+        const repository = createLocalRepository({ storage: null });
+        const buildId = await repository.createBuild({ name: 'RoboWarz 2025', scenarios: [{ id: 'a', name: 'Stock' }] });
+        await repository.updateBuildList(buildId, 'scenarios', (scenarios) => [...scenarios, { id: 'b', name: 'Bigger disc' }]);
+        await repository.updateBuildList(buildId, 'shipping', (shipping) => [...shipping, { id: 'post', label: 'Courier' }]);
+
+        const [build] = latestBuilds(repository);
+        expect(build.scenarios.map(s => s.id)).toEqual(['a', 'b']);
+        expect(build.shipping).toEqual([{ id: 'post', label: 'Courier' }]);
+    });
+
+    it('logs repairs newest first and deletes them', async () => {
+        const repository = createLocalRepository({ storage: null });
+        const motor = { id: 'motor', name: 'Drive motor' };
+        const log = (date, cost) => repository.addMaintenanceEntry({ component: motor, buildId: 'event', entry: { type: 'repair', date, matchId: '', cost, notes: ' Rewound ' }, user: LOCAL_USER });
+        await log('2025-03-01', '150');
+        const laterId = await log('2025-04-01', '');
+
+        const onChange = vi.fn();
+        repository.subscribeMaintenance(onChange)();
+        const entries = onChange.mock.lastCall[0];
+        expect(entries.map(e => e.date)).toEqual(['2025-04-01', '2025-03-01']);
+        expect(entries[1]).toMatchObject({ componentId: 'motor', componentName: 'Drive motor', buildId: 'event', cost: 150, notes: 'Rewound', photos: [] });
+
+        await repository.deleteMaintenanceEntry(entries[0]);
+        repository.subscribeMaintenance(onChange)();
+        expect(onChange.mock.lastCall[0].map(e => e.id)).not.toContain(laterId);
+    });
+
+    it('keeps data in storage across reloads', async () => {
+        const storage = memoryStorage();
+        const buildId = await createLocalRepository({ storage }).createBuild({ name: 'RoboWarz 2025' });
+        expect(latestBuilds(createLocalRepository({ storage })).map(b => b.id)).toEqual([buildId]);
+    });
+});
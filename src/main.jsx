@@ -1,10 +1,26 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
+import { BrowserRouter } from 'react-router'
 import App from './App.jsx'
+import ConfigErrorScreen from './ConfigErrorScreen.jsx'
+import { firebaseConfigError } from './config'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {firebaseConfigError ? (
+      <ConfigErrorScreen error={firebaseConfigError} />
+    ) : (
+      <BrowserRouter>
+        <App />
+      </BrowserRouter>
+    )}
   </React.StrictMode>,
-)
\ No newline at end of file
+)
+
+// Dev builds skip the service worker so Vite's hot reload isn't served from cache.
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.error('Service worker registration failed:', err))
+  })
+}
@@ -0,0 +1,75 @@
+import { componentCost } from './bom';
+
+// --- Damage & Maintenance Log ---
+// One document per repair or replacement. Entries hang off the component id, which
+// copied builds keep, so a part's history follows it from event to event. The
+// repositories store the entries and their photos.
+
+export const MAINTENANCE_PHOTO_SIZE = 1280;
+
+export const MAINTENANCE_TYPES = [
+    { id: 'repair', label: 'Repair' },
+    { id: 'replacement', label: 'Replacement' },
+];
+
+export const maintenanceTypeLabel = (id) => MAINTENANCE_TYPES.find(t => t.id === id)?.label || id;
+
+export const emptyMaintenanceEntry = { type: 'repair', date: '', matchId: '', cost: '', notes: '' };
+
+// The rules behind the log form. Returns an error message, or '' when valid.
+export const validateMaintenanceEntry = (entry) => {
+    if (!MAINTENANCE_TYPES.some(t => t.id === entry.type) || !entry.date) {
+        return "Pick whether it was a repair or a replacement, and when.";
+    }
+    if (entry.cost !== '' && (isNaN(parseFloat(entry.cost)) || parseFloat(entry.cost) < 0)) {
+        return "Cost must be a positive number.";
+    }
+    return '';
+};
+
+const entryCost = (entry) => parseFloat(entry.cost) || 0;
+
+export const maintenanceCost = (entries = []) => entries.reduce((sum, e) => sum + entryCost(e), 0);
+
+// Repair counts and spend per component id, for the table and the failure report.
+export const maintenanceByComponent = (entries = []) => {
+    const byComponent = {};
+    entries.forEach(entry => {
+        if (!byComponent[entry.componentId]) {
+            byComponent[entry.componentId] = { componentId: entry.componentId, name: entry.componentName, count: 0, repairs: 0, replacements: 0, spend: 0, lastDate: '' };
+        }
+        const stats = byComponent[entry.componentId];
+        stats.count++;
+        stats[entry.type === 'replacement' ? 'replacements' : 'repairs']++;
+        stats.spend += entryCost(entry);
+        if (entry.date > stats.lastDate) {
+            stats.lastDate = entry.date;
+            stats.name = entry.componentName;
+        }
+    });
+    return byComponent;
+};
+
+// Parts that fail most often first, then the most expensive to keep running.
+export const failureReport = (entries = []) =>
+    Object.values(maintenanceByComponent(entries)).sort((a, b) => b.count - a.count || b.spend - a.spend);
+
+// What a part has cost over its life: the purchase in this build plus every repair and replacement.
+export const lifetimeSpend = (component, stats, rates) => componentCost(component, rates) + (stats?.spend || 0);
+
+export const buildLifetimeSpend = (components = [], byComponent = {}, rates) =>
+    components.reduce((sum, c) => sum + lifetimeSpend(c, byComponent[c.id], rates), 0);
+
+// The stored entry for a submitted log form. `photos` are the uploaded { url, storagePath } pairs.
+export const maintenanceEntryFields = ({ component, buildId, entry, photos, user }) => ({
+    componentId: component.id,
+    componentName: component.name,
+    buildId,
+    type: entry.type,
+    date: entry.date,
+    matchId: entry.matchId || null,
+    cost: entry.cost === '' ? 0 : parseFloat(entry.cost),
+    notes: entry.notes.trim(),
+    photos,
+    loggedBy: user.email || user.uid,
+});
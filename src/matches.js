@@ -0,0 +1,71 @@
+import { isValidUrl } from './bom';
+
+// --- Match Record Helpers ---
+// One document per fight. `buildId` points at the event build that fought it.
+
+export const MATCH_RESULTS = [
+    { id: 'win', label: 'Win' },
+    { id: 'loss', label: 'Loss' },
+];
+
+export const WIN_METHODS = [
+    { id: 'ko', label: 'KO' },
+    { id: 'judges', label: "Judges' decision" },
+    { id: 'forfeit', label: 'Forfeit' },
+];
+
+export const emptyMatch = { event: '', date: '', opponent: '', round: '', result: 'win', method: 'ko', duration: '', buildId: '', videoUrl: '', notes: '' };
+
+export const resultLabel = (id) => MATCH_RESULTS.find(r => r.id === id)?.label || id;
+
+export const methodLabel = (id) => WIN_METHODS.find(m => m.id === id)?.label || id;
+
+// Durations are entered as m:ss (or plain seconds) and stored as seconds.
+export const parseDuration = (value) => {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+    const match = text.match(/^(?:(\d+):)?(\d+)$/);
+    if (!match) return NaN;
+    const [, minutes, seconds] = match;
+    return minutes === undefined ? parseInt(seconds) : parseInt(minutes) * 60 + parseInt(seconds);
+};
+
+export const formatDuration = (seconds) => {
+    if (seconds === null || seconds === undefined || seconds === '') return '';
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// The rules behind the match form. Returns an error message, or '' when valid.
+export const validateMatch = (match) => {
+    if (!match.event.trim() || !match.opponent.trim()) {
+        return "Event and opponent are required.";
+    }
+    if (!MATCH_RESULTS.some(r => r.id === match.result) || !WIN_METHODS.some(m => m.id === match.method)) {
+        return "Pick a result and how the match was decided.";
+    }
+    if (Number.isNaN(parseDuration(match.duration))) {
+        return "Duration must be in m:ss, e.g. 2:45.";
+    }
+    if (match.videoUrl && !isValidUrl(match.videoUrl)) {
+        return "Video link must start with http:// or https://.";
+    }
+    return '';
+};
+
+// Newest first; matches without a date sort last, then by round.
+export const sortMatches = (matches = []) => [...matches].sort((a, b) =>
+    (b.date || '').localeCompare(a.date || '') || (a.round || '').localeCompare(b.round || '', undefined, { numeric: true }));
+
+// Win/loss totals for the record page, including how the wins and losses were decided.
+export const matchRecord = (matches = []) => {
+    const record = { wins: 0, losses: 0, total: matches.length, winRate: 0, byMethod: {} };
+    WIN_METHODS.forEach(m => { record.byMethod[m.id] = { wins: 0, losses: 0 }; });
+    matches.forEach(match => {
+        const isWin = match.result === 'win';
+        if (isWin) record.wins++; else record.losses++;
+        const tally = record.byMethod[match.method];
+        if (tally) tally[isWin ? 'wins' : 'losses']++;
+    });
+    record.winRate = record.total ? record.wins / record.total : 0;
+    return record;
+};
@@ -0,0 +1,35 @@
+import { Link } from 'react-router';
+import { paragraphsOf } from '../content';
+import { PageHeader } from '../ui';
+import { useHighlight, HIGHLIGHT_CLASS } from '../highlight';
+
+const AboutPage = ({ content }) => {
+    const highlightId = useHighlight();
+    return (
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+            <PageHeader title="About Sidewinder" subtitle="The story, the strategy, the engineering." />
+            <div className="bg-neutral-800 p-8 rounded-lg shadow-xl space-y-6 text-gray-300 leading-relaxed border border-neutral-700">
+                {content.about.map(section => (
+                    <div key={section.id} data-highlight-id={`about-${section.id}`} className={`space-y-6 rounded-lg ${highlightId === `about-${section.id}` ? `${HIGHLIGHT_CLASS} p-4` : ''}`}>
+                        {section.heading && <h3 className="text-2xl font-bold text-white pt-4">{section.heading}</h3>}
+                        {paragraphsOf(section.body).map((paragraph, index) => <p key={index}>{paragraph}</p>)}
+                        {section.imageUrl && <img src={section.imageUrl} alt={section.imageAlt} className="rounded-lg shadow-md" />}
+                    </div>
+                ))}
+                <p><Link to="/matches" className="text-orange-400 hover:text-orange-300 font-medium">See the full match record</Link></p>
+                
+                <div className="border-t border-neutral-700 pt-6">
+                    <h3 className="text-2xl font-bold text-white">Contact Us</h3>
+                    <p className="mt-2">Have questions or want to talk about sponsorships? Reach out to us!</p>
+                    <p className="mt-4">
+                        <a href={`mailto:${content.contactEmail}`} className="inline-block bg-orange-600 hover:bg-orange-700 text-white font-bold py-2 px-4 rounded-lg transition-colors duration-300">
+                            Email the Team
+                        </a>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AboutPage;
@@ -0,0 +1,237 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate } from 'react-router';
+import { WEAPON_SHAPES, CALCULATOR_FIELDS, SCENARIO_OUTPUTS, emptyScenarioInputs, calculateScenario, bestIndex, inputsFromComponents, scenariosOf, saveScenario, deleteScenario } from '../calculator';
+import { repository } from '../repository';
+import { canEditBuilds } from '../team';
+import { PageHeader, LoadingSpinner } from '../ui';
+
+const FIELD_GROUPS = [
+    { id: 'weapon', title: 'Weapon' },
+    { id: 'drive', title: 'Drivetrain' },
+    { id: 'battery', title: 'Battery' },
+];
+
+// Scenarios are saved on the build, so anyone can run numbers but only editors keep them.
+const CalculatorPage = ({ role }) => {
+    const { buildId } = useParams();
+    const navigate = useNavigate();
+    const canEdit = canEditBuilds(role);
+    const [builds, setBuilds] = useState([]);
+    const [inputs, setInputs] = useState(emptyScenarioInputs);
+    const [sources, setSources] = useState({});
+    const [scenarioName, setScenarioName] = useState('');
+    const [compareIds, setCompareIds] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const unsubscribe = repository.subscribeBuilds((buildsData) => {
+            setBuilds(buildsData);
+            setLoading(false);
+        }, (err) => {
+            console.error("Error fetching builds:", err);
+            setError("Failed to load component data.");
+            setLoading(false);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    const build = builds.find(b => b.id === buildId);
+    const scenarios = scenariosOf(build);
+    const results = calculateScenario(inputs);
+    const compared = scenarios.filter(s => compareIds.includes(s.id));
+
+    // Bare /components/calculator opens on the default build.
+    useEffect(() => {
+        if (loading || buildId || builds.length === 0) return;
+        const defaultBuild = builds.find(b => b.isDefault) || builds[0];
+        navigate(`/components/calculator/${defaultBuild.id}`, { replace: true });
+    }, [loading, buildId, builds, navigate]);
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setInputs(prev => ({ ...prev, [name]: value }));
+        setSources(prev => ({ ...prev, [name]: undefined }));
+    };
+
+    const handlePullFromBuild = () => {
+        const found = inputsFromComponents(build?.components);
+        if (Object.keys(found.inputs).length === 0) {
+            setError("Couldn't find motors, a battery or a weapon in this build's parts list.");
+            return;
+        }
+        setInputs(prev => ({ ...prev, ...found.inputs }));
+        setSources(found.sources);
+        setError('');
+    };
+
+    const handleSaveScenario = async (e) => {
+        e.preventDefault();
+        if (!scenarioName.trim()) {
+            setError("Scenario name cannot be empty.");
+            return;
+        }
+        try {
+            await repository.updateBuildList(build.id, 'scenarios', (latest) => saveScenario(latest, { name: scenarioName, inputs }));
+            setScenarioName('');
+            setError('');
+        } catch (err) {
+            console.error("Error saving scenario:", err);
+            setError("Failed to save the scenario.");
+        }
+    };
+
+    const handleLoadScenario = (scenario) => {
+        setInputs({ ...emptyScenarioInputs, ...scenario.inputs });
+        setSources({});
+        setScenarioName(scenario.name);
+    };
+
+    const handleDeleteScenario = async (scenario) => {
+        if (!window.confirm(`Delete the "${scenario.name}" scenario?`)) return;
+        try {
+            await repository.updateBuildList(build.id, 'scenarios', (latest) => deleteScenario(latest, scenario.id));
+            setCompareIds(prev => prev.filter(id => id !== scenario.id));
+        } catch (err) {
+            console.error("Error deleting scenario:", err);
+            setError("Failed to delete the scenario.");
+        }
+    };
+
+    const toggleCompare = (scenarioId) => setCompareIds(prev => prev.includes(scenarioId) ? prev.filter(id => id !== scenarioId) : [...prev, scenarioId]);
+
+    if (loading) return <LoadingSpinner />;
+
+    return (
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <PageHeader title="Calculator" subtitle="Weapon energy, drive speed and battery life for a build." />
+            {error && <p className="mb-4 text-center text-red-500">{error}</p>}
+
+            <div className="bg-neutral-800 p-4 rounded-lg shadow-xl mb-8 border border-neutral-700 flex flex-col md:flex-row md:items-end gap-4">
+                <div className="flex-grow">
+                    <label htmlFor="calculator-build" className="block text-sm font-medium text-gray-300">Build</label>
+                    <select id="calculator-build" value={buildId || ''} onChange={(e) => navigate(`/components/calculator/${e.target.value}`, { replace: true })} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500">
+                        <option value="" disabled>Pick a build</option>
+                        {builds.map(b => <option key={b.id} value={b.id}>{b.name}{b.archived ? ' (archived)' : ''}</option>)}
+                    </select>
+                </div>
+                <button onClick={handlePullFromBuild} disabled={!build} className="bg-neutral-700 hover:bg-neutral-600 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-lg transition duration-300 h-10">Fill from parts list</button>
+                {build && (
+                    <Link to={`/components/${build.id}`} className="whitespace-nowrap py-2 text-sm font-medium text-orange-400 hover:text-orange-300">Back to components</Link>
+                )}
+            </div>
+
+            <div className="grid gap-8 lg:grid-cols-3 mb-8">
+                {FIELD_GROUPS.map(group => (
+                    <fieldset key={group.id} className="bg-neutral-800 p-6 rounded-lg shadow-xl border border-neutral-700 space-y-4">
+                        <legend className="text-xl font-bold text-white px-1">{group.title}</legend>
+                        {CALCULATOR_FIELDS.filter(field => field.group === group.id).map(field => (
+                            <div key={field.key}>
+                                <label htmlFor={`calc-${field.key}`} className="block text-sm font-medium text-gray-300">
+                                    {field.label} <span className="text-gray-500">({field.unit})</span>
+                                </label>
+                                <input type="number" step="any" min="0" id={`calc-${field.key}`} name={field.key} value={inputs[field.key]} onChange={handleInputChange} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500" />
+                                {sources[field.key] && <p className="mt-1 text-xs text-gray-500">From {sources[field.key]}</p>}
+                            </div>
+                        ))}
+                        {group.id === 'weapon' && (
+                            <div>
+                                <label htmlFor="calc-weaponShape" className="block text-sm font-medium text-gray-300">Shape</label>
+                                <select id="calc-weaponShape" name="weaponShape" value={inputs.weaponShape} onChange={handleInputChange} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500">
+                                    {WEAPON_SHAPES.map(shape => <option key={shape.id} value={shape.id}>{shape.label}</option>)}
+                                </select>
+                            </div>
+                        )}
+                    </fieldset>
+                ))}
+            </div>
+
+            {/* Results */}
+            <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4 mb-8">
+                {SCENARIO_OUTPUTS.map(output => (
+                    <div key={output.key} className="bg-neutral-800 p-4 rounded-lg border border-neutral-700">
+                        <p className="text-sm text-gray-400">{output.label}</p>
+                        <p className="text-2xl font-bold text-white">{results[output.key] === null ? '—' : output.format(results[output.key])}</p>
+                        {output.key === 'pushForce' && results.pushLimit && (
+                            <p className="text-xs text-gray-400">Limited by {results.pushLimit === 'motors' ? 'motor torque' : 'wheel grip'}</p>
+                        )}
+                        {output.key === 'runtime' && results.lastsMatch !== null && (
+                            <p className={`text-xs ${results.lastsMatch ? 'text-green-400' : 'text-red-400'}`}>{results.lastsMatch ? 'Lasts the match' : 'Runs out before the match ends'}</p>
+                        )}
+                    </div>
+                ))}
+            </div>
+            <p className="mb-8 text-xs text-gray-500">Spin-up assumes the ESC holds its current limit all the way up; runtime only counts 80% of the rated capacity. Treat both as best cases.</p>
+
+            {/* Saved Scenarios */}
+            {build && (
+                <div className="bg-neutral-800 rounded-lg shadow-xl border border-neutral-700 p-6">
+                    <h3 className="text-xl font-bold text-white mb-4">Scenarios for {build.name}</h3>
+                    {canEdit && (
+                        <form onSubmit={handleSaveScenario} className="flex gap-4 items-end mb-6">
+                            <div className="flex-grow">
+                                <label htmlFor="scenarioName" className="block text-sm font-medium text-gray-300">Scenario Name</label>
+                                <input type="text" id="scenarioName" value={scenarioName} onChange={(e) => setScenarioName(e.target.value)} placeholder="e.g., 4S with 2:1 reduction" className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500" />
+                            </div>
+                            <button type="submit" className="bg-orange-600 hover:bg-orange-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 h-10">Save Scenario</button>
+                        </form>
+                    )}
+                    {scenarios.length === 0 ? (
+                        <p className="text-gray-400">No saved scenarios for this build yet.</p>
+                    ) : (
+                        <ul className="divide-y divide-neutral-700 mb-6">
+                            {scenarios.map(scenario => (
+                                <li key={scenario.id} className="py-2 flex items-center justify-between gap-4 text-sm">
+                                    <label className="flex items-center gap-2 text-white">
+                                        <input type="checkbox" checked={compareIds.includes(scenario.id)} onChange={() => toggleCompare(scenario.id)} className="accent-orange-600" />
+                                        {scenario.name}
+                                    </label>
+                                    <div className="space-x-4 whitespace-nowrap">
+                                        <button onClick={() => handleLoadScenario(scenario)} className="text-orange-400 hover:text-orange-300">Load</button>
+                                        {canEdit && <button onClick={() => handleDeleteScenario(scenario)} className="text-red-500 hover:text-red-400">Delete</button>}
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    {compared.length > 0 && <ScenarioComparison scenarios={compared} current={results} />}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// The current inputs sit alongside the ticked scenarios; the best value in each row is highlighted.
+const ScenarioComparison = ({ scenarios, current }) => {
+    const columns = [{ id: 'current', name: 'Current inputs', results: current }, ...scenarios.map(s => ({ id: s.id, name: s.name, results: calculateScenario(s.inputs) }))];
+    return (
+        <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-neutral-700 text-sm">
+                <thead>
+                    <tr>
+                        <th scope="col" className="py-2 pr-4 text-left text-xs font-medium text-gray-300 uppercase tracking-wider"></th>
+                        {columns.map(column => <th key={column.id} scope="col" className="py-2 px-4 text-right text-xs font-medium text-gray-300 uppercase tracking-wider">{column.name}</th>)}
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-neutral-700">
+                    {SCENARIO_OUTPUTS.map(output => {
+                        const values = columns.map(column => column.results[output.key]);
+                        const best = bestIndex(values, output.better);
+                        return (
+                            <tr key={output.key}>
+                                <th scope="row" className="py-2 pr-4 text-left font-medium text-gray-400">{output.label}</th>
+                                {values.map((value, index) => (
+                                    <td key={columns[index].id} className={`py-2 px-4 text-right ${index === best ? 'text-green-400 font-bold' : 'text-gray-200'}`}>
+                                        {value === null ? '—' : output.format(value)}
+                                    </td>
+                                ))}
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default CalculatorPage;
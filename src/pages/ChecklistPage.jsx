@@ -0,0 +1,135 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router';
+import { collection, onSnapshot, doc, setDoc, deleteField, serverTimestamp } from 'firebase/firestore';
+import { db } from '../firebase';
+import { teamSparesPath, teamChecklistsPath } from '../config';
+import { sortSpares } from '../spares';
+import { CHECKLIST_SECTIONS, generateChecklist, checklistProgress } from '../checklist';
+import { queueWrite } from '../sync';
+import { repository } from '../repository';
+import { canEditBuilds } from '../team';
+import { PageHeader, LoadingSpinner } from '../ui';
+
+const ChecklistPage = ({ user, role }) => {
+    const canEdit = canEditBuilds(role);
+    const { buildId } = useParams();
+    const [build, setBuild] = useState(null);
+    const [spares, setSpares] = useState([]);
+    const [ticks, setTicks] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const unsubscribe = repository.subscribeBuild(buildId, (buildData) => {
+            setBuild(buildData);
+            setLoading(false);
+        }, (err) => {
+            console.error("Error fetching build:", err);
+            setError("Failed to load the build.");
+            setLoading(false);
+        });
+        return () => unsubscribe();
+    }, [buildId]);
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(collection(db, teamSparesPath), (querySnapshot) => {
+            setSpares(sortSpares(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+        }, (err) => console.error("Error fetching spares:", err));
+        return () => unsubscribe();
+    }, []);
+
+    // Ticks sync live, so the crew can split the list between phones.
+    useEffect(() => {
+        const unsubscribe = onSnapshot(doc(db, teamChecklistsPath, buildId), (docSnapshot) => {
+            setTicks(docSnapshot.data()?.ticks || {});
+        }, (err) => {
+            console.error("Error fetching checklist:", err);
+            setError("Failed to load the checklist.");
+        });
+        return () => unsubscribe();
+    }, [buildId]);
+
+    // Merged writes touch only one item's key, so simultaneous ticks don't overwrite each other.
+    const handleToggle = async (item) => {
+        const tick = ticks[item.id] ? deleteField() : { by: user.email || user.uid, at: serverTimestamp() };
+        try {
+            await queueWrite(setDoc(doc(db, teamChecklistsPath, buildId), { ticks: { [item.id]: tick } }, { merge: true }));
+            setError('');
+        } catch (err) {
+            console.error("Error ticking item:", err);
+            setError("Failed to update the checklist.");
+        }
+    };
+
+    const handleReset = async () => {
+        if (!window.confirm("Untick everything on this checklist?")) return;
+        try {
+            await setDoc(doc(db, teamChecklistsPath, buildId), { ticks: {} });
+        } catch (err) {
+            console.error("Error resetting checklist:", err);
+            setError("Failed to reset the checklist.");
+        }
+    };
+
+    if (loading) return <LoadingSpinner />;
+    if (!build) {
+        return (
+            <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+                <PageHeader title="Checklist" subtitle="This build doesn't exist anymore." />
+                <p className="text-center"><Link to="/pit" className="text-orange-400 hover:text-orange-300">Back to the pit box</Link></p>
+            </div>
+        );
+    }
+
+    const items = generateChecklist(build, spares);
+    const progress = checklistProgress(items, ticks);
+
+    return (
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+            <PageHeader title={build.name} subtitle="Packing and tech-inspection checklist." />
+
+            <div className="sticky top-16 z-10 bg-neutral-900/90 backdrop-blur-md py-3 mb-6">
+                <div className="flex items-center justify-between text-sm mb-2">
+                    <span className={progress.complete ? 'text-green-400 font-bold' : 'text-gray-300'}>{progress.complete ? 'Ready to go!' : `${progress.done} of ${progress.total} done`}</span>
+                    <div className="space-x-4">
+                        <Link to="/pit" className="text-gray-400 hover:text-white">Pit box</Link>
+                        {canEdit && <button onClick={handleReset} className="text-red-500 hover:text-red-400">Reset</button>}
+                    </div>
+                </div>
+                <div className="w-full bg-neutral-700 rounded-full h-2 overflow-hidden">
+                    <div className={`h-2 ${progress.complete ? 'bg-green-500' : 'bg-orange-500'}`} style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}></div>
+                </div>
+            </div>
+            {error && <p className="mb-4 text-red-500">{error}</p>}
+
+            {CHECKLIST_SECTIONS.map(section => {
+                const sectionItems = items.filter(item => item.section === section.id);
+                if (sectionItems.length === 0) return null;
+                return (
+                    <section key={section.id} className="mb-8">
+                        <h3 className="text-lg font-bold text-orange-400 uppercase tracking-wider mb-3">{section.label}</h3>
+                        <ul className="bg-neutral-800 rounded-lg border border-neutral-700 divide-y divide-neutral-700">
+                            {sectionItems.map(item => {
+                                const tick = ticks[item.id];
+                                return (
+                                    <li key={item.id}>
+                                        <label className={`flex items-start gap-4 px-4 py-4 ${canEdit ? 'cursor-pointer' : ''}`}>
+                                            <input type="checkbox" checked={Boolean(tick)} disabled={!canEdit} onChange={() => handleToggle(item)} className="mt-0.5 h-6 w-6 flex-shrink-0 accent-orange-600" />
+                                            <span className="text-sm">
+                                                <span className={tick ? 'text-gray-500 line-through' : 'text-white'}>{item.label}</span>
+                                                {item.warning && <span className="block text-amber-400">{item.warning}</span>}
+                                                {tick && <span className="block text-xs text-gray-500">{tick.by}</span>}
+                                            </span>
+                                        </label>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    </section>
+                );
+            })}
+        </div>
+    );
+};
+
+export default ChecklistPage;
@@ -0,0 +1,130 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router';
+import { totalCost as sumCost, totalMass as sumMass, formatMass, diffBuilds, componentPriceTotal } from '../bom';
+import { currencyOf, formatMoney } from '../currency';
+import { repository } from '../repository';
+import { PageHeader, LoadingSpinner } from '../ui';
+
+const CompareBuildsPage = () => {
+    const { baseId, targetId } = useParams();
+    const navigate = useNavigate();
+    const [builds, setBuilds] = useState([]);
+    const [rates, setRates] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const unsubscribe = repository.subscribeBuilds((buildsData) => {
+            setBuilds(buildsData);
+            setLoading(false);
+        }, (err) => {
+            console.error("Error fetching builds:", err);
+            setError("Failed to load component data.");
+            setLoading(false);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    useEffect(() => {
+        const unsubscribe = repository.subscribeExchangeRates(setRates, (err) => console.error("Error fetching exchange rates:", err));
+        return () => unsubscribe();
+    }, []);
+
+    const base = builds.find(b => b.id === baseId);
+    const target = builds.find(b => b.id === targetId);
+    const diff = base && target ? diffBuilds(base, target, rates) : null;
+
+    const handleSelect = (side, id) => {
+        const next = side === 'base' ? [id, targetId || ''] : [baseId || '', id];
+        navigate(`/components/compare/${next[0]}/${next[1]}`, { replace: true });
+    };
+
+    if (loading) return <LoadingSpinner />;
+
+    const formatSigned = (value, format) => `${value > 0 ? '+' : value < 0 ? '−' : ''}${format(Math.abs(value))}`;
+
+    return (
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <PageHeader title="Compare Builds" subtitle="What changed between two events." />
+            {error && <p className="mb-4 text-center text-red-500">{error}</p>}
+
+            <div className="bg-neutral-800 p-4 rounded-lg shadow-xl mb-8 border border-neutral-700 grid gap-4 md:grid-cols-2">
+                {[['base', 'From', baseId], ['target', 'To', targetId]].map(([side, label, value]) => (
+                    <div key={side}>
+                        <label htmlFor={`compare-${side}`} className="block text-sm font-medium text-gray-300">{label}</label>
+                        <select id={`compare-${side}`} value={value || ''} onChange={(e) => handleSelect(side, e.target.value)} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500">
+                            <option value="" disabled>Pick a build</option>
+                            {builds.map(build => <option key={build.id} value={build.id}>{build.name}{build.archived ? ' (archived)' : ''}</option>)}
+                        </select>
+                    </div>
+                ))}
+            </div>
+
+            {diff ? (
+                <div className="space-y-8">
+                    <div className="grid gap-4 sm:grid-cols-3">
+                        <div className="bg-neutral-800 p-4 rounded-lg border border-neutral-700">
+                            <p className="text-sm text-gray-400">Cost</p>
+                            <p className="text-lg text-white">₹{sumCost(base.components, rates).toFixed(2)} → ₹{sumCost(target.components, rates).toFixed(2)}</p>
+                            <p className={`text-sm font-bold ${diff.costDelta > 0 ? 'text-red-400' : 'text-green-400'}`}>{formatSigned(diff.costDelta, v => `₹${v.toFixed(2)}`)}</p>
+                        </div>
+                        <div className="bg-neutral-800 p-4 rounded-lg border border-neutral-700">
+                            <p className="text-sm text-gray-400">Mass</p>
+                            <p className="text-lg text-white">{formatMass(sumMass(base.components))} → {formatMass(sumMass(target.components))}</p>
+                            <p className={`text-sm font-bold ${diff.massDelta > 0 ? 'text-red-400' : 'text-green-400'}`}>{formatSigned(diff.massDelta, formatMass)}</p>
+                        </div>
+                        <div className="bg-neutral-800 p-4 rounded-lg border border-neutral-700">
+                            <p className="text-sm text-gray-400">Parts</p>
+                            <p className="text-lg text-white">{diff.added.length} added, {diff.removed.length} removed, {diff.changed.length} changed</p>
+                            <p className="text-sm text-gray-400">{diff.unchangedCount} unchanged</p>
+                        </div>
+                    </div>
+
+                    <DiffSection title="Added" tone="text-green-400" components={diff.added} />
+                    <DiffSection title="Removed" tone="text-red-400" components={diff.removed} />
+
+                    {diff.changed.length > 0 && (
+                        <div className="bg-neutral-800 rounded-lg shadow-xl border border-neutral-700 p-6">
+                            <h3 className="text-xl font-bold text-amber-400 mb-4">Changed</h3>
+                            <ul className="divide-y divide-neutral-700">
+                                {diff.changed.map(({ before, after, fields }) => (
+                                    <li key={after.id} className="py-3">
+                                        <p className="text-white font-medium">{after.name}</p>
+                                        <ul className="mt-1 text-sm text-gray-400 space-y-1">
+                                            {fields.map(field => (
+                                                <li key={field}>
+                                                    <span className="capitalize">{field}</span>: <span className="line-through text-red-400/80">{fieldValue(before, field)}</span> → <span className="text-green-400">{fieldValue(after, field)}</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+            ) : (
+                <p className="text-center text-gray-400">Pick two builds to compare.</p>
+            )}
+        </div>
+    );
+};
+
+// A blank currency means rupees, so show that rather than a dash.
+const fieldValue = (component, field) => field === 'currency' ? currencyOf(component) : component[field] || '—';
+
+const DiffSection = ({ title, tone, components }) => components.length > 0 && (
+    <div className="bg-neutral-800 rounded-lg shadow-xl border border-neutral-700 p-6">
+        <h3 className={`text-xl font-bold mb-4 ${tone}`}>{title}</h3>
+        <ul className="divide-y divide-neutral-700">
+            {components.map(component => (
+                <li key={component.id} className="py-2 flex justify-between text-sm">
+                    <span className="text-white">{component.name} <span className="text-gray-500">× {component.quantity}</span></span>
+                    <span className="text-gray-300">{formatMoney(componentPriceTotal(component), currencyOf(component))}</span>
+                </li>
+            ))}
+        </ul>
+    </div>
+);
+
+export default CompareBuildsPage;
@@ -0,0 +1,1365 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate } from 'react-router';
+import { dataBackend } from '../config';
+import { emptyComponent, normalizeComponent, validateComponent, sameComponent, COMPONENT_CATEGORIES, DEFAULT_WEIGHT_LIMIT_G, componentCost, componentMass, totalCost as sumCost, totalMass as sumMass, weightLimitOf, massByCategory, formatMass, sortComponents, filterComponents, groupByCategory, BOM_FIELDS, buildToCsvRows, guessColumnMapping, componentsFromCsvRows, buildTotals, gstRateOf, emptyShippingLine, validateShippingLine } from '../bom';
+import { BASE_CURRENCY, CURRENCIES, currencyOf, formatMoney, rateFor, toBase, fromBase, missingRates, parseRates, savedDisplayCurrency, rememberDisplayCurrency } from '../currency';
+import { parseCsv, downloadCsv } from '../csv';
+import { describeChange, isUndoable, revertChange, hasLaterEdits, changedFields } from '../history';
+import { budgetOf, costByCategory, costBySupplier, buildSpend, costPerMatch } from '../budget';
+import { sortMatches } from '../matches';
+import { MAINTENANCE_TYPES, emptyMaintenanceEntry, maintenanceTypeLabel, validateMaintenanceEntry, maintenanceByComponent, failureReport, lifetimeSpend, buildLifetimeSpend } from '../maintenance';
+import { repository } from '../repository';
+import { componentFormChange, removeComponent, importComponents, EditConflictError } from '../componentWrites';
+import { canEditBuilds, canDeleteFromBuilds } from '../team';
+import { PageHeader, LoadingSpinner, ReadOnlyBanner } from '../ui';
+import { formatDate } from '../dates';
+import { useHighlight, HIGHLIGHT_CLASS } from '../highlight';
+
+const ComponentsPage = ({ user, role, syncStatus }) => {
+    const canEdit = canEditBuilds(role);
+    const canDelete = canDeleteFromBuilds(role);
+    // Pit checklists are Firestore-only.
+    const isLocal = dataBackend === 'local';
+    // The selected build lives in the URL (/components/:buildId) so tabs can be
+    // shared and survive a reload.
+    const { buildId: selectedBuildId } = useParams();
+    const navigate = useNavigate();
+    const [builds, setBuilds] = useState([]);
+    const [newComponent, setNewComponent] = useState(emptyComponent);
+    const [editingComponent, setEditingComponent] = useState(null);
+    // The row as it was when editing started, to spot saves from other teammates.
+    const [editingBase, setEditingBase] = useState(null);
+    const [isImporting, setIsImporting] = useState(false);
+    const [showHistory, setShowHistory] = useState(false);
+    const [showArchived, setShowArchived] = useState(false);
+    const [maintenanceEntries, setMaintenanceEntries] = useState([]);
+    const [maintenanceComponentId, setMaintenanceComponentId] = useState(null);
+    const [matches, setMatches] = useState([]);
+    const [showFailures, setShowFailures] = useState(false);
+    const [tableView, setTableView] = useState({ text: '', category: '', sortKey: null, sortDirection: 'asc', grouped: false });
+    const [newEventName, setNewEventName] = useState('');
+    const [copyFromBuildId, setCopyFromBuildId] = useState('');
+    const [rates, setRates] = useState({});
+    const [displayCurrency, setDisplayCurrency] = useState(savedDisplayCurrency);
+    const [showRates, setShowRates] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        // Public visitors just see an empty workspace until the crew creates a build.
+        const unsubscribe = repository.subscribeBuilds((buildsData) => {
+            setBuilds(buildsData);
+            setLoading(false);
+        }, (err) => {
+            console.error("Error fetching builds:", err);
+            setError("Failed to load component data.");
+            setLoading(false);
+        }, { createDefault: canEdit });
+
+        return () => unsubscribe();
+    }, [canEdit]);
+
+    useEffect(() => {
+        const unsubscribe = repository.subscribeExchangeRates(setRates, (err) => console.error("Error fetching exchange rates:", err));
+        return () => unsubscribe();
+    }, []);
+
+    // Repairs are logged per component id across all builds, so one subscription covers every tab.
+    useEffect(() => {
+        const unsubscribe = repository.subscribeMaintenance(setMaintenanceEntries, (err) => console.error("Error fetching maintenance log:", err));
+        return () => unsubscribe();
+    }, []);
+
+    // Only needed for the budget panel's cost per match.
+    useEffect(() => {
+        const unsubscribe = repository.subscribeMatches(setMatches, (err) => console.error("Error fetching matches:", err));
+        return () => unsubscribe();
+    }, []);
+
+    // Bare /components resolves to the default build without adding a history entry.
+    useEffect(() => {
+        if (loading || selectedBuildId || builds.length === 0) return;
+        const defaultBuild = builds.find(b => b.isDefault) || builds[0];
+        navigate(`/components/${defaultBuild.id}`, { replace: true });
+    }, [loading, selectedBuildId, builds, navigate]);
+
+    const handleAddEvent = async (e) => {
+        e.preventDefault();
+        if (!newEventName.trim()) {
+            setError("Event name cannot be empty.");
+            return;
+        }
+        // Most parts carry over between events, so a new build can start as a copy.
+        // Copies keep component ids, which lets the comparison view pair them up.
+        const sourceBuild = builds.find(b => b.id === copyFromBuildId);
+        try {
+            const buildId = await repository.createBuild({
+                name: newEventName,
+                components: sourceBuild ? sourceBuild.components.map(c => ({ ...c })) : [],
+                ...(sourceBuild && { copiedFrom: sourceBuild.id }),
+                ...(sourceBuild?.weightLimit && { weightLimit: sourceBuild.weightLimit }),
+            });
+            setNewEventName('');
+            setCopyFromBuildId('');
+            navigate(`/components/${buildId}`);
+            setError('');
+        } catch (err) {
+            console.error("Error adding event:", err);
+            setError("Failed to add new event build.");
+        }
+    };
+
+    const handleAddOrUpdateComponent = async (e) => {
+        e.preventDefault();
+        const componentData = editingComponent || newComponent;
+
+        const validationError = validateComponent(componentData);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+
+        try {
+            await saveComponentChange(componentFormChange({ draft: newComponent, editing: editingComponent, base: editingBase }));
+            setNewComponent(emptyComponent);
+            setEditingComponent(null);
+            setEditingBase(null);
+            setError('');
+        } catch (err) {
+            if (err instanceof EditConflictError) {
+                setError(`${err.message} Review their version before saving.`);
+                return;
+            }
+            console.error("Firestore error:", err);
+            setError("Failed to save component.");
+        }
+    };
+
+    const saveComponentChange = (changeFn) => repository.applyComponentChange(selectedBuildId, user, changeFn);
+
+    const handleUndo = async (entry) => {
+        const selectedBuild = builds.find(b => b.id === selectedBuildId);
+        if (hasLaterEdits(selectedBuild.components, entry) && !window.confirm("This component was edited again since. Undo anyway and lose those edits too?")) return;
+        try {
+            const change = await saveComponentChange((components) => {
+                const reverted = revertChange(components, entry);
+                return reverted && { components: reverted.components, change: { ...reverted.change, componentId: entry.componentId, undoOf: entry.id } };
+            });
+            setError(change ? '' : "Nothing to undo: that change has already been reverted.");
+        } catch (err) {
+            console.error("Undo error:", err);
+            setError("Failed to undo the change.");
+        }
+    };
+
+    const handleDeleteComponent = async (componentId) => {
+        if (!canDelete) return;
+        if (!window.confirm("Are you sure you want to delete this component?")) return;
+
+        try {
+            await saveComponentChange(removeComponent(componentId));
+        } catch (err) {
+            console.error("Delete error:", err);
+            setError("Failed to delete component.");
+        }
+    };
+    
+    const handleImportComponents = async (importedComponents, mode) => {
+        const newComponents = importedComponents.map(c => ({ ...c, id: crypto.randomUUID() }));
+
+        try {
+            await saveComponentChange(importComponents(newComponents, mode));
+            setIsImporting(false);
+            setError('');
+        } catch (err) {
+            console.error("Import error:", err);
+            setError("Failed to import components.");
+        }
+    };
+
+    const handleExportCsv = () => {
+        const filename = `${selectedBuild.name.trim().replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'build'}-bom.csv`;
+        downloadCsv(filename, buildToCsvRows(selectedBuild, rates));
+    };
+
+    const handleEditComponent = (component) => {
+        setEditingComponent(normalizeComponent(component));
+        setEditingBase(component);
+        setError('');
+    };
+
+    const handleCancelEdit = () => {
+        setEditingComponent(null);
+        setEditingBase(null);
+        setNewComponent(emptyComponent);
+        setError('');
+    };
+
+    const handleSort = (sortKey) => {
+        setTableView(prev => ({
+            ...prev,
+            sortKey,
+            sortDirection: prev.sortKey === sortKey && prev.sortDirection === 'asc' ? 'desc' : 'asc',
+        }));
+    };
+
+    const handleRenameBuild = async (name) => {
+        if (!name.trim()) {
+            setError("Event name cannot be empty.");
+            return;
+        }
+        try {
+            await repository.updateBuild(selectedBuildId, { name: name.trim() });
+            setError('');
+        } catch (err) {
+            console.error("Rename error:", err);
+            setError("Failed to rename the build.");
+        }
+    };
+
+    const handleToggleArchive = async () => {
+        try {
+            await repository.updateBuild(selectedBuildId, { archived: !selectedBuild.archived });
+            setError('');
+        } catch (err) {
+            console.error("Archive error:", err);
+            setError("Failed to update the build.");
+        }
+    };
+
+    const handleMakeDefault = async () => {
+        try {
+            await repository.makeDefaultBuild(selectedBuildId, builds);
+            setError('');
+        } catch (err) {
+            console.error("Default build error:", err);
+            setError("Failed to make this the default build.");
+        }
+    };
+
+    const handleDeleteBuild = async () => {
+        if (selectedBuild.isDefault) return;
+        if (!window.confirm(`Delete "${selectedBuild.name}" and all ${selectedBuild.components.length} of its components? This can't be undone.`)) return;
+        try {
+            await repository.deleteBuild(selectedBuildId);
+            navigate('/components', { replace: true });
+            setError('');
+        } catch (err) {
+            console.error("Delete build error:", err);
+            setError("Failed to delete the build.");
+        }
+    };
+
+    const handleSaveWeightLimit = async (weightLimit) => {
+        try {
+            await repository.updateBuild(selectedBuildId, { weightLimit });
+            setError('');
+        } catch (err) {
+            console.error("Weight limit error:", err);
+            setError("Failed to update the weight limit.");
+        }
+    };
+
+    const handleSaveBudget = async (budget) => {
+        try {
+            await repository.updateBuild(selectedBuildId, { budget });
+            setError('');
+        } catch (err) {
+            console.error("Budget error:", err);
+            setError("Failed to update the budget.");
+        }
+    };
+
+    const handleSaveGstRate = async (gstRate) => {
+        try {
+            await repository.updateBuild(selectedBuildId, { gstRate });
+            setError('');
+        } catch (err) {
+            console.error("GST rate error:", err);
+            setError("Failed to update the GST rate.");
+        }
+    };
+
+    const handleSaveShipping = async (changeFn) => {
+        try {
+            await repository.updateBuildList(selectedBuildId, 'shipping', changeFn);
+            setError('');
+        } catch (err) {
+            console.error("Shipping error:", err);
+            setError("Failed to update the shipping charges.");
+        }
+    };
+
+    const handleSaveRates = async (nextRates) => {
+        try {
+            await repository.saveExchangeRates(nextRates, user);
+            setShowRates(false);
+            setError('');
+        } catch (err) {
+            console.error("Exchange rate error:", err);
+            setError("Failed to save the exchange rates.");
+        }
+    };
+
+    const handleDisplayCurrency = (code) => {
+        setDisplayCurrency(code);
+        rememberDisplayCurrency(code);
+    };
+
+    const handleInputChange = (e, setter) => {
+        const { name, value } = e.target;
+        setter(prev => ({ ...prev, [name]: value }));
+    };
+
+    const selectedBuild = builds.find(b => b.id === selectedBuildId);
+    const highlightId = useHighlight(!loading && Boolean(selectedBuild));
+
+    // A search result shouldn't land on a row the table filters are hiding.
+    useEffect(() => {
+        if (highlightId) setTableView(prev => ({ ...prev, text: '', category: '' }));
+    }, [highlightId]);
+
+    const archivedCount = builds.filter(b => b.archived).length;
+    // Archived builds stay reachable by link even when the filter hides them.
+    const tabBuilds = builds.filter(b => showArchived || !b.archived || b.id === selectedBuildId);
+    const totals = buildTotals(selectedBuild, rates);
+    const totalMass = sumMass(selectedBuild?.components);
+    // Totals are kept in rupees and converted for display; a display currency
+    // without a rate yet falls back to rupees.
+    const shownCurrency = rateFor(displayCurrency, rates) === null ? BASE_CURRENCY : displayCurrency;
+    const formatTotal = (rupees) => formatMoney(fromBase(rupees, shownCurrency, rates), shownCurrency);
+    const unconverted = missingRates([...(selectedBuild?.components || []), ...(selectedBuild?.shipping || [])], rates);
+    const liveEditingRow = editingComponent && selectedBuild?.components.find(c => c.id === editingComponent.id);
+    const editingRowChanged = Boolean(editingBase) && !sameComponent(liveEditingRow, editingBase);
+    const maintenanceStats = maintenanceByComponent(maintenanceEntries);
+    // The build's total plus every repair and replacement logged against its parts.
+    const lifetimeTotal = totals.total + buildLifetimeSpend(selectedBuild?.components, maintenanceStats, rates) - totals.parts;
+    const maintenanceComponent = selectedBuild?.components.find(c => c.id === maintenanceComponentId);
+    const visibleComponents = sortComponents(filterComponents(selectedBuild?.components || [], tableView), tableView.sortKey, tableView.sortDirection, rates);
+
+    if (loading) return <LoadingSpinner />;
+
+    return (
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <PageHeader title="Component Database" subtitle="Tracking parts and costs for the current build and past events." />
+
+            {!canEdit && <ReadOnlyBanner user={user} role={role} />}
+            {error && <p className="mb-4 text-center text-red-500">{error}</p>}
+
+            {/* Event Creation Form */}
+            {canEdit && <div className="bg-neutral-800 p-4 rounded-lg shadow-xl mb-8 border border-neutral-700">
+                <form onSubmit={handleAddEvent} className="flex gap-4 items-end">
+                    <div className="flex-grow">
+                        <label htmlFor="newEventName" className="block text-sm font-medium text-gray-300">New Event Name</label>
+                        <input
+                            type="text"
+                            id="newEventName"
+                            value={newEventName}
+                            onChange={(e) => setNewEventName(e.target.value)}
+                            placeholder="e.g., RoboWarz 2025"
+                            className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500"
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="copyFromBuildId" className="block text-sm font-medium text-gray-300">Start From</label>
+                        <select
+                            id="copyFromBuildId"
+                            value={copyFromBuildId}
+                            onChange={(e) => setCopyFromBuildId(e.target.value)}
+                            className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500"
+                        >
+                            <option value="">Empty build</option>
+                            {builds.map(build => <option key={build.id} value={build.id}>Copy of {build.name}</option>)}
+                        </select>
+                    </div>
+                    <button type="submit" className="bg-orange-600 hover:bg-orange-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 h-10">Add Event</button>
+                </form>
+            </div>}
+            
+            {/* Build Selection Tabs */}
+            <div className="mb-8">
+                <div className="border-b border-neutral-700 flex items-end justify-between gap-4">
+                    <nav className="-mb-px flex gap-4 overflow-x-auto" aria-label="Tabs">
+                        {tabBuilds.map((build) => (
+                            <Link
+                                key={build.id}
+                                to={`/components/${build.id}`}
+                                className={`${
+                                    build.id === selectedBuildId
+                                        ? 'border-orange-500 text-orange-400'
+                                        : 'border-transparent text-gray-400 hover:text-gray-200 hover:border-gray-500'
+                                } ${build.archived ? 'italic opacity-70' : ''} whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition-colors`}
+                            >
+                                {build.name}
+                            </Link>
+                        ))}
+                    </nav>
+                    {archivedCount > 0 && (
+                        <label className="flex items-center gap-2 py-3 text-sm text-gray-400 whitespace-nowrap">
+                            <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} className="accent-orange-600" />
+                            Archived ({archivedCount})
+                        </label>
+                    )}
+                    {role && selectedBuildId && !isLocal && (
+                        <Link to={`/pit/checklist/${selectedBuildId}`} className="whitespace-nowrap py-3 text-sm font-medium text-orange-400 hover:text-orange-300">
+                            Checklist
+                        </Link>
+                    )}
+                    {builds.length > 1 && (
+                        <Link to={`/components/compare/${(builds.find(b => b.isDefault && b.id !== selectedBuildId) || builds.find(b => b.id !== selectedBuildId)).id}/${selectedBuildId || ''}`} className="whitespace-nowrap py-3 text-sm font-medium text-orange-400 hover:text-orange-300">
+                            Compare builds
+                        </Link>
+                    )}
+                    {selectedBuildId && (
+                        <Link to={`/components/calculator/${selectedBuildId}`} className="whitespace-nowrap py-3 text-sm font-medium text-orange-400 hover:text-orange-300">
+                            Calculator
+                        </Link>
+                    )}
+                    {selectedBuildId && (
+                        <Link to={`/components/spec-sheet/${selectedBuildId}`} className="whitespace-nowrap py-3 text-sm font-medium text-orange-400 hover:text-orange-300">
+                            Spec sheet
+                        </Link>
+                    )}
+                    {builds.length > 0 && (
+                        <Link to="/components/costs" className="whitespace-nowrap py-3 text-sm font-medium text-orange-400 hover:text-orange-300">
+                            Cost report
+                        </Link>
+                    )}
+                </div>
+            </div>
+
+            {selectedBuild ? (
+                <div>
+                    {canEdit && (
+                        <BuildActionsBar
+                            key={`actions-${selectedBuild.id}`}
+                            build={selectedBuild}
+                            canManage={canDelete}
+                            onRename={handleRenameBuild}
+                            onToggleArchive={handleToggleArchive}
+                            onMakeDefault={handleMakeDefault}
+                            onDelete={handleDeleteBuild}
+                        />
+                    )}
+                    {selectedBuild.archived && (
+                        <p className="mb-8 text-sm text-gray-400 italic">This build is archived. It stays browsable but is hidden from the tabs.</p>
+                    )}
+
+                    {/* Component Add/Edit Form */}
+                    {canEdit && <div className="bg-neutral-800 p-6 rounded-lg shadow-xl mb-8 border border-neutral-700">
+                        <h3 className="text-xl font-bold text-white mb-4">{editingComponent ? 'Edit Component' : 'Add New Component'}</h3>
+                        {editingRowChanged && (
+                            <div className="mb-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 bg-amber-950/50 border border-amber-700 text-amber-100 rounded-lg px-4 py-3 text-sm">
+                                <p>{liveEditingRow ? 'Someone else changed this component while you were editing it.' : 'Someone else deleted this component while you were editing it.'}</p>
+                                {liveEditingRow && (
+                                    <div className="flex gap-4 whitespace-nowrap">
+                                        <button type="button" onClick={() => handleEditComponent(liveEditingRow)} className="text-orange-400 hover:text-orange-300 font-medium">Load their version</button>
+                                        <button type="button" onClick={() => setEditingBase(liveEditingRow)} className="text-gray-300 hover:text-white font-medium">Keep mine</button>
+                                    </div>
+                                )}
+                            </div>
+                        )}
+                        <form onSubmit={handleAddOrUpdateComponent} className="grid grid-cols-1 md:grid-cols-6 gap-4 items-end">
+                            <div className="md:col-span-2">
+                                <label htmlFor="name" className="block text-sm font-medium text-gray-300">Component Name</label>
+                                <input type="text" name="name" id="name" value={editingComponent?.name || newComponent.name} onChange={e => handleInputChange(e, editingComponent ? setEditingComponent : setNewComponent)} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500" />
+                            </div>
+                            <div>
+                                <label htmlFor="quantity" className="block text-sm font-medium text-gray-300">Number of Items</label>
+                                <input type="number" name="quantity" id="quantity" value={editingComponent?.quantity || newComponent.quantity} onChange={e => handleInputChange(e, editingComponent ? setEditingComponent : setNewComponent)} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500" />
+                            </div>
+                            <div>
+                                <label htmlFor="price" className="block text-sm font-medium text-gray-300">Price</label>
+                                <div className="mt-1 flex">
+                                    <input type="number" step="0.01" name="price" id="price" value={editingComponent?.price || newComponent.price} onChange={e => handleInputChange(e, editingComponent ? setEditingComponent : setNewComponent)} className="block w-full min-w-0 bg-neutral-700 border-neutral-600 rounded-l-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500" />
+                                    <select name="currency" aria-label="Price currency" value={currencyOf(editingComponent || newComponent)} onChange={e => handleInputChange(e, editingComponent ? setEditingComponent : setNewComponent)} className="bg-neutral-600 border-neutral-600 rounded-r-md py-2 px-2 text-white text-sm focus:outline-none focus:ring-orange-500 focus:border-orange-500">
+                                        {CURRENCIES.map(c => <option key={c.code} value={c.code}>{c.code}</option>)}
+                                    </select>
+                                </div>
+                            </div>
+                            <div>
+                                <label htmlFor="mass" className="block text-sm font-medium text-gray-300">Mass per Item (g)</label>
+                                <input type="number" step="0.1" min="0" name="mass" id="mass" value={editingComponent?.mass || newComponent.mass} onChange={e => handleInputChange(e, editingComponent ? setEditingComponent : setNewComponent)} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500" />
+                            </div>
+                            <div>
+                                <label htmlFor="category" className="block text-sm font-medium text-gray-300">Category</label>
+                                <select name="category" id="category" value={editingComponent?.category || newComponent.category} onChange={e => handleInputChange(e, editingComponent ? setEditingComponent : setNewComponent)} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white capitalize focus:outline-none focus:ring-orange-500 focus:border-orange-500">
+                                    <option value="">Unassigned</option>
+                                    {COMPONENT_CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+                                </select>
+                            </div>
+                            <div className="md:col-span-2">
+                                <label htmlFor="supplier" className="block text-sm font-medium text-gray-300">Supplier</label>
+                                <input type="text" name="supplier" id="supplier" value={editingComponent?.supplier || newComponent.supplier} onChange={e => handleInputChange(e, editingComponent ? setEditingComponent : setNewComponent)} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500" />
+                            </div>
+                            <div>
+                                <label htmlFor="partNumber" className="block text-sm font-medium text-gray-300">Part / SKU</label>
+                                <input type="text" name="partNumber" id="partNumber" value={editingComponent?.partNumber || newComponent.partNumber} onChange={e => handleInputChange(e, editingComponent ? setEditingComponent : setNewComponent)} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500" />
+                            </div>
+                            <div className="md:col-span-3">
+                                <label htmlFor="url" className="block text-sm font-medium text-gray-300">Product Link</label>
+                                <input type="url" name="url" id="url" value={editingComponent?.url || newComponent.url} onChange={e => handleInputChange(e, editingComponent ? setEditingComponent : setNewComponent)} placeholder="https://" className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500" />
+                            </div>
+                            <div className="md:col-span-6">
+                                <label htmlFor="notes" className="block text-sm font-medium text-gray-300">Notes</label>
+                                <textarea name="notes" id="notes" rows="2" value={editingComponent?.notes || newComponent.notes} onChange={e => handleInputChange(e, editingComponent ? setEditingComponent : setNewComponent)} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500" />
+                            </div>
+                            <div className="md:col-span-6 flex gap-4">
+                                <button type="submit" className="flex-1 bg-orange-600 hover:bg-orange-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 shadow-lg">{editingComponent ? 'Update' : 'Add Component'}</button>
+                                {editingComponent && <button type="button" onClick={handleCancelEdit} className="flex-1 bg-neutral-600 hover:bg-neutral-500 text-white font-bold py-2 px-4 rounded-lg transition duration-300">Cancel</button>}
+                            </div>
+                        </form>
+                    </div>}
+
+                    <WeightBudgetPanel key={`weight-${selectedBuild.id}`} build={selectedBuild} totalMass={totalMass} canEdit={canEdit} onSaveLimit={handleSaveWeightLimit} />
+
+                    <CostBudgetPanel
+                        key={`budget-${selectedBuild.id}`}
+                        build={selectedBuild}
+                        spend={buildSpend(selectedBuild, maintenanceEntries, rates)}
+                        rates={rates}
+                        formatTotal={formatTotal}
+                        matchCount={matches === null ? null : matches.filter(m => m.buildId === selectedBuild.id).length}
+                        canEdit={canEdit}
+                        onSaveBudget={handleSaveBudget}
+                    />
+
+                    <TaxShippingPanel
+                        key={`charges-${selectedBuild.id}`}
+                        build={selectedBuild}
+                        totals={totals}
+                        rates={rates}
+                        shownCurrency={shownCurrency}
+                        formatTotal={formatTotal}
+                        canEdit={canEdit}
+                        onSaveGstRate={handleSaveGstRate}
+                        onSaveShipping={handleSaveShipping}
+                    />
+
+                    {/* Table Controls */}
+                    <div className="flex flex-col md:flex-row gap-4 mb-4">
+                        <input type="search" value={tableView.text} onChange={(e) => setTableView(prev => ({ ...prev, text: e.target.value }))} placeholder="Filter by name, supplier, part number or notes" aria-label="Filter components" className="flex-grow bg-neutral-800 border border-neutral-700 rounded-md py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500" />
+                        <select value={tableView.category} onChange={(e) => setTableView(prev => ({ ...prev, category: e.target.value }))} aria-label="Filter by category" className="bg-neutral-800 border border-neutral-700 rounded-md py-2 px-3 text-white capitalize focus:outline-none focus:ring-orange-500 focus:border-orange-500">
+                            <option value="">All categories</option>
+                            {COMPONENT_CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+                        </select>
+                        <select value={displayCurrency} onChange={(e) => handleDisplayCurrency(e.target.value)} aria-label="Show totals in" title="Show totals in" className="bg-neutral-800 border border-neutral-700 rounded-md py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500">
+                            {CURRENCIES.map(c => <option key={c.code} value={c.code}>Totals in {c.code}</option>)}
+                        </select>
+                        <label className="flex items-center gap-2 text-sm text-gray-300 whitespace-nowrap">
+                            <input type="checkbox" checked={tableView.grouped} onChange={(e) => setTableView(prev => ({ ...prev, grouped: e.target.checked }))} className="accent-orange-600" />
+                            Group by category
+                        </label>
+                        <div className="flex gap-2">
+                            <button onClick={handleExportCsv} className="bg-neutral-700 hover:bg-neutral-600 text-white font-bold py-2 px-4 rounded-lg transition duration-300 whitespace-nowrap">Export CSV</button>
+                            {canEdit && <button onClick={() => setIsImporting(!isImporting)} className="bg-neutral-700 hover:bg-neutral-600 text-white font-bold py-2 px-4 rounded-lg transition duration-300 whitespace-nowrap">Import CSV</button>}
+                            <button onClick={() => setShowRates(!showRates)} className="bg-neutral-700 hover:bg-neutral-600 text-white font-bold py-2 px-4 rounded-lg transition duration-300 whitespace-nowrap">Rates</button>
+                            <button onClick={() => setShowFailures(!showFailures)} className="bg-neutral-700 hover:bg-neutral-600 text-white font-bold py-2 px-4 rounded-lg transition duration-300 whitespace-nowrap">Failures</button>
+                            {role && <button onClick={() => setShowHistory(!showHistory)} className="bg-neutral-700 hover:bg-neutral-600 text-white font-bold py-2 px-4 rounded-lg transition duration-300 whitespace-nowrap">History</button>}
+                        </div>
+                    </div>
+
+                    {(displayCurrency !== shownCurrency || unconverted.length > 0) && (
+                        <p className="mb-4 text-sm text-amber-400">
+                            {[
+                                displayCurrency !== shownCurrency && `There's no ${displayCurrency} exchange rate yet, so totals are in ${shownCurrency}.`,
+                                unconverted.length > 0 && `No exchange rate for ${unconverted.join(', ')}: those prices are left out of the totals.`,
+                            ].filter(Boolean).join(' ')}
+                            {canEdit && !showRates && <button onClick={() => setShowRates(true)} className="ml-2 text-orange-400 hover:text-orange-300 font-medium">Set rates</button>}
+                        </p>
+                    )}
+
+                    {showRates && (
+                        <ExchangeRatesPanel rates={rates} canEdit={canEdit} onSave={handleSaveRates} onClose={() => setShowRates(false)} />
+                    )}
+
+                    {showHistory && role && (
+                        <BuildHistoryPanel key={`history-${selectedBuild.id}`} buildId={selectedBuild.id} canEdit={canEdit} canDelete={canDelete} onUndo={handleUndo} onClose={() => setShowHistory(false)} />
+                    )}
+
+                    {showFailures && (
+                        <FailureReportPanel entries={maintenanceEntries} components={selectedBuild.components} formatTotal={formatTotal} onShowComponent={setMaintenanceComponentId} onClose={() => setShowFailures(false)} />
+                    )}
+
+                    {maintenanceComponent && (
+                        <MaintenancePanel
+                            key={maintenanceComponent.id}
+                            component={maintenanceComponent}
+                            buildId={selectedBuild.id}
+                            rates={rates}
+                            formatTotal={formatTotal}
+                            entries={maintenanceEntries.filter(e => e.componentId === maintenanceComponent.id)}
+                            user={user}
+                            canEdit={canEdit}
+                            canDelete={canDelete}
+                            onClose={() => setMaintenanceComponentId(null)}
+                        />
+                    )}
+
+                    {isImporting && (
+                        <CsvImportPanel key={`import-${selectedBuild.id}`} buildName={selectedBuild.name} canReplace={canDelete} onImport={handleImportComponents} onCancel={() => setIsImporting(false)} />
+                    )}
+
+                    {/* Components Table */}
+                    <div className="bg-neutral-800 rounded-lg shadow-xl overflow-hidden border border-neutral-700">
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-neutral-700">
+                                <thead className="bg-neutral-700/50">
+                                    <tr>
+                                        <SortableHeader label="Name" sortKey="name" tableView={tableView} onSort={handleSort} />
+                                        <SortableHeader label="Category" sortKey="category" tableView={tableView} onSort={handleSort} />
+                                        <SortableHeader label="Supplier" sortKey="supplier" tableView={tableView} onSort={handleSort} />
+                                        <SortableHeader label="Items" sortKey="quantity" tableView={tableView} onSort={handleSort} />
+                                        <SortableHeader label="Price" sortKey="price" tableView={tableView} onSort={handleSort} />
+                                        <SortableHeader label="Mass" sortKey="mass" tableView={tableView} onSort={handleSort} />
+                                        {canEdit && <th scope="col" className="relative px-6 py-3"><span className="sr-only">Actions</span></th>}
+                                    </tr>
+                                </thead>
+                                {tableView.grouped ? groupByCategory(visibleComponents, rates).map(group => (
+                                    <tbody key={group.category} className="bg-neutral-800 divide-y divide-neutral-700">
+                                        <tr className="bg-neutral-900/60">
+                                            <th scope="rowgroup" colSpan="4" className="px-6 py-2 text-left text-sm font-bold text-orange-400 uppercase tracking-wider">{group.category}</th>
+                                            <td className="px-6 py-2 text-left text-sm font-medium text-gray-300">{formatTotal(group.cost)}</td>
+                                            <td colSpan={canEdit ? 2 : 1} className="px-6 py-2 text-left text-sm font-medium text-gray-300">{formatMass(group.mass)}</td>
+                                        </tr>
+                                        {group.components.map(component => (
+                                            <ComponentRow key={component.id} component={component} maintenance={maintenanceStats[component.id]} canEdit={canEdit} canDelete={canDelete} onEdit={handleEditComponent} onDelete={handleDeleteComponent} onShowMaintenance={setMaintenanceComponentId} rates={rates} shownCurrency={shownCurrency} formatTotal={formatTotal} isHighlighted={component.id === highlightId} />
+                                        ))}
+                                    </tbody>
+                                )) : (
+                                    <tbody className="bg-neutral-800 divide-y divide-neutral-700">
+                                        {visibleComponents.map(component => (
+                                            <ComponentRow key={component.id} component={component} maintenance={maintenanceStats[component.id]} canEdit={canEdit} canDelete={canDelete} onEdit={handleEditComponent} onDelete={handleDeleteComponent} onShowMaintenance={setMaintenanceComponentId} rates={rates} shownCurrency={shownCurrency} formatTotal={formatTotal} isHighlighted={component.id === highlightId} />
+                                        ))}
+                                    </tbody>
+                                )}
+                                <tfoot className="bg-neutral-700/50">
+                                    {visibleComponents.length !== selectedBuild.components.length && (
+                                        <tr>
+                                            <td colSpan="4" className="px-6 py-3 text-right text-sm font-medium text-gray-400 uppercase">Showing {visibleComponents.length} of {selectedBuild.components.length}:</td>
+                                            <td className="px-6 py-3 text-left text-sm text-gray-300">{formatTotal(sumCost(visibleComponents, rates))}</td>
+                                            <td colSpan={canEdit ? 2 : 1} className="px-6 py-3 text-left text-sm text-gray-300">{formatMass(sumMass(visibleComponents))}</td>
+                                        </tr>
+                                    )}
+                                    {totals.total > totals.parts && [
+                                        ['Parts', totals.parts],
+                                        [`GST (${gstRateOf(selectedBuild)}%)`, totals.gst],
+                                        ['Shipping', totals.shipping],
+                                    ].filter(([, amount]) => amount > 0).map(([label, amount]) => (
+                                        <tr key={label}>
+                                            <td colSpan="4" className="px-6 py-2 text-right text-sm font-medium text-gray-400 uppercase">{label}:</td>
+                                            <td colSpan={canEdit ? 3 : 2} className="px-6 py-2 text-left text-sm text-gray-300">{formatTotal(amount)}</td>
+                                        </tr>
+                                    ))}
+                                    <tr>
+                                        <td colSpan="4" className="px-6 py-3 text-right text-sm font-medium text-gray-300 uppercase">Totals:</td>
+                                        <td className="px-6 py-3 text-left text-sm font-bold text-white">{formatTotal(totals.total)}</td>
+                                        <td colSpan={canEdit ? 2 : 1} className={`px-6 py-3 text-left text-sm font-bold ${totalMass > weightLimitOf(selectedBuild) ? 'text-red-500' : 'text-white'}`}>{formatMass(totalMass)}</td>
+                                    </tr>
+                                    {lifetimeTotal > totals.total && (
+                                        <tr>
+                                            <td colSpan="4" className="px-6 py-3 text-right text-sm font-medium text-gray-400 uppercase">Lifetime spend, incl. repairs:</td>
+                                            <td colSpan={canEdit ? 3 : 2} className="px-6 py-3 text-left text-sm font-bold text-amber-400">{formatTotal(lifetimeTotal)}</td>
+                                        </tr>
+                                    )}
+                                </tfoot>
+                            </table>
+                        </div>
+                    </div>
+                </div>
+            ) : selectedBuildId ? (
+                <p className="text-center text-gray-400">This build doesn't exist anymore. Pick another tab above.</p>
+            ) : !error && (
+                <p className="text-center text-gray-400">{syncStatus === 'offline' ? "You're offline, and this device hasn't synced the builds yet." : canEdit ? 'Select a build or create an event to get started.' : 'No builds have been published yet.'}</p>
+            )}
+        </div>
+    );
+};
+
+// Rename and archive are open to editors; promoting and deleting are owner-only.
+const BuildActionsBar = ({ build, canManage, onRename, onToggleArchive, onMakeDefault, onDelete }) => {
+    const [isRenaming, setIsRenaming] = useState(false);
+    const [name, setName] = useState(build.name);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onRename(name);
+        setIsRenaming(false);
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-4 mb-8 text-sm">
+            {isRenaming ? (
+                <form onSubmit={handleSubmit} className="flex gap-2">
+                    <input type="text" value={name} onChange={(e) => setName(e.target.value)} aria-label="Build name" autoFocus className="bg-neutral-700 border-neutral-600 rounded-md py-1 px-2 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500" />
+                    <button type="submit" className="text-orange-400 hover:text-orange-300 font-medium">Save</button>
+                    <button type="button" onClick={() => { setName(build.name); setIsRenaming(false); }} className="text-gray-400 hover:text-gray-200">Cancel</button>
+                </form>
+            ) : (
+                <button onClick={() => setIsRenaming(true)} className="text-orange-400 hover:text-orange-300 font-medium">Rename</button>
+            )}
+            {build.isDefault ? (
+                <span className="text-gray-500">Default build</span>
+            ) : (
+                <>
+                    <button onClick={onToggleArchive} className="text-orange-400 hover:text-orange-300 font-medium">{build.archived ? 'Unarchive' : 'Archive'}</button>
+                    {canManage && <button onClick={onMakeDefault} className="text-orange-400 hover:text-orange-300 font-medium">Make default</button>}
+                    {canManage && <button onClick={onDelete} className="text-red-500 hover:text-red-400 font-medium">Delete build</button>}
+                </>
+            )}
+        </div>
+    );
+};
+
+const BuildHistoryPanel = ({ buildId, canEdit, canDelete, onUndo, onClose }) => {
+    const [entries, setEntries] = useState([]);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const unsubscribe = repository.subscribeHistory(buildId, setEntries, (err) => {
+            console.error("Error fetching history:", err);
+            setError("Failed to load the change history.");
+        });
+        return () => unsubscribe();
+    }, [buildId]);
+
+    const undoneIds = new Set(entries.map(e => e.undoOf).filter(Boolean));
+
+    return (
+        <div className="bg-neutral-800 p-6 rounded-lg shadow-xl mb-8 border border-neutral-700">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-bold text-white">History</h3>
+                <button onClick={onClose} className="text-gray-400 hover:text-white">Close</button>
+            </div>
+            {error && <p className="text-red-500">{error}</p>}
+            {entries.length === 0 && !error && <p className="text-gray-400 text-sm">No changes recorded yet.</p>}
+            <ul className="divide-y divide-neutral-700">
+                {entries.map(entry => {
+                    // Undoing an add removes a component, which only owners may do.
+                    const canUndo = canEdit && isUndoable(entry) && !undoneIds.has(entry.id) && (entry.action !== 'add' || canDelete);
+                    return (
+                        <li key={entry.id} className="py-3 flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+                            <div className="text-sm">
+                                <p className="text-white">
+                                    {entry.undoOf && <span className="text-amber-400">Undo: </span>}
+                                    {describeChange(entry)}
+                                </p>
+                                <p className="text-gray-500">{entry.actor?.email || 'Unknown'} · {entry.at ? entry.at.toLocaleString() : 'Saving…'}</p>
+                                {changedFields(entry).length > 0 && (
+                                    <ul className="mt-1 text-gray-400 space-y-1">
+                                        {changedFields(entry).map(field => (
+                                            <li key={field}>
+                                                <span className="capitalize">{field}</span>: <span className="line-through text-red-400/80">{entry.before[field] || '—'}</span> → <span className="text-green-400">{entry.after[field] || '—'}</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                            {undoneIds.has(entry.id)
+                                ? <span className="text-sm text-gray-500">Undone</span>
+                                : canUndo && <button onClick={() => onUndo(entry)} className="text-sm text-orange-400 hover:text-orange-300 whitespace-nowrap">Undo</button>}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
+
+const MaintenancePanel = ({ component, buildId, entries, rates, formatTotal, user, canEdit, canDelete, onClose }) => {
+    const [entry, setEntry] = useState({ ...emptyMaintenanceEntry, date: new Date().toISOString().slice(0, 10) });
+    const [files, setFiles] = useState([]);
+    const [matches, setMatches] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    // Repairs usually follow a fight, so the form offers the logged matches.
+    useEffect(() => {
+        const unsubscribe = repository.subscribeMatches((matchesData) => setMatches(sortMatches(matchesData || [])), (err) => console.error("Error fetching matches:", err));
+        return () => unsubscribe();
+    }, []);
+
+    const matchLabel = (matchId) => {
+        const match = matches.find(m => m.id === matchId);
+        return match ? `${match.event} vs ${match.opponent}` : '';
+    };
+
+    const handleInput = (e) => {
+        const { name, value } = e.target;
+        setEntry(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const validationError = validateMaintenanceEntry(entry);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        setIsSaving(true);
+        try {
+            await repository.addMaintenanceEntry({ component, buildId, entry, files, user });
+            setEntry(prev => ({ ...emptyMaintenanceEntry, date: prev.date }));
+            setFiles([]);
+            e.target.reset();
+            setError('');
+        } catch (err) {
+            console.error("Error logging repair:", err);
+            setError("Failed to save the log entry.");
+        }
+        setIsSaving(false);
+    };
+
+    const handleDelete = async (logEntry) => {
+        if (!window.confirm("Delete this log entry and its photos?")) return;
+        try {
+            await repository.deleteMaintenanceEntry(logEntry);
+        } catch (err) {
+            console.error("Error deleting log entry:", err);
+            setError("Failed to delete the log entry.");
+        }
+    };
+
+    const stats = maintenanceByComponent(entries)[component.id];
+    const inputClass = "mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500";
+
+    return (
+        <div className="bg-neutral-800 p-6 rounded-lg shadow-xl mb-8 border border-neutral-700">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-bold text-white">Maintenance: {component.name}</h3>
+                <button onClick={onClose} className="text-gray-400 hover:text-white">Close</button>
+            </div>
+            <p className="text-sm text-gray-400 mb-4">
+                Bought for {formatTotal(componentCost(component, rates))} · repairs and replacements {formatTotal(stats?.spend || 0)} · <span className="text-amber-400 font-medium">lifetime {formatTotal(lifetimeSpend(component, stats, rates))}</span>
+            </p>
+
+            {canEdit && (
+                <form onSubmit={handleSave} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end mb-6">
+                    <div>
+                        <label htmlFor="maintenanceType" className="block text-sm font-medium text-gray-300">Type</label>
+                        <select name="type" id="maintenanceType" value={entry.type} onChange={handleInput} className={inputClass}>
+                            {MAINTENANCE_TYPES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="maintenanceDate" className="block text-sm font-medium text-gray-300">Date</label>
+                        <input type="date" name="date" id="maintenanceDate" value={entry.date} onChange={handleInput} className={inputClass} />
+                    </div>
+                    <div>
+                        <label htmlFor="maintenanceMatch" className="block text-sm font-medium text-gray-300">After Match</label>
+                        <select name="matchId" id="maintenanceMatch" value={entry.matchId} onChange={handleInput} className={inputClass}>
+                            <option value="">None</option>
+                            {matches.map(m => <option key={m.id} value={m.id}>{m.event} vs {m.opponent}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="maintenanceCost" className="block text-sm font-medium text-gray-300">Cost (₹ INR)</label>
+                        <input type="number" step="0.01" min="0" name="cost" id="maintenanceCost" value={entry.cost} onChange={handleInput} className={inputClass} />
+                    </div>
+                    <div className="md:col-span-2">
+                        <label htmlFor="maintenanceNotes" className="block text-sm font-medium text-gray-300">What Broke</label>
+                        <input type="text" name="notes" id="maintenanceNotes" value={entry.notes} onChange={handleInput} className={inputClass} />
+                    </div>
+                    <div>
+                        <label htmlFor="maintenancePhotos" className="block text-sm font-medium text-gray-300">Photos</label>
+                        <input type="file" id="maintenancePhotos" accept="image/*" multiple onChange={(e) => setFiles([...e.target.files].filter(file => file.type.startsWith('image/')))} className="mt-1 block w-full text-sm text-gray-300 file:mr-2 file:py-2 file:px-3 file:rounded-lg file:border-0 file:bg-neutral-600 file:text-white" />
+                    </div>
+                    <button type="submit" disabled={isSaving} className="bg-orange-600 hover:bg-orange-700 disabled:bg-neutral-600 text-white font-bold py-2 px-4 rounded-lg transition duration-300 h-10">{isSaving ? 'Saving…' : 'Add Entry'}</button>
+                </form>
+            )}
+            {error && <p className="mb-4 text-red-500">{error}</p>}
+
+            {entries.length === 0 ? <p className="text-gray-400 text-sm">No repairs or replacements logged for this part.</p> : (
+                <ul className="divide-y divide-neutral-700">
+                    {entries.map(logEntry => (
+                        <li key={logEntry.id} className="py-3 flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+                            <div className="text-sm">
+                                <p className="text-white">
+                                    <span className={logEntry.type === 'replacement' ? 'text-red-400' : 'text-amber-400'}>{maintenanceTypeLabel(logEntry.type)}</span>
+                                    {' · '}{formatDate(logEntry.date)} · {formatTotal(logEntry.cost || 0)}
+                                    {logEntry.matchId && matchLabel(logEntry.matchId) && <> · <Link to="/matches" className="text-orange-400 hover:text-orange-300">{matchLabel(logEntry.matchId)}</Link></>}
+                                </p>
+                                {logEntry.notes && <p className="text-gray-300">{logEntry.notes}</p>}
+                                <p className="text-gray-500">{logEntry.loggedBy}{logEntry.buildId !== buildId && ' · logged on another build'}</p>
+                                {logEntry.photos?.length > 0 && (
+                                    <div className="mt-2 flex gap-2">
+                                        {logEntry.photos.map((photo, index) => (
+                                            <a key={index} href={photo.url} target="_blank" rel="noopener noreferrer">
+                                                <img src={photo.url} alt={`Damage to ${logEntry.componentName}`} loading="lazy" className="h-16 w-16 object-cover rounded-md border border-neutral-700" />
+                                            </a>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                            {canDelete && <button onClick={() => handleDelete(logEntry)} className="text-sm text-red-500 hover:text-red-400 whitespace-nowrap">Delete</button>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+// Ranks every part in the maintenance log, not just this build's, since copies share ids.
+const FailureReportPanel = ({ entries, components, formatTotal, onShowComponent, onClose }) => {
+    const report = failureReport(entries);
+    const inBuild = new Set(components.map(c => c.id));
+
+    return (
+        <div className="bg-neutral-800 p-6 rounded-lg shadow-xl mb-8 border border-neutral-700">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-bold text-white">Parts That Fail Most</h3>
+                <button onClick={onClose} className="text-gray-400 hover:text-white">Close</button>
+            </div>
+            {report.length === 0 ? <p className="text-gray-400 text-sm">Nothing has broken yet.</p> : (
+                <table className="min-w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-xs text-gray-400 uppercase tracking-wider">
+                            <th scope="col" className="py-2 pr-4">Part</th>
+                            <th scope="col" className="py-2 pr-4">Repairs</th>
+                            <th scope="col" className="py-2 pr-4">Replacements</th>
+                            <th scope="col" className="py-2 pr-4">Spend</th>
+                            <th scope="col" className="py-2">Last</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-neutral-700 text-gray-300">
+                        {report.map(stats => (
+                            <tr key={stats.componentId}>
+                                <td className="py-2 pr-4 text-white">
+                                    {inBuild.has(stats.componentId)
+                                        ? <button onClick={() => onShowComponent(stats.componentId)} className="hover:text-orange-400 underline decoration-neutral-600">{stats.name}</button>
+                                        : stats.name}
+                                </td>
+                                <td className="py-2 pr-4">{stats.repairs}</td>
+                                <td className="py-2 pr-4">{stats.replacements}</td>
+                                <td className="py-2 pr-4">{formatTotal(stats.spend)}</td>
+                                <td className="py-2">{formatDate(stats.lastDate)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+const CsvImportPanel = ({ buildName, canReplace, onImport, onCancel }) => {
+    const [headers, setHeaders] = useState(null);
+    const [dataRows, setDataRows] = useState([]);
+    const [mapping, setMapping] = useState({});
+    const [mode, setMode] = useState('append');
+    const [error, setError] = useState('');
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const rows = parseCsv(await file.text());
+        if (rows.length < 2) {
+            setError("That file has no rows to import.");
+            setHeaders(null);
+            return;
+        }
+        setHeaders(rows[0]);
+        setDataRows(rows.slice(1));
+        setMapping(guessColumnMapping(rows[0]));
+        setError('');
+    };
+
+    const parsedRows = headers ? componentsFromCsvRows(dataRows, mapping) : [];
+    const validComponents = parsedRows.filter(r => !r.error).map(r => r.component);
+    const invalidCount = parsedRows.length - validComponents.length;
+
+    return (
+        <div className="bg-neutral-800 p-6 rounded-lg shadow-xl mb-8 border border-neutral-700 space-y-6">
+            <div className="flex items-center justify-between">
+                <h3 className="text-xl font-bold text-white">Import into {buildName}</h3>
+                <button onClick={onCancel} className="text-gray-400 hover:text-white">Close</button>
+            </div>
+            <input type="file" accept=".csv,text/csv" onChange={handleFileChange} aria-label="CSV file" className="block text-sm text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-orange-600 file:text-white file:font-bold hover:file:bg-orange-700" />
+            {error && <p className="text-red-500">{error}</p>}
+
+            {headers && (
+                <>
+                    {/* Column Mapping */}
+                    <div className="grid gap-4 sm:grid-cols-3 lg:grid-cols-5">
+                        {BOM_FIELDS.map(field => (
+                            <div key={field.key}>
+                                <label htmlFor={`map-${field.key}`} className="block text-sm font-medium text-gray-300">{field.label}</label>
+                                <select id={`map-${field.key}`} value={mapping[field.key]} onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: parseInt(e.target.value) }))} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white text-sm focus:outline-none focus:ring-orange-500 focus:border-orange-500">
+                                    <option value={-1}>Skip</option>
+                                    {headers.map((header, index) => <option key={index} value={index}>{header || `Column ${index + 1}`}</option>)}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+
+                    {/* Preview */}
+                    <div className="overflow-x-auto max-h-80 border border-neutral-700 rounded-lg">
+                        <table className="min-w-full divide-y divide-neutral-700 text-sm">
+                            <thead className="bg-neutral-700/50 sticky top-0">
+                                <tr>
+                                    {['Name', 'Category', 'Items', 'Price', 'Mass (g)', 'Status'].map(label => (
+                                        <th key={label} scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">{label}</th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-neutral-700">
+                                {parsedRows.map(({ component, error }, index) => (
+                                    <tr key={index} className={error ? 'bg-red-950/40' : ''}>
+                                        <td className="px-4 py-2 text-white">{component.name}</td>
+                                        <td className="px-4 py-2 text-gray-400 capitalize">{component.category || '—'}</td>
+                                        <td className="px-4 py-2 text-gray-300">{component.quantity}</td>
+                                        <td className="px-4 py-2 text-gray-300">{component.price} {currencyOf(component)}</td>
+                                        <td className="px-4 py-2 text-gray-300">{component.mass || '—'}</td>
+                                        <td className={`px-4 py-2 ${error ? 'text-red-400' : 'text-green-400'}`}>{error || 'OK'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="flex flex-col md:flex-row md:items-center gap-4">
+                        <label className="flex items-center gap-2 text-sm text-gray-300">
+                            <input type="radio" name="importMode" value="append" checked={mode === 'append'} onChange={() => setMode('append')} className="accent-orange-600" />
+                            Append to build
+                        </label>
+                        <label className={`flex items-center gap-2 text-sm ${canReplace ? 'text-gray-300' : 'text-neutral-500'}`} title={canReplace ? undefined : 'Only team owners can replace a build'}>
+                            <input type="radio" name="importMode" value="replace" checked={mode === 'replace'} disabled={!canReplace} onChange={() => setMode('replace')} className="accent-orange-600" />
+                            Replace all components
+                        </label>
+                        <p className="text-sm text-gray-400 md:ml-auto">
+                            {validComponents.length} ready{invalidCount > 0 && `, ${invalidCount} will be skipped`}
+                        </p>
+                        <button onClick={() => onImport(validComponents, mode)} disabled={validComponents.length === 0} className="bg-orange-600 hover:bg-orange-700 disabled:bg-neutral-600 disabled:cursor-not-allowed text-white font-bold py-2 px-4 rounded-lg transition duration-300">
+                            Import {validComponents.length} component{validComponents.length === 1 ? '' : 's'}
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+const SortableHeader = ({ label, sortKey, tableView, onSort }) => {
+    const isActive = tableView.sortKey === sortKey;
+    return (
+        <th scope="col" aria-sort={isActive ? (tableView.sortDirection === 'asc' ? 'ascending' : 'descending') : 'none'} className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">
+            <button onClick={() => onSort(sortKey)} className={`uppercase tracking-wider hover:text-white ${isActive ? 'text-orange-400' : ''}`}>
+                {label}{isActive && (tableView.sortDirection === 'asc' ? ' ▲' : ' ▼')}
+            </button>
+        </th>
+    );
+};
+
+// Prices show as entered, with the converted figure underneath when it's in another currency.
+const ComponentRow = ({ component, maintenance, canEdit, canDelete, onEdit, onDelete, onShowMaintenance, rates, shownCurrency, formatTotal, isHighlighted }) => (
+    <tr data-highlight-id={component.id} className={`hover:bg-neutral-700/50 ${isHighlighted ? HIGHLIGHT_CLASS : ''}`}>
+        <td className="px-6 py-4 text-sm font-medium text-white">
+            <div className="whitespace-nowrap">
+                {component.url
+                    ? <a href={component.url} target="_blank" rel="noopener noreferrer" className="hover:text-orange-400 underline decoration-neutral-600">{component.name}</a>
+                    : component.name}
+            </div>
+            {component.partNumber && <div className="text-xs text-gray-500 font-mono">{component.partNumber}</div>}
+            {component.notes && <div className="text-xs text-gray-400 font-normal mt-1 max-w-xs">{component.notes}</div>}
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400 capitalize">{component.category || '—'}</td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{component.supplier || '—'}</td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{component.quantity}</td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">
+            {formatMoney(parseFloat(component.price), currencyOf(component))}
+            {currencyOf(component) !== shownCurrency && toBase(parseFloat(component.price), currencyOf(component), rates) !== null && (
+                <span className="block text-xs text-gray-500">≈ {formatTotal(toBase(parseFloat(component.price), currencyOf(component), rates))}</span>
+            )}
+            {maintenance && (
+                <button onClick={() => onShowMaintenance(component.id)} title={`Lifetime spend ${formatTotal(lifetimeSpend(component, maintenance, rates))}`} className="block text-xs text-amber-400 hover:text-amber-300">
+                    +{formatTotal(maintenance.spend)} · {maintenance.count} fix{maintenance.count === 1 ? '' : 'es'}
+                </button>
+            )}
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{component.mass ? formatMass(componentMass(component)) : '—'}</td>
+        {canEdit && <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-4">
+            <button onClick={() => onEdit(component)} className="text-orange-400 hover:text-orange-300">Edit</button>
+            <button onClick={() => onShowMaintenance(component.id)} className="text-amber-400 hover:text-amber-300">Log repair</button>
+            <button onClick={() => onDelete(component.id)} disabled={!canDelete} title={canDelete ? undefined : 'Only team owners can delete components'} className="text-red-500 hover:text-red-400 disabled:text-neutral-500 disabled:cursor-not-allowed">Delete</button>
+        </td>}
+    </tr>
+);
+
+const WeightBudgetPanel = ({ build, totalMass, canEdit, onSaveLimit }) => {
+    const [limitInput, setLimitInput] = useState('');
+    const [isEditingLimit, setIsEditingLimit] = useState(false);
+
+    const weightLimit = weightLimitOf(build);
+    const margin = weightLimit - totalMass;
+    const isOver = margin < 0;
+    const breakdown = massByCategory(build.components);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const grams = parseFloat(limitInput);
+        if (isNaN(grams) || grams <= 0) return;
+        onSaveLimit(grams);
+        setIsEditingLimit(false);
+    };
+
+    return (
+        <div className={`bg-neutral-800 p-6 rounded-lg shadow-xl mb-8 border ${isOver ? 'border-red-600' : 'border-neutral-700'}`}>
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                <div>
+                    <h3 className="text-xl font-bold text-white">Weight Budget</h3>
+                    <p className={`text-sm ${isOver ? 'text-red-400' : 'text-gray-400'}`}>
+                        {isOver
+                            ? `Over the class limit by ${formatMass(-margin)}!`
+                            : `${formatMass(margin)} of margin left`}
+                    </p>
+                </div>
+                <div className="text-right">
+                    <p className="text-2xl font-bold text-white">{formatMass(totalMass)} <span className="text-base font-normal text-gray-400">/ {formatMass(weightLimit)}</span></p>
+                    {canEdit && !isEditingLimit && (
+                        <button onClick={() => { setLimitInput(String(weightLimit)); setIsEditingLimit(true); }} className="text-sm text-orange-400 hover:text-orange-300">Change limit</button>
+                    )}
+                    {isEditingLimit && (
+                        <form onSubmit={handleSubmit} className="flex gap-2 justify-end mt-1">
+                            <input type="number" min="1" step="1" value={limitInput} onChange={(e) => setLimitInput(e.target.value)} aria-label="Class weight limit in grams" className="w-28 bg-neutral-700 border-neutral-600 rounded-md py-1 px-2 text-white text-sm focus:outline-none focus:ring-orange-500 focus:border-orange-500" />
+                            <button type="submit" className="text-sm text-orange-400 hover:text-orange-300">Save</button>
+                            <button type="button" onClick={() => { setLimitInput(String(DEFAULT_WEIGHT_LIMIT_G)); }} className="text-sm text-gray-400 hover:text-gray-200">Reset</button>
+                            <button type="button" onClick={() => setIsEditingLimit(false)} className="text-sm text-gray-400 hover:text-gray-200">Cancel</button>
+                        </form>
+                    )}
+                </div>
+            </div>
+            <div className="mt-4 h-3 bg-neutral-700 rounded-full overflow-hidden">
+                <div className={`h-full ${isOver ? 'bg-red-600' : 'bg-orange-500'}`} style={{ width: `${Math.min(100, (totalMass / weightLimit) * 100)}%` }}></div>
+            </div>
+            {breakdown.length > 0 && (
+                <div className="mt-6 grid gap-2 sm:grid-cols-2 lg:grid-cols-3">
+                    {breakdown.map(([category, mass]) => (
+                        <div key={category} className="flex items-center justify-between text-sm bg-neutral-900/60 rounded-md px-3 py-2">
+                            <span className="capitalize text-gray-300">{category}</span>
+                            <span className="text-white font-medium">{formatMass(mass)} <span className="text-gray-500">({((mass / totalMass) * 100).toFixed(0)}%)</span></span>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// The budget is set in rupees; amounts are shown in the page's display currency.
+const CostBudgetPanel = ({ build, spend, rates, formatTotal, matchCount, canEdit, onSaveBudget }) => {
+    const [budgetInput, setBudgetInput] = useState('');
+    const [isEditingBudget, setIsEditingBudget] = useState(false);
+    const [breakdownBy, setBreakdownBy] = useState('category');
+
+    const budget = budgetOf(build);
+    const remaining = budget === null ? null : budget - spend.total;
+    const isOver = remaining !== null && remaining < 0;
+    const breakdown = breakdownBy === 'category' ? costByCategory(build.components, rates) : costBySupplier(build.components, rates);
+    // matchCount is null where matches aren't tracked (local mode).
+    const perMatch = matchCount === null ? null : costPerMatch(spend.total, matchCount);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const rupees = parseFloat(budgetInput);
+        if (isNaN(rupees) || rupees <= 0) return;
+        onSaveBudget(rupees);
+        setIsEditingBudget(false);
+    };
+
+    return (
+        <div className={`bg-neutral-800 p-6 rounded-lg shadow-xl mb-8 border ${isOver ? 'border-red-600' : 'border-neutral-700'}`}>
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                <div>
+                    <h3 className="text-xl font-bold text-white">Cost Budget</h3>
+                    <p className={`text-sm ${isOver ? 'text-red-400' : 'text-gray-400'}`}>
+                        {budget === null
+                            ? 'No budget set for this event.'
+                            : isOver
+                                ? `Over budget by ${formatTotal(-remaining)}!`
+                                : `${formatTotal(remaining)} of budget left`}
+                    </p>
+                    {matchCount !== null && (
+                        <p className="text-sm text-gray-400">
+                            {perMatch === null
+                                ? 'No matches logged for this build yet.'
+                                : `${formatTotal(perMatch)} per match over ${matchCount} ${matchCount === 1 ? 'match' : 'matches'}`}
+                        </p>
+                    )}
+                </div>
+                <div className="text-right">
+                    <p className="text-2xl font-bold text-white">{formatTotal(spend.total)} {budget !== null && <span className="text-base font-normal text-gray-400">/ {formatTotal(budget)}</span>}</p>
+                    {spend.gst + spend.shipping > 0 && <p className="text-xs text-gray-400">incl. {formatTotal(spend.gst + spend.shipping)} of GST and shipping</p>}
+                    {spend.repairs > 0 && <p className="text-xs text-amber-400">incl. {formatTotal(spend.repairs)} of repairs</p>}
+                    {canEdit && !isEditingBudget && (
+                        <button onClick={() => { setBudgetInput(budget === null ? '' : String(budget)); setIsEditingBudget(true); }} className="text-sm text-orange-400 hover:text-orange-300">{budget === null ? 'Set budget' : 'Change budget'}</button>
+                    )}
+                    {isEditingBudget && (
+                        <form onSubmit={handleSubmit} className="flex gap-2 justify-end items-center mt-1">
+                            <span className="text-sm text-gray-400">₹ INR</span>
+                            <input type="number" min="1" step="1" value={budgetInput} onChange={(e) => setBudgetInput(e.target.value)} aria-label="Event budget in rupees" placeholder="₹" className="w-28 bg-neutral-700 border-neutral-600 rounded-md py-1 px-2 text-white text-sm focus:outline-none focus:ring-orange-500 focus:border-orange-500" />
+                            <button type="submit" className="text-sm text-orange-400 hover:text-orange-300">Save</button>
+                            {budget !== null && <button type="button" onClick={() => { onSaveBudget(null); setIsEditingBudget(false); }} className="text-sm text-gray-400 hover:text-gray-200">Remove</button>}
+                            <button type="button" onClick={() => setIsEditingBudget(false)} className="text-sm text-gray-400 hover:text-gray-200">Cancel</button>
+                        </form>
+                    )}
+                </div>
+            </div>
+            {budget !== null && (
+                <div className="mt-4 h-3 bg-neutral-700 rounded-full overflow-hidden">
+                    <div className={`h-full ${isOver ? 'bg-red-600' : 'bg-orange-500'}`} style={{ width: `${Math.min(100, (spend.total / budget) * 100)}%` }}></div>
+                </div>
+            )}
+            {spend.parts > 0 && (
+                <div className="mt-6">
+                    <div className="flex gap-4 mb-2 text-sm">
+                        {[['category', 'By category'], ['supplier', 'By supplier']].map(([id, label]) => (
+                            <button key={id} onClick={() => setBreakdownBy(id)} className={breakdownBy === id ? 'text-orange-400 font-medium' : 'text-gray-400 hover:text-gray-200'}>{label}</button>
+                        ))}
+                    </div>
+                    <div className="grid gap-2 sm:grid-cols-2 lg:grid-cols-3">
+                        {breakdown.map(([key, cost]) => (
+                            <div key={key} className="flex items-center justify-between text-sm bg-neutral-900/60 rounded-md px-3 py-2">
+                                <span className={`${breakdownBy === 'category' ? 'capitalize' : ''} text-gray-300 truncate`}>{key}</span>
+                                <span className="text-white font-medium whitespace-nowrap">{formatTotal(cost)} <span className="text-gray-500">({((cost / spend.parts) * 100).toFixed(0)}%)</span></span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// GST is a percentage of the parts; shipping lines keep the currency they were paid in.
+const TaxShippingPanel = ({ build, totals, rates, shownCurrency, formatTotal, canEdit, onSaveGstRate, onSaveShipping }) => {
+    const [gstInput, setGstInput] = useState('');
+    const [isEditingGst, setIsEditingGst] = useState(false);
+    const [line, setLine] = useState(emptyShippingLine);
+    const [error, setError] = useState('');
+
+    const gstRate = gstRateOf(build);
+    const shipping = build.shipping || [];
+
+    const handleGstSubmit = (e) => {
+        e.preventDefault();
+        const percent = gstInput.trim() === '' ? 0 : parseFloat(gstInput);
+        if (isNaN(percent) || percent < 0 || percent > 100) {
+            setError("GST must be a percentage between 0 and 100.");
+            return;
+        }
+        onSaveGstRate(percent);
+        setIsEditingGst(false);
+        setError('');
+    };
+
+    const handleAddLine = (e) => {
+        e.preventDefault();
+        const validationError = validateShippingLine(line);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        const added = { ...line, id: crypto.randomUUID(), label: line.label.trim(), currency: currencyOf(line) };
+        onSaveShipping(latest => [...latest, added]);
+        setLine(emptyShippingLine);
+        setError('');
+    };
+
+    const handleRemoveLine = (lineId) => onSaveShipping(latest => latest.filter(l => l.id !== lineId));
+
+    if (!canEdit && gstRate === 0 && shipping.length === 0) return null;
+
+    const inputClass = "bg-neutral-700 border-neutral-600 rounded-md py-1 px-2 text-white text-sm focus:outline-none focus:ring-orange-500 focus:border-orange-500";
+
+    return (
+        <div className="bg-neutral-800 p-6 rounded-lg shadow-xl mb-8 border border-neutral-700">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                <div>
+                    <h3 className="text-xl font-bold text-white">GST & Shipping</h3>
+                    <p className="text-sm text-gray-400">
+                        {gstRate > 0 ? `GST at ${gstRate}% on the parts: ${formatTotal(totals.gst)}` : 'No GST added to this build.'}
+                    </p>
+                </div>
+                <div className="text-right">
+                    <p className="text-2xl font-bold text-white">{formatTotal(totals.gst + totals.shipping)}</p>
+                    {canEdit && !isEditingGst && (
+                        <button onClick={() => { setGstInput(gstRate ? String(gstRate) : ''); setIsEditingGst(true); }} className="text-sm text-orange-400 hover:text-orange-300">{gstRate > 0 ? 'Change GST' : 'Add GST'}</button>
+                    )}
+                    {isEditingGst && (
+                        <form onSubmit={handleGstSubmit} className="flex gap-2 justify-end mt-1">
+                            <input type="number" min="0" max="100" step="0.01" value={gstInput} onChange={(e) => setGstInput(e.target.value)} aria-label="GST rate in percent" placeholder="%" className={`w-20 ${inputClass}`} />
+                            <button type="submit" className="text-sm text-orange-400 hover:text-orange-300">Save</button>
+                            <button type="button" onClick={() => setIsEditingGst(false)} className="text-sm text-gray-400 hover:text-gray-200">Cancel</button>
+                        </form>
+                    )}
+                </div>
+            </div>
+            {shipping.length > 0 && (
+                <ul className="mt-4 divide-y divide-neutral-700 text-sm">
+                    {shipping.map(l => (
+                        <li key={l.id} className="py-2 flex items-center justify-between gap-4">
+                            <span className="text-gray-300">{l.label}</span>
+                            <span className="text-white whitespace-nowrap">
+                                {formatMoney(parseFloat(l.amount) || 0, currencyOf(l))}
+                                {currencyOf(l) !== shownCurrency && toBase(parseFloat(l.amount) || 0, currencyOf(l), rates) !== null && (
+                                    <span className="text-gray-500"> ≈ {formatTotal(toBase(parseFloat(l.amount) || 0, currencyOf(l), rates))}</span>
+                                )}
+                                {canEdit && <button onClick={() => handleRemoveLine(l.id)} className="ml-4 text-red-500 hover:text-red-400">Remove</button>}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {canEdit && (
+                <form onSubmit={handleAddLine} className="mt-4 flex flex-col sm:flex-row gap-2 sm:items-center">
+                    <input type="text" value={line.label} onChange={(e) => setLine(prev => ({ ...prev, label: e.target.value }))} placeholder="e.g., DHL from Shenzhen" aria-label="Shipping charge" className={`flex-grow ${inputClass}`} />
+                    <input type="number" min="0" step="0.01" value={line.amount} onChange={(e) => setLine(prev => ({ ...prev, amount: e.target.value }))} placeholder="Amount" aria-label="Shipping amount" className={`w-28 ${inputClass}`} />
+                    <select value={currencyOf(line)} onChange={(e) => setLine(prev => ({ ...prev, currency: e.target.value }))} aria-label="Shipping currency" className={inputClass}>
+                        {CURRENCIES.map(c => <option key={c.code} value={c.code}>{c.code}</option>)}
+                    </select>
+                    <button type="submit" className="text-sm text-orange-400 hover:text-orange-300 font-medium whitespace-nowrap">Add shipping</button>
+                </form>
+            )}
+            {error && <p className="mt-2 text-sm text-red-500">{error}</p>}
+        </div>
+    );
+};
+
+// One table for the whole team: rupees per unit of each foreign currency.
+const ExchangeRatesPanel = ({ rates, canEdit, onSave, onClose }) => {
+    const [inputs, setInputs] = useState(() => Object.fromEntries(CURRENCIES.map(c => [c.code, rates[c.code] ? String(rates[c.code]) : ''])));
+    const [error, setError] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const result = parseRates(inputs);
+        if (result.error) {
+            setError(result.error);
+            return;
+        }
+        onSave(result.rates);
+    };
+
+    return (
+        <div className="bg-neutral-800 p-6 rounded-lg shadow-xl mb-8 border border-neutral-700">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-bold text-white">Exchange Rates</h3>
+                <button onClick={onClose} className="text-gray-400 hover:text-white">Close</button>
+            </div>
+            <p className="text-sm text-gray-400 mb-4">Rupees per unit, kept by the team. Update them when you place an order so totals match what was paid.</p>
+            <form onSubmit={handleSubmit} className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4 items-end">
+                {CURRENCIES.filter(c => c.code !== BASE_CURRENCY).map(c => (
+                    <div key={c.code}>
+                        <label htmlFor={`rate-${c.code}`} className="block text-sm font-medium text-gray-300">1 {c.code} ({c.label}) in ₹</label>
+                        <input type="number" min="0" step="any" id={`rate-${c.code}`} value={inputs[c.code]} onChange={(e) => setInputs(prev => ({ ...prev, [c.code]: e.target.value }))} disabled={!canEdit} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white disabled:opacity-70 focus:outline-none focus:ring-orange-500 focus:border-orange-500" />
+                    </div>
+                ))}
+                {canEdit && <button type="submit" className="bg-orange-600 hover:bg-orange-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 h-10">Save Rates</button>}
+            </form>
+            {error && <p className="mt-4 text-red-500">{error}</p>}
+        </div>
+    );
+};
+
+export default ComponentsPage;
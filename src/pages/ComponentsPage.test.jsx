@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render, screen, within, cleanup } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Routes, Route } from 'react-router';
+import { createLocalRepository } from '../localRepository';
+import { LOCAL_USER } from '../config';
+import { DEFAULT_BUILD_ID } from '../bom';
+import { addComponent } from '../componentWrites';
+import ComponentsPage from './ComponentsPage';
+
+// Each test gets its own in-memory workspace.
+const repositoryHolder = vi.hoisted(() => ({ current: null }));
+vi.mock('../repository', () => ({
+    get repository() {
+        return repositoryHolder.current;
+    },
+}));
+
+const renderPage = ({ role = 'owner', path = '/components' } = {}) => render(
+    <MemoryRouter initialEntries={[path]}>
+        <Routes>
+            <Route path="/components" element={<ComponentsPage user={LOCAL_USER} role={role} syncStatus="online" />} />
+            <Route path="/components/:buildId" element={<ComponentsPage user={LOCAL_USER} role={role} syncStatus="online" />} />
+        </Routes>
+    </MemoryRouter>
+);
+
+const fillComponentForm = async (user, { name, quantity, price }) => {
+    await user.type(screen.getByLabelText('Component Name'), name);
+    await user.type(screen.getByLabelText('Number of Items'), quantity);
+    await user.type(screen.getByLabelText('Price'), price);
+};
+
+const totalsRow = () => screen.getByText('Totals:').closest('tr');
+
+beforeEach(() => {
+    repositoryHolder.current = createLocalRepository({ storage: null });
+    // jsdom doesn't implement scrolling; highlighted rows call this.
+    Element.prototype.scrollIntoView = vi.fn();
+});
+
+afterEach(() => {
+    cleanup();
+    // The display currency is remembered per device.
+    localStorage.clear();
+    delete Element.prototype.scrollIntoView;
+    vi.restoreAllMocks();
+});
+
+describe('ComponentsPage', () => {
+    it('bootstraps the default build for an editor and opens it', async () => {
+        renderPage();
+        expect(await screen.findByRole('link', { name: 'Current Build' })).toHaveProperty('href', expect.stringContaining(`/components/${DEFAULT_BUILD_ID}`));
+        expect(screen.getByText('Add New Component')).toBeTruthy();
+    });
+
+    it('leaves an empty workspace alone for visitors', async () => {
+        renderPage({ role: null });
+        expect(await screen.findByText('No builds have been published yet.')).toBeTruthy();
+    });
+
+    it('shows visitors why the builds failed to load', async () => {
+        repositoryHolder.current.subscribeBuilds = (onChange, onError) => {
+            onError(new Error('unavailable'));
+            return () => {};
+        };
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        renderPage({ role: null });
+
+        expect(await screen.findByText('Failed to load component data.')).toBeTruthy();
+        expect(screen.queryByText('No builds have been published yet.')).toBeNull();
+    });
+
+    it('adds a component and totals its cost', async () => {
+        const user = userEvent.setup();
+        renderPage();
+        await screen.findByText('Add New Component');
+
+        await fillComponentForm(user, { name: 'Drive motor', quantity: '2', price: '850' });
+        await user.click(screen.getByRole('button', { name: 'Add Component' }));
+
+        expect(await screen.findByText('Drive motor')).toBeTruthy();
+        expect(within(totalsRow()).getByText('₹1700.00')).toBeTruthy();
+        expect(screen.getByLabelText('Component Name').value).toBe('');
+    });
+
+    it('shows validation errors without saving', async () => {
+        const user = userEvent.setup();
+        renderPage();
+        await screen.findByText('Add New Component');
+
+        await user.type(screen.getByLabelText('Number of Items'), '2');
+        await user.type(screen.getByLabelText('Price'), '850');
+        await user.click(screen.getByRole('button', { name: 'Add Component' }));
+
+        expect(await screen.findByText('Please fill all fields with valid data.')).toBeTruthy();
+        expect(within(totalsRow()).getByText('₹0.00')).toBeTruthy();
+    });
+
+    it('saves an edited row in place instead of adding another', async () => {
+        const user = userEvent.setup();
+        const buildId = await repositoryHolder.current.createBuild({ name: 'RoboWarz 2025', isDefault: true });
+        await repositoryHolder.current.applyComponentChange(buildId, LOCAL_USER, addComponent({ id: 'motor', name: 'Drive motor', quantity: '2', price: '850' }));
+        renderPage({ path: `/components/${buildId}` });
+
+        await user.click(await screen.findByRole('button', { name: 'Edit' }));
+        expect(screen.getByText('Edit Component')).toBeTruthy();
+        const price = screen.getByLabelText('Price');
+        await user.clear(price);
+        await user.type(price, '900');
+        await user.click(screen.getByRole('button', { name: 'Update' }));
+
+        expect(await screen.findByText('Add New Component')).toBeTruthy();
+        expect(screen.getAllByRole('button', { name: 'Edit' })).toHaveLength(1);
+        expect(within(totalsRow()).getByText('₹1800.00')).toBeTruthy();
+    });
+
+    it('converts foreign prices into the chosen display currency', async () => {
+        const user = userEvent.setup();
+        const buildId = await repositoryHolder.current.createBuild({ name: 'RoboWarz 2025', isDefault: true });
+        await repositoryHolder.current.saveExchangeRates({ USD: 80 }, LOCAL_USER);
+        await repositoryHolder.current.applyComponentChange(buildId, LOCAL_USER, addComponent({ id: 'motor', name: 'Drive motor', quantity: '2', price: '25', currency: 'USD' }));
+        await repositoryHolder.current.applyComponentChange(buildId, LOCAL_USER, addComponent({ id: 'bolts', name: 'Bolts', quantity: '1', price: '400' }));
+        renderPage({ path: `/components/${buildId}` });
+
+        expect(await screen.findByText('$25.00')).toBeTruthy();
+        expect(within(totalsRow()).getByText('₹4400.00')).toBeTruthy();
+
+        await user.selectOptions(screen.getByLabelText('Show totals in'), 'USD');
+        expect(within(totalsRow()).getByText('$55.00')).toBeTruthy();
+    });
+
+    it('scrolls to and highlights the row a search result points at', async () => {
+        const buildId = await repositoryHolder.current.createBuild({ name: 'RoboWarz 2025', isDefault: true });
+        await repositoryHolder.current.applyComponentChange(buildId, LOCAL_USER, addComponent({ id: 'motor', name: 'Drive motor', quantity: '2', price: '850' }));
+        await repositoryHolder.current.applyComponentChange(buildId, LOCAL_USER, addComponent({ id: 'bolts', name: 'Bolts', quantity: '1', price: '400' }));
+        renderPage({ path: `/components/${buildId}?highlight=motor` });
+
+        const row = (await screen.findByText('Drive motor')).closest('tr');
+        expect(row.className).toContain('ring-orange-500');
+        expect(screen.getByText('Bolts').closest('tr').className).not.toContain('ring-orange-500');
+        expect(Element.prototype.scrollIntoView.mock.instances[0]).toBe(row);
+    });
+
+    it('warns when someone else saves the row being edited', async () => {
+        const user = userEvent.setup();
+        const buildId = await repositoryHolder.current.createBuild({ name: 'RoboWarz 2025', isDefault: true });
+        const motor = { id: 'motor', name: 'Drive motor', quantity: '2', price: '850' };
+        await repositoryHolder.current.applyComponentChange(buildId, LOCAL_USER, addComponent(motor));
+        renderPage({ path: `/components/${buildId}` });
+
+        await user.click(await screen.findByRole('button', { name: 'Edit' }));
+        await repositoryHolder.current.applyComponentChange(buildId, LOCAL_USER, (components) => ({
+            components: components.map(c => ({ ...c, quantity: '4' })),
+            change: { action: 'update', componentId: 'motor' },
+        }));
+        expect(await screen.findByText('Someone else changed this component while you were editing it.')).toBeTruthy();
+
+        await user.click(screen.getByRole('button', { name: 'Update' }));
+        expect(await screen.findByText(/changed by someone else/)).toBeTruthy();
+    });
+});
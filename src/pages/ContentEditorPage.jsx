@@ -0,0 +1,193 @@
+import { useState } from 'react';
+import { FEATURE_ICONS, SOCIAL_LINKS, emptyFeature, emptyMember, emptySpec, emptyAboutSection, withIds, validateSection } from '../content';
+import { saveSiteSection, uploadContentImage } from '../contentStore';
+import { PageHeader } from '../ui';
+
+const ContentEditorPage = ({ user, content }) => (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+        <PageHeader title="Site Content" subtitle="Edit the homepage and About page. Each section saves on its own." />
+
+        {/* Each editor is keyed by its section, so a save from another owner resets only that one. */}
+        <ContentSection key={`hero-${JSON.stringify(content.hero)}`} title="Hero" section="hero" value={content.hero} user={user}>
+            {(hero, setHero) => (
+                <div className="grid gap-4 md:grid-cols-2">
+                    <ContentField label="Title" value={hero.title} onChange={(title) => setHero({ ...hero, title })} />
+                    <ContentField label="Tagline" value={hero.tagline} onChange={(tagline) => setHero({ ...hero, tagline })} />
+                    <ContentImageField label="Background Image" name="hero" value={hero.backgroundUrl} onChange={(backgroundUrl) => setHero({ ...hero, backgroundUrl })} />
+                </div>
+            )}
+        </ContentSection>
+
+        <ContentSection key={`features-${JSON.stringify(content.features)}`} title="Feature Cards" section="features" value={content.features} user={user} newItem={emptyFeature} titleKey="title">
+            {(feature, updateFeature) => (
+                <div className="grid gap-4 md:grid-cols-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300">Icon</label>
+                        <select value={feature.icon} onChange={(e) => updateFeature({ icon: e.target.value })} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white capitalize focus:outline-none focus:ring-orange-500 focus:border-orange-500">
+                            {FEATURE_ICONS.map(icon => <option key={icon} value={icon}>{icon}</option>)}
+                        </select>
+                    </div>
+                    <div className="md:col-span-3">
+                        <ContentField label="Title" value={feature.title} onChange={(title) => updateFeature({ title })} />
+                    </div>
+                    <div className="md:col-span-4">
+                        <ContentField label="Description" multiline value={feature.description} onChange={(description) => updateFeature({ description })} />
+                    </div>
+                </div>
+            )}
+        </ContentSection>
+
+        <ContentSection key={`specs-${JSON.stringify(content.specs)}`} title="Robot Specs" section="specs" value={content.specs} user={user} newItem={emptySpec}>
+            {(spec, updateSpec) => (
+                <div className="grid gap-4 md:grid-cols-2">
+                    <ContentField label="Label" value={spec.label} onChange={(label) => updateSpec({ label })} />
+                    <ContentField label="Value" value={spec.value} onChange={(value) => updateSpec({ value })} />
+                </div>
+            )}
+        </ContentSection>
+
+        <ContentSection key={`members-${JSON.stringify(content.members)}`} title="Team Members" section="members" value={content.members} user={user} newItem={emptyMember} titleKey="name">
+            {(member, updateMember) => (
+                <div className="grid gap-4 md:grid-cols-2">
+                    <ContentField label="Name" value={member.name} onChange={(name) => updateMember({ name })} />
+                    <ContentField label="Role" value={member.title} onChange={(title) => updateMember({ title })} />
+                    <ContentImageField label="Photo" name={`member-${member.id || 'new'}`} value={member.imgSrc} onChange={(imgSrc) => updateMember({ imgSrc })} />
+                    <ContentField label="Bio" multiline value={member.bio} onChange={(bio) => updateMember({ bio })} />
+                    {SOCIAL_LINKS.map(link => (
+                        <ContentField key={link.id} label={link.label} type="url" value={member.socials?.[link.id] || ''} onChange={(url) => updateMember({ socials: { ...member.socials, [link.id]: url } })} />
+                    ))}
+                </div>
+            )}
+        </ContentSection>
+
+        <ContentSection key={`about-${JSON.stringify(content.about)}`} title="About Sections" section="about" value={content.about} user={user} newItem={emptyAboutSection} titleKey="heading">
+            {(section, updateSection) => (
+                <div className="grid gap-4 md:grid-cols-2">
+                    <div className="md:col-span-2">
+                        <ContentField label="Heading" value={section.heading} onChange={(heading) => updateSection({ heading })} />
+                    </div>
+                    <div className="md:col-span-2">
+                        <ContentField label="Text (blank line between paragraphs)" multiline rows={6} value={section.body} onChange={(body) => updateSection({ body })} />
+                    </div>
+                    <ContentImageField label="Image" name="about" value={section.imageUrl} onChange={(imageUrl) => updateSection({ imageUrl })} />
+                    <ContentField label="Image Alt Text" value={section.imageAlt} onChange={(imageAlt) => updateSection({ imageAlt })} />
+                </div>
+            )}
+        </ContentSection>
+
+        <ContentSection key={`contact-${content.contactEmail}`} title="Contact" section="contactEmail" value={content.contactEmail} user={user}>
+            {(email, setEmail) => <ContentField label="Contact Email" type="email" value={email} onChange={setEmail} />}
+        </ContentSection>
+    </div>
+);
+
+// Holds a draft of one content section. List sections (those with a `newItem`)
+// render their children once per item, with add, reorder and remove controls.
+const ContentSection = ({ title, section, value, user, newItem, titleKey, children }) => {
+    const [draft, setDraft] = useState(value);
+    const [status, setStatus] = useState('');
+    const [error, setError] = useState('');
+    const isList = Boolean(newItem);
+    const isDirty = JSON.stringify(draft) !== JSON.stringify(value);
+
+    const updateItem = (index, changes) => setDraft(prev => prev.map((item, i) => i === index ? { ...item, ...changes } : item));
+    const moveItem = (index, offset) => setDraft(prev => {
+        const next = [...prev];
+        [next[index], next[index + offset]] = [next[index + offset], next[index]];
+        return next;
+    });
+
+    const handleSave = async () => {
+        const saved = isList && titleKey ? withIds(draft, titleKey) : draft;
+        const validationError = validateSection(section, saved);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        setStatus('Saving…');
+        try {
+            await saveSiteSection(section, saved, user);
+            setError('');
+        } catch (err) {
+            console.error("Error saving site content:", err);
+            setError("Failed to save this section.");
+        }
+        setStatus('');
+    };
+
+    return (
+        <div className="bg-neutral-800 p-6 rounded-lg shadow-xl mb-8 border border-neutral-700">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-bold text-white">{title}</h3>
+                <div className="flex items-center gap-4">
+                    {isDirty && <button onClick={() => { setDraft(value); setError(''); }} className="text-gray-400 hover:text-white text-sm">Discard</button>}
+                    <button onClick={handleSave} disabled={!isDirty || Boolean(status)} className="bg-orange-600 hover:bg-orange-700 disabled:bg-neutral-600 disabled:cursor-not-allowed text-white font-bold py-2 px-4 rounded-lg transition duration-300">{status || 'Save'}</button>
+                </div>
+            </div>
+            {error && <p className="mb-4 text-red-500">{error}</p>}
+            {isList ? (
+                <div className="space-y-4">
+                    {draft.map((item, index) => (
+                        <div key={index} className="border border-neutral-700 rounded-lg p-4">
+                            {children(item, (changes) => updateItem(index, changes))}
+                            <div className="mt-3 flex justify-between text-sm">
+                                <div className="space-x-3">
+                                    <button onClick={() => moveItem(index, -1)} disabled={index === 0} aria-label="Move up" className="text-gray-300 hover:text-white disabled:text-neutral-600">↑</button>
+                                    <button onClick={() => moveItem(index, 1)} disabled={index === draft.length - 1} aria-label="Move down" className="text-gray-300 hover:text-white disabled:text-neutral-600">↓</button>
+                                </div>
+                                <button onClick={() => setDraft(prev => prev.filter((_, i) => i !== index))} className="text-red-500 hover:text-red-400">Remove</button>
+                            </div>
+                        </div>
+                    ))}
+                    <button onClick={() => setDraft(prev => [...prev, { ...newItem }])} className="bg-neutral-700 hover:bg-neutral-600 text-white font-bold py-2 px-4 rounded-lg transition duration-300">Add</button>
+                </div>
+            ) : children(draft, setDraft)}
+        </div>
+    );
+};
+
+const ContentField = ({ label, value, onChange, multiline, rows = 3, type = 'text' }) => {
+    const className = "mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500";
+    return (
+        <label className="block">
+            <span className="block text-sm font-medium text-gray-300">{label}</span>
+            {multiline
+                ? <textarea rows={rows} value={value} onChange={(e) => onChange(e.target.value)} className={className} />
+                : <input type={type} value={value} onChange={(e) => onChange(e.target.value)} className={className} />}
+        </label>
+    );
+};
+
+// An image URL that can also be filled by uploading a file.
+const ContentImageField = ({ label, name, value, onChange }) => {
+    const [isUploading, setIsUploading] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        setIsUploading(true);
+        try {
+            onChange(await uploadContentImage(file, name));
+            setError('');
+        } catch (err) {
+            console.error("Error uploading image:", err);
+            setError("Upload failed.");
+        }
+        setIsUploading(false);
+    };
+
+    return (
+        <div>
+            <ContentField label={label} value={value} onChange={onChange} />
+            <div className="mt-2 flex items-center gap-3">
+                {value && <img src={value} alt="" className="h-12 w-12 rounded-md object-cover border border-neutral-700" />}
+                <input type="file" accept="image/*" onChange={handleFile} disabled={isUploading} aria-label={`Upload ${label}`} className="text-sm text-gray-300 file:mr-2 file:py-1 file:px-3 file:rounded-lg file:border-0 file:bg-neutral-600 file:text-white" />
+                {isUploading && <span className="text-sm text-gray-400">Uploading…</span>}
+            </div>
+            {error && <p className="mt-1 text-sm text-red-500">{error}</p>}
+        </div>
+    );
+};
+
+export default ContentEditorPage;
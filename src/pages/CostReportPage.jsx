@@ -0,0 +1,163 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router';
+import { downloadCsv } from '../csv';
+import { costReport, reportTotals, costReportToCsvRows } from '../budget';
+import { repository } from '../repository';
+import { PageHeader, LoadingSpinner } from '../ui';
+import { formatDate } from '../dates';
+
+// Spend, budgets and cost per match across every event, oldest first. Builds are
+// public, so the report is too; matches are only recorded in Firestore.
+const CostReportPage = () => {
+    const [builds, setBuilds] = useState([]);
+    const [matches, setMatches] = useState([]);
+    const [maintenanceEntries, setMaintenanceEntries] = useState([]);
+    const [rates, setRates] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const unsubscribe = repository.subscribeBuilds((buildsData) => {
+            setBuilds(buildsData);
+            setLoading(false);
+        }, (err) => {
+            console.error("Error fetching builds:", err);
+            setError("Failed to load component data.");
+            setLoading(false);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    useEffect(() => {
+        const unsubscribe = repository.subscribeExchangeRates(setRates, (err) => console.error("Error fetching exchange rates:", err));
+        return () => unsubscribe();
+    }, []);
+
+    useEffect(() => {
+        const unsubscribeMatches = repository.subscribeMatches(setMatches, (err) => console.error("Error fetching matches:", err));
+        const unsubscribeMaintenance = repository.subscribeMaintenance(setMaintenanceEntries, (err) => console.error("Error fetching maintenance log:", err));
+        return () => {
+            unsubscribeMatches();
+            unsubscribeMaintenance();
+        };
+    }, []);
+
+    if (loading) return <LoadingSpinner />;
+
+    // null when the backend doesn't record matches, as in local mode.
+    const tracksMatches = matches !== null;
+    const rows = costReport(builds, matches || [], maintenanceEntries, rates);
+    const totals = reportTotals(rows);
+
+    return (
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <PageHeader title="Cost Report" subtitle="What each event has cost, for sponsors and the club." />
+            {error && <p className="mb-4 text-center text-red-500">{error}</p>}
+
+            {rows.length === 0 ? (
+                <p className="text-center text-gray-400">No builds have been published yet.</p>
+            ) : (
+                <div className="space-y-8">
+                    <div className="grid gap-4 sm:grid-cols-3">
+                        <div className="bg-neutral-800 p-4 rounded-lg border border-neutral-700">
+                            <p className="text-sm text-gray-400">Total spend</p>
+                            <p className="text-2xl font-bold text-white">₹{totals.total.toFixed(2)}</p>
+                            <p className="text-sm text-gray-400">across {rows.length} {rows.length === 1 ? 'build' : 'builds'}{totals.repairs > 0 && `, incl. ₹${totals.repairs.toFixed(2)} of repairs`}</p>
+                        </div>
+                        {tracksMatches && (
+                            <>
+                                <div className="bg-neutral-800 p-4 rounded-lg border border-neutral-700">
+                                    <p className="text-sm text-gray-400">Matches fought</p>
+                                    <p className="text-2xl font-bold text-white">{totals.matches}</p>
+                                    <p className="text-sm text-gray-400">{totals.wins} won, {totals.matches - totals.wins} lost</p>
+                                </div>
+                                <div className="bg-neutral-800 p-4 rounded-lg border border-neutral-700">
+                                    <p className="text-sm text-gray-400">Cost per match</p>
+                                    <p className="text-2xl font-bold text-white">{totals.costPerMatch === null ? '—' : `₹${totals.costPerMatch.toFixed(2)}`}</p>
+                                    <p className="text-sm text-gray-400">all spend over all matches</p>
+                                </div>
+                            </>
+                        )}
+                    </div>
+
+                    <TrendChart title="Spend per event" rows={rows} valueOf={row => row.total} budgetFor={row => row.budget} />
+                    {tracksMatches && <TrendChart title="Cost per match" rows={rows} valueOf={row => row.costPerMatch} />}
+
+                    <div className="bg-neutral-800 rounded-lg shadow-xl overflow-hidden border border-neutral-700">
+                        <div className="flex justify-between items-center px-6 py-4">
+                            <h3 className="text-xl font-bold text-white">Events</h3>
+                            <button onClick={() => downloadCsv('cost-report.csv', costReportToCsvRows(rows))} className="bg-neutral-700 hover:bg-neutral-600 text-white font-bold py-2 px-4 rounded-lg transition duration-300 whitespace-nowrap">Export CSV</button>
+                        </div>
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-neutral-700 text-sm">
+                                <thead className="bg-neutral-700/50">
+                                    <tr>
+                                        {['Event', 'Date', 'Budget', 'Parts', 'GST & shipping', 'Repairs', 'Total', 'Budget used', ...(tracksMatches ? ['Matches', 'Per match'] : [])].map(label => (
+                                            <th key={label} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">{label}</th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-neutral-700">
+                                    {rows.map(row => (
+                                        <tr key={row.id}>
+                                            <td className="px-6 py-3 whitespace-nowrap">
+                                                <Link to={`/components/${row.id}`} className={`text-orange-400 hover:text-orange-300 ${row.archived ? 'italic' : ''}`}>{row.name}</Link>
+                                            </td>
+                                            <td className="px-6 py-3 whitespace-nowrap text-gray-300">{row.date ? formatDate(row.date) : '—'}</td>
+                                            <td className="px-6 py-3 whitespace-nowrap text-gray-300">{row.budget === null ? '—' : `₹${row.budget.toFixed(2)}`}</td>
+                                            <td className="px-6 py-3 whitespace-nowrap text-gray-300">₹{row.parts.toFixed(2)}</td>
+                                            <td className="px-6 py-3 whitespace-nowrap text-gray-300">₹{(row.gst + row.shipping).toFixed(2)}</td>
+                                            <td className="px-6 py-3 whitespace-nowrap text-gray-300">₹{row.repairs.toFixed(2)}</td>
+                                            <td className="px-6 py-3 whitespace-nowrap font-bold text-white">₹{row.total.toFixed(2)}</td>
+                                            <td className={`px-6 py-3 whitespace-nowrap ${row.budgetUsed > 1 ? 'text-red-400 font-bold' : 'text-gray-300'}`}>{row.budgetUsed === null ? '—' : `${(row.budgetUsed * 100).toFixed(0)}%`}</td>
+                                            {tracksMatches && (
+                                                <>
+                                                    <td className="px-6 py-3 whitespace-nowrap text-gray-300">{row.matches} <span className="text-gray-500">({row.wins}W)</span></td>
+                                                    <td className="px-6 py-3 whitespace-nowrap text-gray-300">{row.costPerMatch === null ? '—' : `₹${row.costPerMatch.toFixed(2)}`}</td>
+                                                </>
+                                            )}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// One column per event, oldest on the left. With `budgetFor`, a line marks each
+// event's budget and columns over it turn red. Events without a value are skipped.
+const TrendChart = ({ title, rows, valueOf, budgetFor }) => {
+    const points = rows.map(row => ({ row, value: valueOf(row), budget: budgetFor ? budgetFor(row) : null })).filter(p => p.value !== null);
+    const max = Math.max(0, ...points.map(p => Math.max(p.value, p.budget || 0)));
+
+    return (
+        <div className="bg-neutral-800 p-6 rounded-lg shadow-xl border border-neutral-700">
+            <h3 className="text-xl font-bold text-white mb-4">{title}</h3>
+            {max === 0 ? (
+                <p className="text-sm text-gray-400">Nothing to chart yet.</p>
+            ) : (
+                <div className="flex items-end gap-3 overflow-x-auto">
+                    {points.map(({ row, value, budget }) => (
+                        <div key={row.id} className="flex-1 min-w-[4rem] flex flex-col items-center">
+                            <span className="text-xs text-gray-300 mb-1 whitespace-nowrap">₹{value.toFixed(0)}</span>
+                            <div className="relative w-full h-40 flex items-end">
+                                <div className={`w-full rounded-t ${budget !== null && value > budget ? 'bg-red-600' : 'bg-orange-500'}`} style={{ height: `${(value / max) * 100}%` }} title={`${row.name}: ₹${value.toFixed(2)}`}></div>
+                                {budget !== null && (
+                                    <div className="absolute inset-x-0 border-t-2 border-dashed border-gray-300" style={{ bottom: `${(budget / max) * 100}%` }} title={`Budget ₹${budget.toFixed(2)}`}></div>
+                                )}
+                            </div>
+                            <span className="mt-2 text-xs text-gray-400 truncate w-full text-center" title={row.name}>{row.name}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+            {budgetFor && max > 0 && <p className="mt-3 text-xs text-gray-500">Dashed lines mark each event's budget.</p>}
+        </div>
+    );
+};
+
+export default CostReportPage;
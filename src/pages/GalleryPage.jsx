@@ -0,0 +1,338 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useParams, useNavigate, useSearchParams } from 'react-router';
+import { dataBackend } from '../config';
+import { GALLERY_ALBUMS, albumLabel, photoAlt, bundledGalleryImages } from '../gallery';
+import { fetchGalleryPhotos } from '../publicData';
+import { canEditBuilds } from '../team';
+import { PageHeader, LoadingSpinner } from '../ui';
+import { formatDate } from '../dates';
+
+// The repository pulls in the Firebase SDK, so it's only loaded for the crew and in local mode.
+const loadRepository = () => import('../repository').then(module => module.repository);
+
+const GalleryPage = ({ user, role }) => {
+    // Photos come from the repository's gallery. Until the first upload, the
+    // images bundled in `public/images/` are shown instead. Visitors get a one-off
+    // read over REST; signed-in users get live updates.
+    const { photoId } = useParams();
+    const [searchParams] = useSearchParams();
+    const navigate = useNavigate();
+    const [photos, setPhotos] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [isUploading, setIsUploading] = useState(false);
+    const canEdit = canEditBuilds(role);
+    const album = searchParams.get('album') || '';
+    const isLive = dataBackend === 'local' || Boolean(user);
+
+    useEffect(() => {
+        let cancelled = false;
+        let unsubscribe = null;
+        const onError = (err) => {
+            console.error("Error fetching gallery:", err);
+            setError("Failed to load the gallery.");
+            setLoading(false);
+        };
+        if (isLive) {
+            loadRepository()
+                .then(repository => {
+                    if (cancelled) return;
+                    unsubscribe = repository.subscribeGallery((photosData) => {
+                        setPhotos(photosData);
+                        setLoading(false);
+                    }, onError);
+                })
+                .catch(onError);
+        } else {
+            fetchGalleryPhotos()
+                .then(photosData => {
+                    if (cancelled) return;
+                    setPhotos(photosData);
+                    setLoading(false);
+                })
+                .catch(onError);
+        }
+        return () => {
+            cancelled = true;
+            unsubscribe?.();
+        };
+    }, [isLive]);
+
+    // Moves within the photos on screen, so with an album open a photo swaps
+    // places with its neighbour in that album.
+    const handleMove = async (index, offset) => {
+        const other = galleryImages[index + offset];
+        if (!other) return;
+        try {
+            const repository = await loadRepository();
+            await repository.swapGalleryOrder(galleryImages[index], other);
+        } catch (err) {
+            console.error("Reorder error:", err);
+            setError("Failed to reorder photos.");
+        }
+    };
+
+    const handleSaveDetails = async (photo, details) => {
+        try {
+            const repository = await loadRepository();
+            await repository.updateGalleryPhoto(photo.id, details);
+        } catch (err) {
+            console.error("Photo details error:", err);
+            setError("Failed to save the photo details.");
+        }
+    };
+
+    const handleDelete = async (photo) => {
+        if (!window.confirm("Delete this photo from the gallery?")) return;
+        try {
+            const repository = await loadRepository();
+            await repository.deleteGalleryPhoto(photo);
+        } catch (err) {
+            console.error("Delete photo error:", err);
+            setError("Failed to delete the photo.");
+        }
+    };
+
+    const isBundled = !loading && photos.length === 0;
+    const allImages = isBundled ? bundledGalleryImages : photos;
+    const galleryImages = album ? allImages.filter(image => image.album === album) : allImages;
+    const albumQuery = album ? `?album=${album}` : '';
+    const lightboxIndex = galleryImages.findIndex(image => image.id === photoId);
+
+    return (
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <PageHeader title="Gallery" subtitle="A curated collection of photos from the workshop and the arena." />
+
+            {/* Album Tabs */}
+            <nav className="flex flex-wrap justify-center gap-2 mb-8" aria-label="Albums">
+                {[{ id: '', label: 'All' }, ...GALLERY_ALBUMS].map(({ id, label }) => (
+                    <Link
+                        key={id || 'all'}
+                        to={id ? `/gallery?album=${id}` : '/gallery'}
+                        className={`${album === id ? 'bg-orange-600 text-white' : 'bg-neutral-800 text-gray-300 hover:bg-neutral-700'} px-4 py-1.5 rounded-full text-sm font-medium transition-colors`}
+                    >
+                        {label}
+                    </Link>
+                ))}
+            </nav>
+
+            {canEdit && (
+                <div className="mb-8">
+                    {isUploading
+                        ? <GalleryUploadPanel user={user} defaultAlbum={album} onDone={() => setIsUploading(false)} />
+                        : <button onClick={() => setIsUploading(true)} className="bg-orange-600 hover:bg-orange-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300">Upload Photos</button>}
+                </div>
+            )}
+            {error && <p className="mb-4 text-red-500">{error}</p>}
+
+            {loading ? <LoadingSpinner /> : (
+                <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
+                    {galleryImages.map((image, index) => {
+                        return (
+                            <div key={image.id}>
+                                <Link to={`/gallery/${image.id}${albumQuery}`} className="group relative overflow-hidden rounded-lg shadow-lg border-2 border-neutral-800 hover:border-orange-600 transition-colors duration-300 bg-black/20 flex items-center justify-center">
+                                    <img
+                                        src={image.thumbUrl || image.url}
+                                        alt={photoAlt(image)}
+                                        loading="lazy"
+                                        decoding="async"
+                                        className="w-full h-64 object-contain transform group-hover:scale-110 transition-transform duration-500"
+                                        // Add a fallback for when an image is not found
+                                        onError={(e) => {
+                                            e.currentTarget.src = `https://placehold.co/600x400/171717/9A3412?text=Image+Not+Found`;
+                                            e.currentTarget.onerror = null;
+                                        }}
+                                    />
+                                    <div className="absolute bottom-0 left-0 right-0 p-4 bg-gradient-to-t from-black/80 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300">
+                                        <p className="text-white text-sm font-semibold">{image.caption}</p>
+                                        {image.takenAt && <p className="text-gray-300 text-xs">{formatDate(image.takenAt)}</p>}
+                                    </div>
+                                </Link>
+                                {canEdit && !isBundled && (
+                                    <div className="mt-2 space-y-2">
+                                        <PhotoDetailsEditor photo={image} onSave={(details) => handleSaveDetails(image, details)} />
+                                        <div className="flex justify-between text-sm">
+                                            <div className="space-x-3">
+                                                <button onClick={() => handleMove(index, -1)} disabled={index === 0} aria-label="Move earlier" className="text-gray-300 hover:text-white disabled:text-neutral-600">←</button>
+                                                <button onClick={() => handleMove(index, 1)} disabled={index === galleryImages.length - 1} aria-label="Move later" className="text-gray-300 hover:text-white disabled:text-neutral-600">→</button>
+                                            </div>
+                                            <button onClick={() => handleDelete(image)} className="text-red-500 hover:text-red-400">Delete</button>
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            {lightboxIndex >= 0 && (
+                <Lightbox
+                    images={galleryImages}
+                    index={lightboxIndex}
+                    onNavigate={(index) => navigate(`/gallery/${galleryImages[index].id}${albumQuery}`, { replace: true })}
+                    onClose={() => navigate(`/gallery${albumQuery}`)}
+                />
+            )}
+        </div>
+    );
+};
+
+// Saves each field when it loses focus, so editors can tab through quickly.
+const PhotoDetailsEditor = ({ photo, onSave }) => {
+    const saveIfChanged = (field, value) => {
+        if (value !== (photo[field] || '')) onSave({ [field]: value });
+    };
+    const inputClass = "block w-full bg-neutral-800 border border-neutral-700 rounded-md py-1 px-2 text-sm text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500";
+
+    return (
+        <div className="space-y-2">
+            <input type="text" defaultValue={photo.caption} onBlur={(e) => saveIfChanged('caption', e.target.value.trim())} placeholder="Caption" aria-label="Caption" className={inputClass} />
+            <input type="text" defaultValue={photo.alt} onBlur={(e) => saveIfChanged('alt', e.target.value.trim())} placeholder="Alt text (what's in the photo)" aria-label="Alt text" className={inputClass} />
+            <div className="flex gap-2">
+                <select defaultValue={photo.album || ''} onChange={(e) => saveIfChanged('album', e.target.value)} aria-label="Album" className={inputClass}>
+                    <option value="">No album</option>
+                    {GALLERY_ALBUMS.map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+                </select>
+                <input type="date" defaultValue={photo.takenAt} onBlur={(e) => saveIfChanged('takenAt', e.target.value)} aria-label="Date taken" className={inputClass} />
+            </div>
+        </div>
+    );
+};
+
+const Lightbox = ({ images, index, onNavigate, onClose }) => {
+    const touchStartX = useRef(null);
+    const image = images[index];
+    const hasPrevious = index > 0;
+    const hasNext = index < images.length - 1;
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+            if (e.key === 'ArrowLeft' && hasPrevious) onNavigate(index - 1);
+            if (e.key === 'ArrowRight' && hasNext) onNavigate(index + 1);
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        document.body.style.overflow = 'hidden';
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            document.body.style.overflow = '';
+        };
+    }, [index, hasPrevious, hasNext, onNavigate, onClose]);
+
+    const handleTouchEnd = (e) => {
+        if (touchStartX.current === null) return;
+        const deltaX = e.changedTouches[0].clientX - touchStartX.current;
+        touchStartX.current = null;
+        if (deltaX > 50 && hasPrevious) onNavigate(index - 1);
+        if (deltaX < -50 && hasNext) onNavigate(index + 1);
+    };
+
+    return (
+        <div
+            role="dialog"
+            aria-modal="true"
+            aria-label={image.caption || 'Photo viewer'}
+            className="fixed inset-0 z-[60] bg-black/95 flex flex-col"
+            onTouchStart={(e) => { touchStartX.current = e.touches[0].clientX; }}
+            onTouchEnd={handleTouchEnd}
+        >
+            <div className="flex items-center justify-between p-4 text-gray-300 text-sm">
+                <span>{index + 1} / {images.length}</span>
+                <button onClick={onClose} aria-label="Close" className="text-3xl leading-none hover:text-white">&times;</button>
+            </div>
+            <div className="flex-1 flex items-center justify-center min-h-0 px-4 relative">
+                {hasPrevious && <button onClick={() => onNavigate(index - 1)} aria-label="Previous photo" className="absolute left-2 md:left-6 text-4xl text-gray-400 hover:text-white">‹</button>}
+                <img src={image.url} alt={photoAlt(image)} className="max-h-full max-w-full object-contain" />
+                {hasNext && <button onClick={() => onNavigate(index + 1)} aria-label="Next photo" className="absolute right-2 md:right-6 text-4xl text-gray-400 hover:text-white">›</button>}
+            </div>
+            <div className="p-4 text-center">
+                {image.caption && <p className="text-white font-semibold">{image.caption}</p>}
+                <p className="text-gray-400 text-sm">
+                    {[albumLabel(image.album), image.takenAt && formatDate(image.takenAt)].filter(Boolean).join(' · ')}
+                </p>
+            </div>
+        </div>
+    );
+};
+
+const GalleryUploadPanel = ({ user, defaultAlbum, onDone }) => {
+    const [files, setFiles] = useState([]);
+    const [album, setAlbum] = useState(defaultAlbum);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState('');
+
+    // Object URLs for the previews are released when the selection changes.
+    useEffect(() => () => files.forEach(f => URL.revokeObjectURL(f.preview)), [files]);
+
+    const handleFileChange = (e) => {
+        const selected = [...e.target.files].filter(file => file.type.startsWith('image/'));
+        setFiles(selected.map(file => ({
+            file,
+            caption: '',
+            alt: '',
+            takenAt: new Date(file.lastModified).toISOString().slice(0, 10),
+            preview: URL.createObjectURL(file),
+        })));
+        setError('');
+    };
+
+    const updateFile = (index, field, value) => setFiles(prev => prev.map((f, i) => i === index ? { ...f, [field]: value } : f));
+
+    const handleUpload = async () => {
+        const baseOrder = Date.now();
+        try {
+            const repository = await loadRepository();
+            for (let i = 0; i < files.length; i++) {
+                setProgress(`Uploading ${i + 1} of ${files.length}…`);
+                const { file, caption, alt, takenAt, preview } = files[i];
+                await repository.uploadGalleryPhoto(file, { caption: caption.trim(), alt: alt.trim(), album, takenAt, order: baseOrder + i, user });
+                // Saved photos leave the list, so a retry after a failure only uploads the rest.
+                setFiles(prev => prev.filter(f => f.preview !== preview));
+            }
+            setProgress(null);
+            onDone();
+        } catch (err) {
+            console.error("Upload error:", err);
+            setError("Upload failed. Photos that were saved have been removed from the list; try again to upload the rest.");
+            setProgress(null);
+        }
+    };
+
+    const inputClass = "block w-full bg-neutral-700 border-neutral-600 rounded-md py-1 px-2 text-sm text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500";
+
+    return (
+        <div className="bg-neutral-800 p-6 rounded-lg shadow-xl border border-neutral-700 space-y-4">
+            <div className="flex items-center justify-between">
+                <h3 className="text-xl font-bold text-white">Upload Photos</h3>
+                <button onClick={onDone} disabled={Boolean(progress)} className="text-gray-400 hover:text-white">Close</button>
+            </div>
+            <div className="flex flex-col sm:flex-row gap-4 sm:items-center">
+                <input type="file" accept="image/*" multiple onChange={handleFileChange} aria-label="Photos" className="block text-sm text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-orange-600 file:text-white file:font-bold hover:file:bg-orange-700" />
+                <select value={album} onChange={(e) => setAlbum(e.target.value)} aria-label="Album" className="bg-neutral-700 border-neutral-600 rounded-md py-2 px-3 text-sm text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500">
+                    <option value="">No album</option>
+                    {GALLERY_ALBUMS.map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+                </select>
+            </div>
+            {files.length > 0 && (
+                <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+                    {files.map((entry, index) => (
+                        <div key={entry.preview} className="space-y-2">
+                            <img src={entry.preview} alt={entry.alt || entry.caption} className="w-full h-32 object-cover rounded-md border border-neutral-700" />
+                            <input type="text" value={entry.caption} onChange={(e) => updateFile(index, 'caption', e.target.value)} placeholder="Caption" aria-label={`Caption for ${entry.file.name}`} className={inputClass} />
+                            <input type="text" value={entry.alt} onChange={(e) => updateFile(index, 'alt', e.target.value)} placeholder="Alt text" aria-label={`Alt text for ${entry.file.name}`} className={inputClass} />
+                            <input type="date" value={entry.takenAt} onChange={(e) => updateFile(index, 'takenAt', e.target.value)} aria-label={`Date taken for ${entry.file.name}`} className={inputClass} />
+                        </div>
+                    ))}
+                </div>
+            )}
+            <p className="text-xs text-gray-500">Photos are resized in your browser before upload, and a thumbnail is generated for the grid.</p>
+            {error && <p className="text-red-500">{error}</p>}
+            <button onClick={handleUpload} disabled={files.length === 0 || Boolean(progress)} className="bg-orange-600 hover:bg-orange-700 disabled:bg-neutral-600 disabled:cursor-not-allowed text-white font-bold py-2 px-4 rounded-lg transition duration-300">
+                {progress || `Upload ${files.length} photo${files.length === 1 ? '' : 's'}`}
+            </button>
+        </div>
+    );
+};
+
+export default GalleryPage;
@@ -0,0 +1,117 @@
+import { Link } from 'react-router';
+import { SOCIAL_LINKS, slugify } from '../content';
+import { useHighlight, HIGHLIGHT_CLASS } from '../highlight';
+
+// Feature cards pick one of these by name, so the content editor doesn't deal in SVG.
+const featureIcons = {
+    bolt: <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" /></svg>,
+    shield: <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 20.944A12.02 12.02 0 0012 22a12.02 12.02 0 009-1.056c.343-.334.652-.69.923-1.078z" /></svg>,
+    cog: <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14 10l-2 1m0 0l-2-1m2 1v2.5M20 7l-2 1m2-1l-2-1m2 1v2.5M12 21v-2.5M4 7l2 1M4 7l2-1M4 7v2.5m16 4l-2-1m2 1l-2 1m2-1v2.5M12 3v2.5" /></svg>,
+};
+
+const FeatureCard = ({ highlightId, isHighlighted, icon, title, description }) => (
+    <div data-highlight-id={highlightId} className={`bg-neutral-800 p-6 rounded-lg shadow-lg transform hover:-translate-y-2 transition-transform duration-300 border border-neutral-700 hover:border-orange-600 ${isHighlighted ? HIGHLIGHT_CLASS : ''}`}>
+        <div className="flex items-center justify-center h-12 w-12 rounded-md bg-orange-600 text-white mb-4">
+            {icon}
+        </div>
+        <h3 className="text-lg font-medium text-white">{title}</h3>
+        <p className="mt-2 text-base text-gray-400">{description}</p>
+    </div>
+);
+
+const TeamMemberCard = ({ highlightId, isHighlighted, imgSrc, name, role, bio, socials = {} }) => (
+    <div data-highlight-id={highlightId} className={`text-center text-gray-300 rounded-lg p-4 ${isHighlighted ? HIGHLIGHT_CLASS : ''}`}>
+        <img 
+            className="mx-auto h-40 w-40 rounded-full object-cover border-4 border-neutral-700" 
+            src={imgSrc} 
+            alt={`Photo of ${name}`} 
+            onError={(e) => {
+                e.currentTarget.src = `https://placehold.co/400x400/171717/D97706?text=${name.split(' ')[0]}`;
+                e.currentTarget.onerror = null; 
+            }}
+        />
+        <h3 className="mt-6 text-base font-semibold text-white">{name}</h3>
+        <p className="text-sm text-orange-400">{role}</p>
+        {bio && <p className="mt-3 text-sm text-gray-400 max-w-xs mx-auto">{bio}</p>}
+        <div className="mt-3 flex justify-center gap-4 text-sm">
+            {SOCIAL_LINKS.filter(link => socials[link.id]).map(link => (
+                <a key={link.id} href={socials[link.id]} target="_blank" rel="noopener noreferrer" className="text-gray-400 hover:text-orange-400">{link.label}</a>
+            ))}
+        </div>
+    </div>
+);
+
+const HomePage = ({ content }) => {
+    const highlightId = useHighlight();
+    return (
+        <div>
+            <header className="relative text-white text-center py-20 md:py-40 rounded-lg overflow-hidden bg-black">
+                 <div className="absolute inset-0 bg-cover bg-center z-0" style={{backgroundImage: `url('${content.hero.backgroundUrl}')`, opacity: 0.3}}></div>
+                 <div className="relative z-10 max-w-4xl mx-auto px-4">
+                    <h1 className="text-4xl md:text-7xl font-extrabold mb-4 text-orange-500 drop-shadow-lg tracking-wider">{content.hero.title}</h1>
+                    <p className="text-lg md:text-2xl mb-8 font-light text-amber-100">{content.hero.tagline}</p>
+                    <div className="space-x-4">
+                        <Link to="/gallery" className="inline-block bg-orange-600 hover:bg-orange-700 text-white font-bold py-3 px-8 rounded-lg transition-transform transform hover:scale-105 shadow-lg shadow-orange-900/50 border-b-4 border-orange-800 hover:border-orange-900">View Gallery</Link>
+                        <Link to="/components" className="inline-block bg-neutral-700 hover:bg-neutral-600 text-white font-bold py-3 px-8 rounded-lg transition-transform transform hover:scale-105 shadow-lg">Bot Components</Link>
+                    </div>
+                </div>
+            </header>
+
+            <section className="py-16 md:py-24">
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="text-center">
+                        <h2 className="text-3xl font-extrabold text-white sm:text-4xl">THE MACHINE</h2>
+                        <p className="mt-4 text-lg text-gray-400">A fusion of destructive power and resilient design.</p>
+                    </div>
+                    <div className="mt-12 grid gap-8 md:grid-cols-2 lg:grid-cols-3">
+                        {content.features.map(feature => (
+                            <FeatureCard
+                                key={feature.id}
+                                highlightId={`feature-${feature.id}`}
+                                isHighlighted={highlightId === `feature-${feature.id}`}
+                                icon={featureIcons[feature.icon] || featureIcons.bolt}
+                                title={feature.title}
+                                description={feature.description}
+                            />
+                        ))}
+                    </div>
+                    {content.specs.length > 0 && (
+                        <dl className="mt-12 max-w-3xl mx-auto grid sm:grid-cols-2 gap-x-8 divide-y divide-neutral-800 border-y border-neutral-800">
+                            {content.specs.map(spec => (
+                                <div key={spec.label} data-highlight-id={`spec-${slugify(spec.label)}`} className={`flex justify-between gap-4 py-3 text-sm ${highlightId === `spec-${slugify(spec.label)}` ? HIGHLIGHT_CLASS : ''}`}>
+                                    <dt className="text-gray-400 uppercase tracking-wider">{spec.label}</dt>
+                                    <dd className="text-white font-medium text-right">{spec.value}</dd>
+                                </div>
+                            ))}
+                        </dl>
+                    )}
+                </div>
+            </section>
+
+            <section className="bg-neutral-900/60 py-16 md:py-24 border-y border-neutral-800">
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="text-center">
+                        <h2 className="text-3xl font-extrabold text-white sm:text-4xl">MEET THE TEAM</h2>
+                        <p className="mt-4 text-lg text-gray-400">The minds behind the mayhem.</p>
+                    </div>
+                    <div className="mt-12 grid gap-8 md:grid-cols-3">
+                        {content.members.map(member => (
+                            <TeamMemberCard
+                                key={member.id}
+                                highlightId={`member-${member.id}`}
+                                isHighlighted={highlightId === `member-${member.id}`}
+                                imgSrc={member.imgSrc}
+                                name={member.name}
+                                role={member.title}
+                                bio={member.bio}
+                                socials={member.socials}
+                            />
+                        ))}
+                    </div>
+                </div>
+            </section>
+        </div>
+    );
+};
+
+export default HomePage;
@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { Link, useNavigate, useLocation } from 'react-router';
+import { signInWithGoogle, signInWithEmail, signUpWithEmail, signOutUser } from '../auth';
+import { PageHeader } from '../ui';
+
+const LoginPage = ({ user }) => {
+    const navigate = useNavigate();
+    const location = useLocation();
+    const [mode, setMode] = useState('signIn');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+
+    const redirectTo = location.state?.from || '/components';
+
+    const handleGoogleSignIn = async () => {
+        try {
+            await signInWithGoogle();
+            navigate(redirectTo, { replace: true });
+        } catch (err) {
+            console.error("Google sign-in error:", err);
+            setError("Google sign-in failed. Please try again.");
+        }
+    };
+
+    const handleEmailSubmit = async (e) => {
+        e.preventDefault();
+        if (!email.trim() || password.length < 6) {
+            setError("Enter your email and a password of at least 6 characters.");
+            return;
+        }
+        try {
+            if (mode === 'signUp') {
+                await signUpWithEmail(email.trim(), password);
+                setMessage("Account created. Check your inbox to verify your email before editing builds.");
+            } else {
+                await signInWithEmail(email.trim(), password);
+                navigate(redirectTo, { replace: true });
+            }
+            setError('');
+        } catch (err) {
+            console.error("Email sign-in error:", err);
+            setError(mode === 'signUp' ? "Could not create that account." : "Incorrect email or password.");
+        }
+    };
+
+    if (user && !user.isAnonymous) {
+        return (
+            <div className="max-w-md mx-auto px-4 sm:px-6 lg:px-8">
+                <PageHeader title="Account" subtitle={`Signed in as ${user.email}`} />
+                <div className="bg-neutral-800 p-6 rounded-lg shadow-xl border border-neutral-700 space-y-4 text-center">
+                    {message && <p className="text-amber-100">{message}</p>}
+                    {!user.emailVerified && <p className="text-gray-400">Your email isn't verified yet. Verify it to edit team builds.</p>}
+                    <div className="flex gap-4">
+                        <Link to="/components" className="flex-1 bg-orange-600 hover:bg-orange-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300">Go to Components</Link>
+                        <button onClick={signOutUser} className="flex-1 bg-neutral-600 hover:bg-neutral-500 text-white font-bold py-2 px-4 rounded-lg transition duration-300">Sign out</button>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-md mx-auto px-4 sm:px-6 lg:px-8">
+            <PageHeader title={mode === 'signUp' ? 'Create Account' : 'Sign In'} subtitle="Crew members sign in to edit the shared component database." />
+            <div className="bg-neutral-800 p-6 rounded-lg shadow-xl border border-neutral-700 space-y-6">
+                <button onClick={handleGoogleSignIn} className="w-full bg-white hover:bg-gray-200 text-black font-bold py-2 px-4 rounded-lg transition duration-300">Continue with Google</button>
+                <div className="flex items-center gap-4 text-gray-500 text-sm"><div className="flex-grow border-t border-neutral-700"></div>or<div className="flex-grow border-t border-neutral-700"></div></div>
+                <form onSubmit={handleEmailSubmit} className="space-y-4">
+                    <div>
+                        <label htmlFor="email" className="block text-sm font-medium text-gray-300">Email</label>
+                        <input type="email" id="email" value={email} onChange={(e) => setEmail(e.target.value)} autoComplete="email" className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500" />
+                    </div>
+                    <div>
+                        <label htmlFor="password" className="block text-sm font-medium text-gray-300">Password</label>
+                        <input type="password" id="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete={mode === 'signUp' ? 'new-password' : 'current-password'} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500" />
+                    </div>
+                    <button type="submit" className="w-full bg-orange-600 hover:bg-orange-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 shadow-lg">{mode === 'signUp' ? 'Create Account' : 'Sign In'}</button>
+                </form>
+                {error && <p className="text-red-500">{error}</p>}
+                <p className="text-sm text-gray-400 text-center">
+                    {mode === 'signUp' ? 'Already have an account?' : 'New to the crew?'}{' '}
+                    <button onClick={() => { setMode(mode === 'signUp' ? 'signIn' : 'signUp'); setError(''); }} className="text-orange-400 hover:text-orange-300">
+                        {mode === 'signUp' ? 'Sign in' : 'Create an account'}
+                    </button>
+                </p>
+            </div>
+        </div>
+    );
+};
+
+export default LoginPage;
@@ -0,0 +1,246 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router';
+import { collection, onSnapshot, addDoc, doc, updateDoc, deleteDoc } from 'firebase/firestore';
+import { db } from '../firebase';
+import { teamMatchesPath } from '../config';
+import { MATCH_RESULTS, WIN_METHODS, emptyMatch, resultLabel, methodLabel, parseDuration, formatDuration, validateMatch, sortMatches, matchRecord } from '../matches';
+import { repository } from '../repository';
+import { canEditBuilds, canDeleteFromBuilds } from '../team';
+import { PageHeader, LoadingSpinner } from '../ui';
+import { formatDate } from '../dates';
+import { useHighlight, HIGHLIGHT_CLASS } from '../highlight';
+
+const MatchesPage = ({ role }) => {
+    const canEdit = canEditBuilds(role);
+    const canDelete = canDeleteFromBuilds(role);
+    const [matches, setMatches] = useState([]);
+    const [builds, setBuilds] = useState([]);
+    const [form, setForm] = useState(emptyMatch);
+    const [editingId, setEditingId] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const highlightId = useHighlight(!loading);
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(collection(db, teamMatchesPath), (querySnapshot) => {
+            setMatches(sortMatches(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+            setLoading(false);
+        }, (err) => {
+            console.error("Error fetching matches:", err);
+            setError("Failed to load the match record.");
+            setLoading(false);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    // Build names label the links back to the component database.
+    useEffect(() => {
+        const unsubscribe = repository.subscribeBuilds((buildsData) => {
+            setBuilds([...buildsData].sort((a, b) => a.name.localeCompare(b.name)));
+        }, (err) => console.error("Error fetching builds:", err));
+        return () => unsubscribe();
+    }, []);
+
+    const handleInput = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const validationError = validateMatch(form);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        const data = {
+            ...form,
+            event: form.event.trim(),
+            opponent: form.opponent.trim(),
+            round: form.round.trim(),
+            notes: form.notes.trim(),
+            duration: parseDuration(form.duration),
+        };
+        try {
+            if (editingId) {
+                await updateDoc(doc(db, teamMatchesPath, editingId), data);
+            } else {
+                await addDoc(collection(db, teamMatchesPath), { ...data, createdAt: new Date() });
+            }
+            setForm(emptyMatch);
+            setEditingId(null);
+            setError('');
+        } catch (err) {
+            console.error("Error saving match:", err);
+            setError("Failed to save the match.");
+        }
+    };
+
+    const handleEdit = (match) => {
+        setEditingId(match.id);
+        setForm({ ...emptyMatch, ...match, duration: formatDuration(match.duration) });
+        setError('');
+    };
+
+    const handleCancelEdit = () => {
+        setEditingId(null);
+        setForm(emptyMatch);
+        setError('');
+    };
+
+    const handleDelete = async (match) => {
+        if (!window.confirm(`Delete the match against ${match.opponent}?`)) return;
+        try {
+            await deleteDoc(doc(db, teamMatchesPath, match.id));
+        } catch (err) {
+            console.error("Error deleting match:", err);
+            setError("Failed to delete the match.");
+        }
+    };
+
+    if (loading) return <LoadingSpinner />;
+
+    const record = matchRecord(matches);
+    const inputClass = "mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500";
+
+    return (
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <PageHeader title="Match Record" subtitle="Every fight Sidewinder has taken, and how it ended." />
+
+            {/* Win/Loss Summary */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+                {[
+                    ['Wins', record.wins, 'text-green-400'],
+                    ['Losses', record.losses, 'text-red-400'],
+                    ['Win Rate', `${Math.round(record.winRate * 100)}%`, 'text-orange-400'],
+                    ['Wins by KO', record.byMethod.ko.wins, 'text-white'],
+                ].map(([label, value, tone]) => (
+                    <div key={label} className="bg-neutral-800 p-4 rounded-lg border border-neutral-700 text-center">
+                        <p className={`text-3xl font-extrabold ${tone}`}>{value}</p>
+                        <p className="text-sm text-gray-400 uppercase tracking-wider">{label}</p>
+                    </div>
+                ))}
+            </div>
+            {record.total > 0 && (
+                <p className="mb-8 text-sm text-gray-400 text-center">
+                    {WIN_METHODS.map(m => `${m.label}: ${record.byMethod[m.id].wins}–${record.byMethod[m.id].losses}`).join(' · ')}
+                </p>
+            )}
+
+            {/* Match Add/Edit Form */}
+            {canEdit && (
+                <div className="bg-neutral-800 p-6 rounded-lg shadow-xl mb-8 border border-neutral-700">
+                    <h3 className="text-xl font-bold text-white mb-4">{editingId ? 'Edit Match' : 'Log a Match'}</h3>
+                    <form onSubmit={handleSave} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                        <div>
+                            <label htmlFor="matchEvent" className="block text-sm font-medium text-gray-300">Event</label>
+                            <input type="text" name="event" id="matchEvent" value={form.event} onChange={handleInput} placeholder="e.g., Thriveforce 2025" className={inputClass} />
+                        </div>
+                        <div>
+                            <label htmlFor="matchDate" className="block text-sm font-medium text-gray-300">Date</label>
+                            <input type="date" name="date" id="matchDate" value={form.date} onChange={handleInput} className={inputClass} />
+                        </div>
+                        <div>
+                            <label htmlFor="matchOpponent" className="block text-sm font-medium text-gray-300">Opponent</label>
+                            <input type="text" name="opponent" id="matchOpponent" value={form.opponent} onChange={handleInput} className={inputClass} />
+                        </div>
+                        <div>
+                            <label htmlFor="matchRound" className="block text-sm font-medium text-gray-300">Round</label>
+                            <input type="text" name="round" id="matchRound" value={form.round} onChange={handleInput} placeholder="e.g., Quarter-final" className={inputClass} />
+                        </div>
+                        <div>
+                            <label htmlFor="matchResult" className="block text-sm font-medium text-gray-300">Result</label>
+                            <select name="result" id="matchResult" value={form.result} onChange={handleInput} className={inputClass}>
+                                {MATCH_RESULTS.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="matchMethod" className="block text-sm font-medium text-gray-300">Decided By</label>
+                            <select name="method" id="matchMethod" value={form.method} onChange={handleInput} className={inputClass}>
+                                {WIN_METHODS.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="matchDuration" className="block text-sm font-medium text-gray-300">Duration (m:ss)</label>
+                            <input type="text" name="duration" id="matchDuration" value={form.duration} onChange={handleInput} placeholder="e.g., 2:45" className={inputClass} />
+                        </div>
+                        <div>
+                            <label htmlFor="matchBuild" className="block text-sm font-medium text-gray-300">Event Build</label>
+                            <select name="buildId" id="matchBuild" value={form.buildId} onChange={handleInput} className={inputClass}>
+                                <option value="">Not linked</option>
+                                {builds.map(build => <option key={build.id} value={build.id}>{build.name}{build.archived ? ' (archived)' : ''}</option>)}
+                            </select>
+                        </div>
+                        <div className="md:col-span-2">
+                            <label htmlFor="matchVideo" className="block text-sm font-medium text-gray-300">Video Link</label>
+                            <input type="url" name="videoUrl" id="matchVideo" value={form.videoUrl} onChange={handleInput} placeholder="https://" className={inputClass} />
+                        </div>
+                        <div className="md:col-span-2">
+                            <label htmlFor="matchNotes" className="block text-sm font-medium text-gray-300">Notes</label>
+                            <input type="text" name="notes" id="matchNotes" value={form.notes} onChange={handleInput} className={inputClass} />
+                        </div>
+                        <div className="md:col-span-4 flex gap-4">
+                            <button type="submit" className="flex-grow bg-orange-600 hover:bg-orange-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 shadow-lg">{editingId ? 'Update Match' : 'Add Match'}</button>
+                            {editingId && <button type="button" onClick={handleCancelEdit} className="bg-neutral-600 hover:bg-neutral-500 text-white font-bold py-2 px-4 rounded-lg transition duration-300">Cancel</button>}
+                        </div>
+                    </form>
+                </div>
+            )}
+            {error && <p className="mb-4 text-red-500">{error}</p>}
+
+            {/* Match List */}
+            {matches.length === 0 ? (
+                <p className="text-center text-gray-400">No matches logged yet.</p>
+            ) : (
+                <div className="bg-neutral-800 rounded-lg shadow-xl overflow-hidden border border-neutral-700">
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-neutral-700">
+                            <thead className="bg-neutral-700/50">
+                                <tr>
+                                    {['Event', 'Opponent', 'Result', 'Duration', 'Build', 'Notes'].map(label => (
+                                        <th key={label} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">{label}</th>
+                                    ))}
+                                    {canEdit && <th scope="col" className="relative px-6 py-3"><span className="sr-only">Actions</span></th>}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-neutral-800 divide-y divide-neutral-700">
+                                {matches.map(match => {
+                                    const build = builds.find(b => b.id === match.buildId);
+                                    return (
+                                        <tr key={match.id} data-highlight-id={match.id} className={`hover:bg-neutral-700/50 ${match.id === highlightId ? HIGHLIGHT_CLASS : ''}`}>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                <p className="font-medium text-white">{match.event}</p>
+                                                <p className="text-gray-400">{[match.round, match.date && formatDate(match.date)].filter(Boolean).join(' · ')}</p>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{match.opponent}</td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                <span className={`font-bold ${match.result === 'win' ? 'text-green-400' : 'text-red-400'}`}>{resultLabel(match.result)}</span>
+                                                <span className="text-gray-400"> · {methodLabel(match.method)}</span>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{formatDuration(match.duration) || '—'}</td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                {build ? <Link to={`/components/${build.id}`} className="text-orange-400 hover:text-orange-300">{build.name}</Link> : <span className="text-gray-500">—</span>}
+                                            </td>
+                                            <td className="px-6 py-4 text-sm text-gray-300">
+                                                {match.notes}
+                                                {match.videoUrl && <a href={match.videoUrl} target="_blank" rel="noopener noreferrer" className="block text-orange-400 hover:text-orange-300">Watch video</a>}
+                                            </td>
+                                            {canEdit && (
+                                                <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-4">
+                                                    <button onClick={() => handleEdit(match)} className="text-orange-400 hover:text-orange-300">Edit</button>
+                                                    {canDelete && <button onClick={() => handleDelete(match)} className="text-red-500 hover:text-red-400">Delete</button>}
+                                                </td>
+                                            )}
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default MatchesPage;
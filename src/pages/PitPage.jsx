@@ -0,0 +1,237 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router';
+import { collection, onSnapshot, addDoc, doc, updateDoc, deleteDoc, increment } from 'firebase/firestore';
+import { db } from '../firebase';
+import { teamSparesPath } from '../config';
+import { COMPONENT_CATEGORIES } from '../bom';
+import { emptySpare, validateSpare, spareToDoc, isLowStock, lowStockSpares, sortSpares } from '../spares';
+import { queueWrite } from '../sync';
+import { repository } from '../repository';
+import { canEditBuilds, canDeleteFromBuilds } from '../team';
+import { PageHeader, LoadingSpinner } from '../ui';
+
+const PitPage = ({ role }) => {
+    const canEdit = canEditBuilds(role);
+    const canDelete = canDeleteFromBuilds(role);
+    const [spares, setSpares] = useState([]);
+    const [builds, setBuilds] = useState([]);
+    const [form, setForm] = useState(emptySpare);
+    const [editingId, setEditingId] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(collection(db, teamSparesPath), (querySnapshot) => {
+            setSpares(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            setLoading(false);
+        }, (err) => {
+            console.error("Error fetching spares:", err);
+            setError("Failed to load the spares inventory.");
+            setLoading(false);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    useEffect(() => {
+        const unsubscribe = repository.subscribeBuilds(setBuilds, (err) => console.error("Error fetching builds:", err));
+        return () => unsubscribe();
+    }, []);
+
+    // Spares can be linked to any part that appears in a build; copies share ids,
+    // so each part is listed once under its name in the default build.
+    const parts = [];
+    const seenParts = new Set();
+    builds.forEach(build => build.components.forEach(component => {
+        if (seenParts.has(component.id)) return;
+        seenParts.add(component.id);
+        parts.push({ id: component.id, name: component.name });
+    }));
+    parts.sort((a, b) => a.name.localeCompare(b.name));
+
+    const handleInput = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const validationError = validateSpare(form);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        try {
+            if (editingId) {
+                await updateDoc(doc(db, teamSparesPath, editingId), spareToDoc(form));
+            } else {
+                await addDoc(collection(db, teamSparesPath), spareToDoc(form));
+            }
+            setForm(emptySpare);
+            setEditingId(null);
+            setError('');
+        } catch (err) {
+            console.error("Error saving spare:", err);
+            setError("Failed to save the spare.");
+        }
+    };
+
+    const handleEdit = (spare) => {
+        setEditingId(spare.id);
+        setForm({ ...emptySpare, ...spare, componentId: spare.componentId || '', onHand: String(spare.onHand), minStock: String(spare.minStock) });
+        setError('');
+    };
+
+    const handleCancelEdit = () => {
+        setEditingId(null);
+        setForm(emptySpare);
+        setError('');
+    };
+
+    // Increments rather than writing the new count, so two people restocking at once both count.
+    const handleAdjustStock = async (spare, delta) => {
+        if (spare.onHand + delta < 0) return;
+        try {
+            await queueWrite(updateDoc(doc(db, teamSparesPath, spare.id), { onHand: increment(delta) }));
+        } catch (err) {
+            console.error("Error updating stock:", err);
+            setError("Failed to update the stock count.");
+        }
+    };
+
+    const handleDelete = async (spare) => {
+        if (!window.confirm(`Remove ${spare.name} from the inventory?`)) return;
+        try {
+            await deleteDoc(doc(db, teamSparesPath, spare.id));
+        } catch (err) {
+            console.error("Error deleting spare:", err);
+            setError("Failed to delete the spare.");
+        }
+    };
+
+    if (loading) return <LoadingSpinner />;
+
+    const lowStock = lowStockSpares(spares);
+    const inputClass = "mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500";
+
+    return (
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <PageHeader title="Pit Box" subtitle="Spares on hand and the checklists for packing and tech inspection." />
+
+            {/* Event Checklists */}
+            <div className="bg-neutral-800 p-4 rounded-lg shadow-xl mb-8 border border-neutral-700">
+                <h3 className="text-lg font-bold text-white mb-3">Event Checklists</h3>
+                <div className="flex flex-wrap gap-2">
+                    {builds.filter(b => !b.archived).map(build => (
+                        <Link key={build.id} to={`/pit/checklist/${build.id}`} className="bg-neutral-700 hover:bg-neutral-600 text-white text-sm font-medium py-2 px-4 rounded-lg transition-colors">
+                            {build.name}
+                        </Link>
+                    ))}
+                    {builds.length === 0 && <p className="text-sm text-gray-400">Create an event build on the components page first.</p>}
+                </div>
+            </div>
+
+            {lowStock.length > 0 && (
+                <div className="mb-8 bg-amber-950/50 border border-amber-700 text-amber-100 rounded-lg px-4 py-3 text-sm">
+                    Low on {lowStock.length} spare{lowStock.length === 1 ? '' : 's'}: {lowStock.map(s => s.name).join(', ')}.
+                </div>
+            )}
+
+            {/* Spare Add/Edit Form */}
+            {canEdit && (
+                <div className="bg-neutral-800 p-6 rounded-lg shadow-xl mb-8 border border-neutral-700">
+                    <h3 className="text-xl font-bold text-white mb-4">{editingId ? 'Edit Spare' : 'Add a Spare'}</h3>
+                    <form onSubmit={handleSave} className="grid grid-cols-1 md:grid-cols-6 gap-4 items-end">
+                        <div className="md:col-span-2">
+                            <label htmlFor="spareName" className="block text-sm font-medium text-gray-300">Name</label>
+                            <input type="text" name="name" id="spareName" value={form.name} onChange={handleInput} className={inputClass} />
+                        </div>
+                        <div>
+                            <label htmlFor="spareCategory" className="block text-sm font-medium text-gray-300">Category</label>
+                            <select name="category" id="spareCategory" value={form.category} onChange={handleInput} className={`${inputClass} capitalize`}>
+                                <option value="">Unassigned</option>
+                                {COMPONENT_CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="spareOnHand" className="block text-sm font-medium text-gray-300">On Hand</label>
+                            <input type="number" min="0" name="onHand" id="spareOnHand" value={form.onHand} onChange={handleInput} className={inputClass} />
+                        </div>
+                        <div>
+                            <label htmlFor="spareMinStock" className="block text-sm font-medium text-gray-300">Minimum Stock</label>
+                            <input type="number" min="0" name="minStock" id="spareMinStock" value={form.minStock} onChange={handleInput} className={inputClass} />
+                        </div>
+                        <div>
+                            <label htmlFor="spareLocation" className="block text-sm font-medium text-gray-300">Location</label>
+                            <input type="text" name="location" id="spareLocation" value={form.location} onChange={handleInput} placeholder="e.g., Box 2" className={inputClass} />
+                        </div>
+                        <div className="md:col-span-2">
+                            <label htmlFor="spareComponent" className="block text-sm font-medium text-gray-300">Spare For</label>
+                            <select name="componentId" id="spareComponent" value={form.componentId} onChange={handleInput} className={inputClass}>
+                                <option value="">General (always packed)</option>
+                                {parts.map(part => <option key={part.id} value={part.id}>{part.name}</option>)}
+                            </select>
+                        </div>
+                        <div className="md:col-span-4">
+                            <label htmlFor="spareNotes" className="block text-sm font-medium text-gray-300">Notes</label>
+                            <input type="text" name="notes" id="spareNotes" value={form.notes} onChange={handleInput} className={inputClass} />
+                        </div>
+                        <div className="md:col-span-6 flex gap-4">
+                            <button type="submit" className="flex-grow bg-orange-600 hover:bg-orange-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 shadow-lg">{editingId ? 'Update Spare' : 'Add Spare'}</button>
+                            {editingId && <button type="button" onClick={handleCancelEdit} className="bg-neutral-600 hover:bg-neutral-500 text-white font-bold py-2 px-4 rounded-lg transition duration-300">Cancel</button>}
+                        </div>
+                    </form>
+                </div>
+            )}
+            {error && <p className="mb-4 text-red-500">{error}</p>}
+
+            {/* Spares Table */}
+            {spares.length === 0 ? (
+                <p className="text-center text-gray-400">No spares recorded yet.</p>
+            ) : (
+                <div className="bg-neutral-800 rounded-lg shadow-xl overflow-hidden border border-neutral-700">
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-neutral-700">
+                            <thead className="bg-neutral-700/50">
+                                <tr>
+                                    {['Spare', 'Category', 'Spare For', 'On Hand', 'Minimum'].map(label => (
+                                        <th key={label} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">{label}</th>
+                                    ))}
+                                    {canEdit && <th scope="col" className="relative px-6 py-3"><span className="sr-only">Actions</span></th>}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-neutral-800 divide-y divide-neutral-700">
+                                {sortSpares(spares).map(spare => (
+                                    <tr key={spare.id} className={isLowStock(spare) ? 'bg-amber-950/30' : 'hover:bg-neutral-700/50'}>
+                                        <td className="px-6 py-4 text-sm font-medium text-white">
+                                            <div className="whitespace-nowrap">{spare.name}</div>
+                                            {spare.location && <div className="text-xs text-gray-500">{spare.location}</div>}
+                                            {spare.notes && <div className="text-xs text-gray-400 font-normal mt-1 max-w-xs">{spare.notes}</div>}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400 capitalize">{spare.category || '—'}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{parts.find(p => p.id === spare.componentId)?.name || '—'}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                            <div className="flex items-center gap-3">
+                                                {canEdit && <button onClick={() => handleAdjustStock(spare, -1)} disabled={spare.onHand <= 0} aria-label={`One fewer ${spare.name}`} className="h-8 w-8 rounded-md bg-neutral-700 hover:bg-neutral-600 text-white disabled:text-neutral-500">−</button>}
+                                                <span className={`font-bold ${isLowStock(spare) ? 'text-amber-400' : 'text-white'}`}>{spare.onHand}</span>
+                                                {canEdit && <button onClick={() => handleAdjustStock(spare, 1)} aria-label={`One more ${spare.name}`} className="h-8 w-8 rounded-md bg-neutral-700 hover:bg-neutral-600 text-white">+</button>}
+                                            </div>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{spare.minStock}</td>
+                                        {canEdit && (
+                                            <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-4">
+                                                <button onClick={() => handleEdit(spare)} className="text-orange-400 hover:text-orange-300">Edit</button>
+                                                {canDelete && <button onClick={() => handleDelete(spare)} className="text-red-500 hover:text-red-400">Delete</button>}
+                                            </td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PitPage;
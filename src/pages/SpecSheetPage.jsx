@@ -0,0 +1,223 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate } from 'react-router';
+import { bundledGalleryImages } from '../gallery';
+import { specSheetOf, totalRowsOf, specSheetToMarkdown, specSheetToPdf, specSheetFilename, loadPdfPhoto } from '../specSheet';
+import { formatMoney } from '../currency';
+import { downloadBlob } from '../download';
+import { repository } from '../repository';
+import { canEditBuilds } from '../team';
+import { LoadingSpinner } from '../ui';
+import { formatDate } from '../dates';
+
+const sectionTitle = "text-sm font-bold text-orange-600 uppercase tracking-widest border-b border-orange-600 pb-1 mb-3";
+
+// A printable summary of one build. The sheet is styled as paper on screen too,
+// so what you see is what prints; the toolbar is hidden when printing.
+const SpecSheetPage = ({ role, content }) => {
+    const { buildId } = useParams();
+    const navigate = useNavigate();
+    const canEdit = canEditBuilds(role);
+    const [builds, setBuilds] = useState([]);
+    const [rates, setRates] = useState({});
+    const [photos, setPhotos] = useState([]);
+    const [isExporting, setIsExporting] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const unsubscribe = repository.subscribeBuilds((buildsData) => {
+            setBuilds(buildsData);
+            setLoading(false);
+        }, (err) => {
+            console.error("Error fetching builds:", err);
+            setError("Failed to load component data.");
+            setLoading(false);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    useEffect(() => {
+        const unsubscribe = repository.subscribeExchangeRates(setRates, (err) => console.error("Error fetching exchange rates:", err));
+        return () => unsubscribe();
+    }, []);
+
+    // Only editors pick the photo, from the gallery or the bundled images.
+    useEffect(() => {
+        if (!canEdit) return;
+        const unsubscribe = repository.subscribeGallery(setPhotos, (err) => console.error("Error fetching gallery:", err));
+        return () => unsubscribe();
+    }, [canEdit]);
+
+    // Bare /components/spec-sheet opens on the default build.
+    useEffect(() => {
+        if (loading || buildId || builds.length === 0) return;
+        const defaultBuild = builds.find(b => b.isDefault) || builds[0];
+        navigate(`/components/spec-sheet/${defaultBuild.id}`, { replace: true });
+    }, [loading, buildId, builds, navigate]);
+
+    const build = builds.find(b => b.id === buildId);
+
+    if (loading) return <LoadingSpinner />;
+    if (!build) {
+        if (error) return <p className="text-center text-red-500">{error}</p>;
+        return <p className="text-center text-gray-400">{builds.length === 0 ? 'No builds have been published yet.' : "This build doesn't exist."}</p>;
+    }
+
+    const sheet = specSheetOf({ build, content, rates, generatedOn: new Date().toISOString().slice(0, 10) });
+    const photoChoices = photos.length > 0 ? photos : bundledGalleryImages;
+
+    const handlePhotoChange = async (photoUrl) => {
+        try {
+            await repository.updateBuild(build.id, { photoUrl });
+            setError('');
+        } catch (err) {
+            console.error("Error saving spec sheet photo:", err);
+            setError("Failed to change the photo.");
+        }
+    };
+
+    const handleDownloadMarkdown = () => {
+        // Links in the file have to work away from the site.
+        const photoUrl = sheet.photoUrl && new URL(sheet.photoUrl, window.location.href).href;
+        downloadBlob(specSheetFilename(sheet, 'md'), new Blob([specSheetToMarkdown({ ...sheet, photoUrl })], { type: 'text/markdown;charset=utf-8' }));
+    };
+
+    const handleDownloadPdf = async () => {
+        setIsExporting(true);
+        let photo = null;
+        let photoError = '';
+        if (sheet.photoUrl) {
+            try {
+                photo = await loadPdfPhoto(sheet.photoUrl);
+            } catch (err) {
+                console.error("Error loading spec sheet photo:", err);
+                photoError = "Couldn't load the photo, so the PDF was made without it.";
+            }
+        }
+        try {
+            downloadBlob(specSheetFilename(sheet, 'pdf'), specSheetToPdf(sheet, photo));
+            setError(photoError);
+        } catch (err) {
+            console.error("Error creating PDF:", err);
+            setError("Failed to create the PDF.");
+        }
+        setIsExporting(false);
+    };
+
+    return (
+        <div className="max-w-4xl mx-auto">
+            <div className="print:hidden mb-6 flex flex-col md:flex-row md:items-end gap-4">
+                <div className="flex-grow">
+                    <label htmlFor="sheet-build" className="block text-sm font-medium text-gray-300">Build</label>
+                    <select id="sheet-build" value={build.id} onChange={(e) => navigate(`/components/spec-sheet/${e.target.value}`, { replace: true })} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500">
+                        {builds.map(b => <option key={b.id} value={b.id}>{b.name}{b.archived ? ' (archived)' : ''}</option>)}
+                    </select>
+                </div>
+                {canEdit && (
+                    <div className="flex-grow">
+                        <label htmlFor="sheet-photo" className="block text-sm font-medium text-gray-300">Photo</label>
+                        <select id="sheet-photo" value={build.photoUrl || ''} onChange={(e) => handlePhotoChange(e.target.value)} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500">
+                            <option value="">Homepage banner</option>
+                            {photoChoices.map(photo => <option key={photo.id} value={photo.url}>{photo.caption || 'Untitled photo'}</option>)}
+                        </select>
+                    </div>
+                )}
+                <div className="flex gap-2">
+                    <button onClick={() => window.print()} className="bg-neutral-700 hover:bg-neutral-600 text-white font-bold py-2 px-4 rounded-lg transition duration-300 whitespace-nowrap">Print</button>
+                    <button onClick={handleDownloadPdf} disabled={isExporting} className="bg-orange-600 hover:bg-orange-700 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-lg transition duration-300 whitespace-nowrap">{isExporting ? 'Creating…' : 'Download PDF'}</button>
+                    <button onClick={handleDownloadMarkdown} className="bg-neutral-700 hover:bg-neutral-600 text-white font-bold py-2 px-4 rounded-lg transition duration-300 whitespace-nowrap">Markdown</button>
+                </div>
+            </div>
+            <div className="print:hidden mb-6 flex justify-between text-sm">
+                <Link to={`/components/${build.id}`} className="font-medium text-orange-400 hover:text-orange-300">Back to components</Link>
+                {error && <p className="text-red-500">{error}</p>}
+            </div>
+
+            <article className="bg-white text-neutral-900 rounded-lg shadow-xl p-8 md:p-12 print:shadow-none print:rounded-none print:p-0">
+                <header className="flex items-start justify-between gap-4 border-b-4 border-orange-600 pb-4">
+                    <div>
+                        <h1 className="text-4xl font-extrabold tracking-wider">{sheet.robot}</h1>
+                        <p className="text-xl font-bold text-neutral-500">{sheet.buildName}</p>
+                        {sheet.tagline && <p className="mt-1 text-sm text-neutral-500">{sheet.tagline}</p>}
+                    </div>
+                    <p className="text-xs text-neutral-500 whitespace-nowrap">Spec sheet · {formatDate(sheet.generatedOn)}</p>
+                </header>
+
+                {sheet.photoUrl && <img src={sheet.photoUrl} alt={`${sheet.robot} robot`} className="mt-6 w-full max-h-80 object-contain" />}
+
+                <section className="mt-8 grid gap-8 md:grid-cols-2 print:grid-cols-2 break-inside-avoid">
+                    <div>
+                        <h2 className={sectionTitle}>Key specs</h2>
+                        <dl className="divide-y divide-neutral-200 text-sm">
+                            {sheet.specs.map(spec => (
+                                <div key={spec.label} className="flex justify-between gap-4 py-1.5">
+                                    <dt className="text-neutral-500">{spec.label}</dt>
+                                    <dd className="font-semibold text-right">{spec.value}</dd>
+                                </div>
+                            ))}
+                        </dl>
+                    </div>
+                    {sheet.members.length > 0 && (
+                        <div>
+                            <h2 className={sectionTitle}>Team</h2>
+                            <ul className="divide-y divide-neutral-200 text-sm">
+                                {sheet.members.map(m => (
+                                    <li key={m.name} className="flex justify-between gap-4 py-1.5">
+                                        <span className="font-semibold">{m.name}</span>
+                                        <span className="text-neutral-500">{m.title}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </section>
+
+                <section className="mt-8">
+                    <h2 className={sectionTitle}>Components</h2>
+                    {sheet.groups.length === 0 ? (
+                        <p className="text-sm text-neutral-500">No components in this build yet.</p>
+                    ) : (
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-xs uppercase tracking-wider text-neutral-500">
+                                    <th scope="col" className="py-2 pr-4 font-medium">Part</th>
+                                    <th scope="col" className="py-2 pr-4 font-medium">Supplier</th>
+                                    <th scope="col" className="py-2 pr-4 font-medium text-right">Qty</th>
+                                    <th scope="col" className="py-2 pr-4 font-medium text-right">Unit price</th>
+                                    <th scope="col" className="py-2 font-medium text-right">Total</th>
+                                </tr>
+                            </thead>
+                            {sheet.groups.map(group => (
+                                <tbody key={group.category}>
+                                    <tr className="bg-neutral-100 break-inside-avoid">
+                                        <th scope="rowgroup" colSpan="5" className="py-1 px-2 text-left text-xs font-bold uppercase tracking-wider text-orange-600">{group.category}</th>
+                                    </tr>
+                                    {group.rows.map(row => (
+                                        <tr key={row.id} className="border-b border-neutral-200 break-inside-avoid">
+                                            <td className="py-1.5 pr-4">{row.name}</td>
+                                            <td className="py-1.5 pr-4 text-neutral-500">{row.supplier}</td>
+                                            <td className="py-1.5 pr-4 text-right">{row.quantity}</td>
+                                            <td className="py-1.5 pr-4 text-right whitespace-nowrap">{row.unitPrice}</td>
+                                            <td className="py-1.5 text-right whitespace-nowrap">{row.total === null ? '—' : formatMoney(row.total)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            ))}
+                            <tfoot className="break-inside-avoid">
+                                {totalRowsOf(sheet).map(([label, amount]) => (
+                                    <tr key={label} className={label === 'Total' ? 'text-base font-bold' : 'text-neutral-500'}>
+                                        <td colSpan="4" className="pt-2 pr-4 text-right">{label}</td>
+                                        <td className="pt-2 text-right whitespace-nowrap">{formatMoney(amount)}</td>
+                                    </tr>
+                                ))}
+                            </tfoot>
+                        </table>
+                    )}
+                    {sheet.unconverted.length > 0 && <p className="mt-3 text-xs text-neutral-500">No exchange rate for {sheet.unconverted.join(', ')}; those prices aren't in the totals.</p>}
+                </section>
+            </article>
+        </div>
+    );
+};
+
+export default SpecSheetPage;
@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react';
+import { collection, onSnapshot, doc, setDoc, deleteDoc } from 'firebase/firestore';
+import { db } from '../firebase';
+import { teamMembersPath } from '../config';
+import { memberKeyFor, ROLES } from '../team';
+import { findTeamMember } from '../content';
+import { PageHeader, LoadingSpinner } from '../ui';
+
+const TeamPage = ({ user, roster }) => {
+    const [members, setMembers] = useState([]);
+    const [newMember, setNewMember] = useState({ email: '', memberId: '', role: 'editor' });
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const ownKey = memberKeyFor(user);
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(collection(db, teamMembersPath), (querySnapshot) => {
+            const membersData = querySnapshot.docs.map(doc => ({ email: doc.id, ...doc.data() }));
+            membersData.sort((a, b) => ROLES.indexOf(a.role) - ROLES.indexOf(b.role) || a.email.localeCompare(b.email));
+            setMembers(membersData);
+            setLoading(false);
+        }, (err) => {
+            console.error("Error fetching crew:", err);
+            setError("Failed to load crew access.");
+            setLoading(false);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    const handleSaveMember = async (email, data) => {
+        try {
+            await setDoc(doc(db, teamMembersPath, email), data, { merge: true });
+            setError('');
+        } catch (err) {
+            console.error("Error saving crew member:", err);
+            setError("Failed to save crew access.");
+        }
+    };
+
+    const handleAddMember = async (e) => {
+        e.preventDefault();
+        const email = newMember.email.trim().toLowerCase();
+        if (!email.includes('@')) {
+            setError("Enter a valid email address.");
+            return;
+        }
+        await handleSaveMember(email, { role: newMember.role, memberId: newMember.memberId || null });
+        setNewMember({ email: '', memberId: '', role: 'editor' });
+    };
+
+    const handleRemoveMember = async (email) => {
+        if (!window.confirm(`Remove ${email} from the crew?`)) return;
+        try {
+            await deleteDoc(doc(db, teamMembersPath, email));
+        } catch (err) {
+            console.error("Error removing crew member:", err);
+            setError("Failed to remove crew member.");
+        }
+    };
+
+    if (loading) return <LoadingSpinner />;
+
+    return (
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+            <PageHeader title="Crew Access" subtitle="Owners manage who can view, edit and delete in the component database." />
+
+            <div className="bg-neutral-800 p-4 rounded-lg shadow-xl mb-8 border border-neutral-700">
+                <form onSubmit={handleAddMember} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                    <div className="md:col-span-2">
+                        <label htmlFor="memberEmail" className="block text-sm font-medium text-gray-300">Email</label>
+                        <input type="email" id="memberEmail" value={newMember.email} onChange={(e) => setNewMember(prev => ({ ...prev, email: e.target.value }))} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500" />
+                    </div>
+                    <div>
+                        <label htmlFor="memberId" className="block text-sm font-medium text-gray-300">Team Member</label>
+                        <TeamMemberSelect id="memberId" roster={roster} value={newMember.memberId} onChange={(e) => setNewMember(prev => ({ ...prev, memberId: e.target.value }))} />
+                    </div>
+                    <div>
+                        <label htmlFor="memberRole" className="block text-sm font-medium text-gray-300">Role</label>
+                        <RoleSelect id="memberRole" value={newMember.role} onChange={(e) => setNewMember(prev => ({ ...prev, role: e.target.value }))} />
+                    </div>
+                    <button type="submit" className="md:col-span-4 bg-orange-600 hover:bg-orange-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 shadow-lg">Add to Crew</button>
+                </form>
+                {error && <p className="mt-4 text-red-500">{error}</p>}
+            </div>
+
+            <div className="bg-neutral-800 rounded-lg shadow-xl overflow-hidden border border-neutral-700">
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-neutral-700">
+                        <thead className="bg-neutral-700/50">
+                            <tr>
+                                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Email</th>
+                                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Team Member</th>
+                                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Role</th>
+                                <th scope="col" className="relative px-6 py-3"><span className="sr-only">Actions</span></th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-neutral-800 divide-y divide-neutral-700">
+                            {members.map((member) => {
+                                // Owners can't demote or remove themselves, so the team always keeps an owner.
+                                const isSelf = member.email === ownKey;
+                                const rosterEntry = findTeamMember(roster, member.memberId);
+                                return (
+                                    <tr key={member.email} className="hover:bg-neutral-700/50">
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-white">{member.email}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">
+                                            <div className="flex items-center gap-3">
+                                                {rosterEntry && <img src={rosterEntry.imgSrc} alt={`Photo of ${rosterEntry.name}`} className="h-8 w-8 rounded-full object-cover border border-neutral-600" />}
+                                                <TeamMemberSelect roster={roster} value={member.memberId || ''} onChange={(e) => handleSaveMember(member.email, { memberId: e.target.value || null })} />
+                                            </div>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">
+                                            <RoleSelect value={member.role} disabled={isSelf} onChange={(e) => handleSaveMember(member.email, { role: e.target.value })} />
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                                            {!isSelf && <button onClick={() => handleRemoveMember(member.email)} className="text-red-500 hover:text-red-400">Remove</button>}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const TeamMemberSelect = ({ roster, ...props }) => (
+    <select {...props} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white focus:outline-none focus:ring-orange-500 focus:border-orange-500">
+        <option value="">Not on the roster</option>
+        {roster.map(member => <option key={member.id} value={member.id}>{member.name}</option>)}
+    </select>
+);
+
+const RoleSelect = (props) => (
+    <select {...props} className="mt-1 block w-full bg-neutral-700 border-neutral-600 rounded-md shadow-sm py-2 px-3 text-white capitalize focus:outline-none focus:ring-orange-500 focus:border-orange-500 disabled:opacity-60">
+        {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+    </select>
+);
+
+export default TeamPage;
@@ -0,0 +1,181 @@
+// --- PDF Writer ---
+// Just enough of PDF 1.4 for the spec sheet: A4 pages, Helvetica text, lines,
+// filled rectangles and JPEG photos. Coordinates are in points from the top-left
+// of the page, with text positioned by its baseline. Text is WinAnsi-encoded, so
+// characters outside it are swapped for something printable.
+
+export const PAGE_WIDTH = 595.28;
+export const PAGE_HEIGHT = 841.89;
+
+// Helvetica and Helvetica-Bold advance widths for ASCII 32–126, in 1/1000 em.
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// Non-ASCII characters the site's text actually uses: [WinAnsi code, width].
+const WIN_ANSI = {
+    '€': [0x80, 556], '…': [0x85, 1000], '–': [0x96, 556], '—': [0x97, 1000],
+    '‘': [0x91, 222], '’': [0x92, 222], '“': [0x93, 333], '”': [0x94, 333], '•': [0x95, 350],
+    '£': [0xa3, 556], '¥': [0xa5, 556], '°': [0xb0, 400], '·': [0xb7, 278], '×': [0xd7, 584],
+};
+
+// The rupee sign isn't in WinAnsi.
+const REPLACEMENTS = { '₹': 'Rs ', '≈': '~', '→': '->' };
+
+const toWinAnsi = (text) => [...String(text ?? '')]
+    .map(char => REPLACEMENTS[char] ?? char)
+    .join('')
+    .replace(/\s+/g, ' ');
+
+const charCode = (char) => {
+    const code = char.charCodeAt(0);
+    if (code >= 32 && code <= 126) return code;
+    return WIN_ANSI[char]?.[0] ?? '?'.charCodeAt(0);
+};
+
+const charWidth = (char, bold) => {
+    const code = char.charCodeAt(0);
+    if (code >= 32 && code <= 126) return (bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS)[code - 32];
+    return WIN_ANSI[char]?.[1] ?? 556;
+};
+
+export const textWidth = (text, size, bold = false) =>
+    [...toWinAnsi(text)].reduce((sum, char) => sum + charWidth(char, bold), 0) * size / 1000;
+
+// Breaks text into lines no wider than `maxWidth`; a single word that's too long is cut.
+export const wrapText = (text, maxWidth, size, bold = false) => {
+    const lines = [];
+    let line = '';
+    toWinAnsi(text).split(' ').filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (textWidth(candidate, size, bold) <= maxWidth) {
+            line = candidate;
+            return;
+        }
+        if (line) lines.push(line);
+        line = word;
+        while (textWidth(line, size, bold) > maxWidth && line.length > 1) {
+            let cut = line.length - 1;
+            while (cut > 1 && textWidth(line.slice(0, cut), size, bold) > maxWidth) cut--;
+            lines.push(line.slice(0, cut));
+            line = line.slice(cut);
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+};
+
+const pdfString = (text) => `(${[...toWinAnsi(text)].map(char => {
+    const code = charCode(char);
+    if (char === '\\' || char === '(' || char === ')') return `\\${char}`;
+    return String.fromCharCode(code);
+}).join('')})`;
+
+const num = (value) => Number(value.toFixed(2)).toString();
+
+const rgb = ([r, g, b]) => `${num(r)} ${num(g)} ${num(b)}`;
+
+const bytesOf = (text) => Uint8Array.from(text, char => char.charCodeAt(0));
+
+export const createPdf = () => {
+    const pages = [];
+    const images = [];
+    let page = null;
+
+    const addPage = () => {
+        page = { ops: [], images: new Set() };
+        pages.push(page);
+    };
+    addPage();
+
+    const text = (value, x, y, { size = 10, bold = false, color = [0, 0, 0] } = {}) => {
+        page.ops.push(`BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${rgb(color)} rg ${num(x)} ${num(PAGE_HEIGHT - y)} Td ${pdfString(value)} Tj ET`);
+    };
+
+    const line = (x1, y1, x2, y2, { width = 0.5, color = [0, 0, 0] } = {}) => {
+        page.ops.push(`${num(width)} w ${rgb(color)} RG ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`);
+    };
+
+    const rect = (x, y, width, height, { fill = [0.9, 0.9, 0.9] } = {}) => {
+        page.ops.push(`${rgb(fill)} rg ${num(x)} ${num(PAGE_HEIGHT - y - height)} ${num(width)} ${num(height)} re f`);
+    };
+
+    // `jpeg` is { bytes, width, height } in pixels; it's drawn into the given box.
+    const image = (jpeg, x, y, width, height) => {
+        let index = images.indexOf(jpeg);
+        if (index < 0) index = images.push(jpeg) - 1;
+        page.images.add(index);
+        page.ops.push(`q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(PAGE_HEIGHT - y - height)} cm /Im${index + 1} Do Q`);
+    };
+
+    const toBytes = () => {
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+        const push = (chunk) => {
+            const bytes = typeof chunk === 'string' ? bytesOf(chunk) : chunk;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const object = (id, dictionary, stream) => {
+            offsets[id] = length;
+            push(`${id} 0 obj\n${dictionary}\n`);
+            if (stream) {
+                push('stream\n');
+                push(stream);
+                push('\nendstream\n');
+            }
+            push('endobj\n');
+        };
+
+        const firstImageId = 5;
+        const firstPageId = firstImageId + images.length;
+        const pageIds = pages.map((_, index) => firstPageId + index * 2);
+
+        push('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+        object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+        object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+        object(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        object(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        images.forEach((jpeg, index) => object(
+            firstImageId + index,
+            `<< /Type /XObject /Subtype /Image /Width ${jpeg.width} /Height ${jpeg.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.bytes.length} >>`,
+            jpeg.bytes,
+        ));
+        pages.forEach((p, index) => {
+            const content = bytesOf(p.ops.join('\n'));
+            const xObjects = [...p.images].map(i => `/Im${i + 1} ${firstImageId + i} 0 R`).join(' ');
+            object(pageIds[index], `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> /Contents ${pageIds[index] + 1} 0 R >>`);
+            object(pageIds[index] + 1, `<< /Length ${content.length} >>`, content);
+        });
+
+        const xrefOffset = length;
+        const count = offsets.length;
+        push(`xref\n0 ${count}\n0000000000 65535 f \n`);
+        for (let id = 1; id < count; id++) push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        push(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        const bytes = new Uint8Array(length);
+        let position = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, position);
+            position += chunk.length;
+        });
+        return bytes;
+    };
+
+    return { addPage, text, line, rect, image, toBytes, pageCount: () => pages.length };
+};
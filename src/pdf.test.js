@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { createPdf, textWidth, wrapText } from './pdf';
+
+const asText = (bytes) => String.fromCharCode(...bytes);
+
+describe('createPdf', () => {
+    it('writes an xref table that points at every object', () => {
+        const pdf = createPdf();
+        pdf.text('Sidewinder', 48, 60, { size: 24, bold: true });
+        pdf.addPage();
+        pdf.image({ bytes: new Uint8Array([0xff, 0xd8, 0xff, 0xd9]), width: 2, height: 1 }, 48, 48, 100, 50);
+        const text = asText(pdf.toBytes());
+
+        expect(text.startsWith('%PDF-1.4')).toBe(true);
+        expect(text).toContain('/Count 2');
+        const xrefOffset = Number(text.match(/startxref\n(\d+)/)[1]);
+        const entries = text.slice(xrefOffset).split('\n').slice(3).filter(line => / n $/.test(line));
+        entries.forEach((line, index) => {
+            expect(text.slice(Number(line.slice(0, 10)))).toMatch(new RegExp(`^${index + 1} 0 obj`));
+        });
+        expect(entries).toHaveLength(9);
+    });
+
+    it('escapes text and swaps characters WinAnsi lacks', () => {
+        const pdf = createPdf();
+        pdf.text('Bolts (M3) \\ ₹40 × 2', 0, 0);
+        const text = asText(pdf.toBytes());
+        expect(text).toContain('(Bolts \\(M3\\) \\\\ Rs 40 \xd7 2) Tj');
+    });
+});
+
+describe('text layout', () => {
+    it('measures Helvetica widths', () => {
+        expect(textWidth('10', 10)).toBeCloseTo(11.12);
+        expect(textWidth('W', 10, true)).toBeCloseTo(9.44);
+    });
+
+    it('wraps on spaces and cuts words that are too long on their own', () => {
+        expect(wrapText('Drive motor 2207 1750KV', 62, 10)).toEqual(['Drive motor', '2207 1750KV']);
+        expect(wrapText('XXXXXXXXXX', 30, 10)).toEqual(['XXXX', 'XXXX', 'XX']);
+        expect(wrapText('', 60, 10)).toEqual([]);
+    });
+});
@@ -0,0 +1,74 @@
+import { firebaseConfig, useEmulators, teamId, teamContentPath, teamGalleryPath, teamBuildsPath, teamMatchesPath } from './config';
+import { mergeSiteContent } from './content';
+
+// --- Public Reads ---
+// Visitors only read public documents, so Home, About, the gallery and search fetch them
+// from the Firestore REST API instead of loading the Firebase SDK. The security
+// rules apply just the same; the requests are simply unauthenticated.
+
+const documentsUrl = () => `${useEmulators ? 'http://127.0.0.1:8080' : 'https://firestore.googleapis.com'}/v1/projects/${firebaseConfig.projectId}/databases/(default)/documents`;
+
+// REST responses wrap every value in its type, e.g. { stringValue: 'Sidewinder' }.
+const decodeValue = (value) => {
+    if ('mapValue' in value) return decodeFields(value.mapValue.fields);
+    if ('arrayValue' in value) return (value.arrayValue.values || []).map(decodeValue);
+    if ('integerValue' in value) return Number(value.integerValue);
+    if ('timestampValue' in value) return new Date(value.timestampValue);
+    if ('nullValue' in value) return null;
+    const [typed] = Object.values(value);
+    return typed;
+};
+
+const decodeFields = (fields = {}) => Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, decodeValue(value)]));
+
+const fromDocument = (document) => ({ id: document.name.split('/').pop(), ...decodeFields(document.fields) });
+
+// A missing document or collection comes back as null rather than an error.
+const getJson = async (path, params = {}) => {
+    const query = new URLSearchParams({ key: firebaseConfig.apiKey, ...params });
+    const response = await fetch(`${documentsUrl()}/${path}?${query}`);
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`Firestore returned ${response.status} for ${path}.`);
+    return response.json();
+};
+
+// Public collections are small, so every page is fetched.
+const fetchCollection = async (path, orderBy) => {
+    const documents = [];
+    let pageToken = '';
+    do {
+        const page = await getJson(path, { pageSize: '300', ...(orderBy && { orderBy }), ...(pageToken && { pageToken }) });
+        documents.push(...(page?.documents || []).map(fromDocument));
+        pageToken = page?.nextPageToken || '';
+    } while (pageToken);
+    return documents;
+};
+
+// The last content seen is kept so returning visitors don't see the defaults flash first.
+const CONTENT_CACHE_KEY = `sidewinder-${teamId}-content`;
+
+export const cachedSiteContent = () => {
+    try {
+        const cached = localStorage.getItem(CONTENT_CACHE_KEY);
+        return cached ? mergeSiteContent(JSON.parse(cached)) : null;
+    } catch {
+        return null;
+    }
+};
+
+export const fetchSiteContent = async () => {
+    const contentDoc = await getJson(`${teamContentPath}/site`);
+    const stored = contentDoc ? decodeFields(contentDoc.fields) : undefined;
+    try {
+        localStorage.setItem(CONTENT_CACHE_KEY, JSON.stringify(stored ?? {}));
+    } catch {
+        // Private browsing or a full quota; the cache is only a nicety.
+    }
+    return mergeSiteContent(stored);
+};
+
+export const fetchGalleryPhotos = () => fetchCollection(teamGalleryPath, 'order');
+
+export const fetchBuilds = () => fetchCollection(teamBuildsPath);
+
+export const fetchMatches = () => fetchCollection(teamMatchesPath);
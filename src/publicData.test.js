@@ -0,0 +1,69 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { cachedSiteContent, fetchSiteContent, fetchGalleryPhotos } from './publicData';
+import { defaultSiteContent } from './content';
+
+vi.mock('./config', async (importOriginal) => ({
+    ...await importOriginal(),
+    firebaseConfig: { apiKey: 'test-key', projectId: 'test-project' },
+}));
+
+const jsonResponse = (body, status = 200) => ({ ok: status < 400, status, json: async () => body });
+
+const photoDocument = (id, caption, order) => ({
+    name: `projects/test-project/databases/(default)/documents/gallery/${id}`,
+    fields: {
+        caption: { stringValue: caption },
+        order: { integerValue: String(order) },
+        tags: { arrayValue: { values: [{ stringValue: 'arena' }] } },
+        size: { mapValue: { fields: { width: { integerValue: '480' }, ratio: { doubleValue: 1.5 } } } },
+        alt: { nullValue: null },
+    },
+});
+
+describe('public reads', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        vi.stubGlobal('fetch', vi.fn());
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('decodes typed REST values and follows page tokens', async () => {
+        fetch
+            .mockResolvedValueOnce(jsonResponse({ documents: [photoDocument('a', 'Spin-up', 1)], nextPageToken: 'next' }))
+            .mockResolvedValueOnce(jsonResponse({ documents: [photoDocument('b', 'Pit', 2)] }));
+
+        const photos = await fetchGalleryPhotos();
+
+        expect(photos).toEqual([
+            { id: 'a', caption: 'Spin-up', order: 1, tags: ['arena'], size: { width: 480, ratio: 1.5 }, alt: null },
+            { id: 'b', caption: 'Pit', order: 2, tags: ['arena'], size: { width: 480, ratio: 1.5 }, alt: null },
+        ]);
+        const secondUrl = new URL(fetch.mock.calls[1][0]);
+        expect(secondUrl.searchParams.get('pageToken')).toBe('next');
+        expect(secondUrl.searchParams.get('orderBy')).toBe('order');
+    });
+
+    it('falls back to the defaults when there is no content document, and caches the result', async () => {
+        fetch.mockResolvedValueOnce(jsonResponse({}, 404));
+
+        expect(await fetchSiteContent()).toEqual(defaultSiteContent);
+        expect(cachedSiteContent()).toEqual(defaultSiteContent);
+    });
+
+    it('caches stored content for the next visit', async () => {
+        fetch.mockResolvedValueOnce(jsonResponse({ fields: { hero: { mapValue: { fields: { title: { stringValue: 'New title' } } } } } }));
+
+        const content = await fetchSiteContent();
+
+        expect(content.hero.title).toBe('New title');
+        expect(cachedSiteContent().hero.title).toBe('New title');
+    });
+
+    it('reports server errors', async () => {
+        fetch.mockResolvedValueOnce(jsonResponse({}, 403));
+        await expect(fetchGalleryPhotos()).rejects.toThrow('403');
+    });
+});
@@ -0,0 +1,37 @@
+import { dataBackend } from './config';
+import { createFirestoreRepository } from './firestoreRepository';
+import { createLocalRepository } from './localRepository';
+
+// --- Data Repository ---
+// Builds, their components, the gallery and the repair log are read and written
+// only through this object, so pages work the same against Firestore or local storage.
+//
+//   subscribeBuilds(onChange, onError, { createDefault }) -> unsubscribe
+//       Calls onChange with every build, default first then by name. With
+//       `createDefault`, an empty workspace gets a "Current Build" with id
+//       DEFAULT_BUILD_ID, created at most once however many tabs race for it.
+//   subscribeBuild(buildId, onChange, onError) -> unsubscribe    (null once deleted)
+//   createBuild(fields) -> build id
+//   updateBuild(buildId, fields)
+//   makeDefaultBuild(buildId, builds)
+//   deleteBuild(buildId)                              also clears its history
+//   applyComponentChange(buildId, user, changeFn) -> the recorded change, or null
+//       `changeFn` comes from componentWrites.js and may throw EditConflictError.
+//   updateBuildList(buildId, field, changeFn)
+//       Replaces a list on the build, e.g. `scenarios`, with changeFn(latest list),
+//       re-read at write time so concurrent saves aren't lost.
+//   subscribeHistory(buildId, onChange, onError) -> unsubscribe  (newest first, `at` is a Date)
+//   subscribeExchangeRates(onChange, onError) -> unsubscribe     ({ USD: 83.2, ... }; {} until set)
+//   saveExchangeRates(rates, user)
+//   subscribeGallery(onChange, onError) -> unsubscribe           (in display order)
+//   uploadGalleryPhoto(file, details) -> photo id
+//   updateGalleryPhoto(photoId, details)
+//   swapGalleryOrder(a, b)
+//   deleteGalleryPhoto(photo)
+//   subscribeMaintenance(onChange, onError) -> unsubscribe       (every build's repairs, newest first)
+//   addMaintenanceEntry({ component, buildId, entry, files, user }) -> entry id
+//   deleteMaintenanceEntry(entry)                      also removes its photos
+//   subscribeMatches(onChange, onError) -> unsubscribe
+//       null from a backend that doesn't record matches, so pages can skip cost per match.
+
+export const repository = dataBackend === 'local' ? createLocalRepository() : createFirestoreRepository();
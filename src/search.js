@@ -0,0 +1,78 @@
+import { slugify } from './content';
+import { currencyOf, formatMoney } from './currency';
+import { albumLabel } from './gallery';
+import { resultLabel } from './matches';
+
+// --- Site Search ---
+// The command palette flattens builds, their components, matches, gallery photos
+// and the homepage/About copy into one list of entries and filters it as you
+// type. Each entry links to `?highlight=<id>` on its page (or the gallery's photo
+// route) so the page can scroll to the matching row; see highlight.js.
+
+export const SEARCH_KINDS = [
+    { id: 'component', label: 'Components' },
+    { id: 'build', label: 'Builds' },
+    { id: 'match', label: 'Matches' },
+    { id: 'photo', label: 'Gallery' },
+    { id: 'page', label: 'Pages' },
+];
+
+const MAX_RESULTS = 30;
+
+// `fields` are what the query is matched against; the title is always the first.
+const entry = (kind, id, title, detail, to, fields) => ({ kind, id: `${kind}:${id}`, title, detail, to, fields: [title, ...fields].map(f => String(f ?? '')) });
+
+const withHighlight = (path, id) => `${path}?highlight=${encodeURIComponent(id)}`;
+
+const componentEntries = (build) => (build.components || []).map(c => entry(
+    'component', `${build.id}:${c.id}`, c.name,
+    [build.name, c.supplier, `${formatMoney(parseFloat(c.price) || 0, currencyOf(c))} × ${c.quantity || 0}`].filter(Boolean).join(' · '),
+    withHighlight(`/components/${build.id}`, c.id),
+    [c.supplier, c.partNumber, c.notes],
+));
+
+const contentEntries = (content) => [
+    entry('page', 'hero', content.hero.title, 'Homepage', '/', [content.hero.tagline]),
+    ...content.features.map(f => entry('page', `feature-${f.id}`, f.title, 'Homepage · The machine', withHighlight('/', `feature-${f.id}`), [f.description])),
+    ...content.specs.map(s => entry('page', `spec-${slugify(s.label)}`, s.label, `Homepage · ${s.value}`, withHighlight('/', `spec-${slugify(s.label)}`), [s.value])),
+    ...content.members.map(m => entry('page', `member-${m.id}`, m.name, `Homepage · ${m.title}`, withHighlight('/', `member-${m.id}`), [m.title, m.bio])),
+    ...content.about.map(a => entry('page', `about-${a.id}`, a.heading || 'About Sidewinder', 'About', withHighlight('/about', `about-${a.id}`), [a.body])),
+];
+
+// Any of the collections may be missing, e.g. matches in local mode.
+export const buildSearchIndex = ({ builds = [], matches = [], photos = [], content = null }) => [
+    ...builds.flatMap(componentEntries),
+    ...builds.map(b => entry('build', b.id, b.name, b.archived ? 'Archived build' : `${(b.components || []).length} components`, `/components/${b.id}`, [])),
+    ...matches.map(m => entry('match', m.id, `vs ${m.opponent}`, [m.event, m.round, resultLabel(m.result)].filter(Boolean).join(' · '), withHighlight('/matches', m.id), [m.event, m.round, m.notes])),
+    ...photos.map(p => entry('photo', p.id, p.caption || 'Untitled photo', ['Gallery', albumLabel(p.album)].filter(Boolean).join(' · '), `/gallery/${p.id}`, [p.alt, albumLabel(p.album)])),
+    ...(content ? contentEntries(content) : []),
+];
+
+// A few words either side of the first match, for results that matched on notes or descriptions.
+const snippetAround = (text, term) => {
+    const index = text.toLowerCase().indexOf(term);
+    if (index < 0 || text.length <= 80) return text;
+    const start = Math.max(0, index - 30);
+    return `${start > 0 ? '…' : ''}${text.slice(start, start + 80).trim()}${start + 80 < text.length ? '…' : ''}`;
+};
+
+// Every word of the query has to appear in some field. Titles starting with the
+// query rank first, then titles containing every word; ties keep the index order.
+export const searchEntries = (index, query) => {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+    const results = [];
+    index.forEach((item, position) => {
+        const haystack = item.fields.join('\n').toLowerCase();
+        if (!terms.every(term => haystack.includes(term))) return;
+        const title = item.title.toLowerCase();
+        const score = (title.startsWith(terms[0]) ? 2 : 0) + (terms.every(term => title.includes(term)) ? 1 : 0);
+        // When the title doesn't explain the match, show where it was found.
+        const extra = score > 0 ? null : item.fields.slice(1).find(field => terms.some(term => field.toLowerCase().includes(term)));
+        const snippet = extra ? snippetAround(extra, terms.find(term => extra.toLowerCase().includes(term))) : '';
+        results.push({ ...item, score, position, snippet });
+    });
+    return results
+        .sort((a, b) => b.score - a.score || a.position - b.position)
+        .slice(0, MAX_RESULTS);
+};
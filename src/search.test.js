@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { buildSearchIndex, searchEntries } from './search';
+import { defaultSiteContent } from './content';
+
+const builds = [
+    {
+        id: 'robowarz', name: 'RoboWarz 2025', components: [
+            { id: 'motor', name: 'Drive motor 2207', supplier: 'RoboKits', quantity: '2', price: '25', currency: 'USD', notes: '' },
+            { id: 'esc', name: 'ESC', supplier: 'Robu', quantity: '1', price: '900', notes: 'Reflashed with AM32 after the 2207 burnt out the stock firmware' },
+        ],
+    },
+    { id: 'thriveforce', name: 'Thriveforce', archived: true, components: [{ id: 'motor', name: 'Drive motor 1806', supplier: 'Robu', quantity: '2', price: '850' }] },
+];
+
+const index = buildSearchIndex({
+    builds,
+    matches: [{ id: 'm1', opponent: 'Bullfrog', event: 'Thriveforce', round: 'Final', result: 'win', notes: '' }],
+    photos: [{ id: 'p1', caption: 'Spin-up test', album: 'workshop', alt: 'Disc spinner on the test stand' }],
+    content: defaultSiteContent,
+});
+
+describe('searchEntries', () => {
+    it('finds a component by name and links to its row in the right build', () => {
+        const [result] = searchEntries(index, '2207');
+        expect(result).toMatchObject({ kind: 'component', title: 'Drive motor 2207', to: '/components/robowarz?highlight=motor' });
+        expect(result.detail).toBe('RoboWarz 2025 · RoboKits · $25.00 × 2');
+    });
+
+    it('ranks title matches above notes and shows where a notes match was found', () => {
+        const results = searchEntries(index, '2207');
+        expect(results.map(r => r.title)).toEqual(['Drive motor 2207', 'ESC']);
+        expect(results[1].snippet).toMatch(/2207 burnt out/);
+    });
+
+    it('needs every word to match, across any field', () => {
+        expect(searchEntries(index, 'motor robu').map(r => r.id)).toEqual(['component:thriveforce:motor']);
+        expect(searchEntries(index, 'motor nowhere')).toEqual([]);
+        expect(searchEntries(index, '   ')).toEqual([]);
+    });
+
+    it('covers matches, gallery captions and page content', () => {
+        expect(searchEntries(index, 'bullfrog').map(r => r.to)).toEqual(['/matches?highlight=m1', '/?highlight=feature-fighter', '/about?highlight=about-history']);
+        expect(searchEntries(index, 'spin-up')[0].to).toBe('/gallery/p1');
+        expect(searchEntries(index, 'keshav')[0].to).toBe('/?highlight=member-keshav');
+    });
+
+    it('finds photos by their alt text and album', () => {
+        expect(searchEntries(index, 'test stand').map(r => r.id)).toEqual(['photo:p1']);
+        expect(searchEntries(index, 'workshop').map(r => r.id)).toEqual(['photo:p1']);
+        expect(searchEntries(index, 'spin-up')[0].detail).toBe('Gallery · Workshop');
+    });
+});
@@ -0,0 +1,36 @@
+import { onAuthStateChanged, signInWithCustomToken } from 'firebase/auth';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { auth, db } from './firebase';
+import { teamMembersPath } from './config';
+import { ROLES } from './team';
+
+// --- Crew Session ---
+// Everything App needs once someone might be signed in. The shell imports this on
+// demand, so visitors on public pages never download the Firebase SDK.
+
+export { signOutUser, hasPendingLegacyBuilds, claimLegacyBuilds } from './auth';
+export { subscribeSiteContent } from './contentStore';
+
+export const watchUser = (onChange) => {
+    // Visitors are no longer signed in anonymously; they get the public read-only view.
+    const authSignIn = async () => {
+        try {
+            if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
+                await signInWithCustomToken(auth, __initial_auth_token);
+            }
+        } catch (error) {
+            console.error("Authentication Error:", error);
+        }
+    };
+    const unsubscribe = onAuthStateChanged(auth, onChange);
+    authSignIn();
+    return unsubscribe;
+};
+
+// The member's role, or null if they aren't on the crew.
+export const watchRole = (memberKey, onChange) => onSnapshot(doc(db, teamMembersPath, memberKey), (memberDoc) => {
+    onChange(memberDoc.exists() && ROLES.includes(memberDoc.data().role) ? memberDoc.data().role : null);
+}, (err) => {
+    console.error("Error checking team membership:", err);
+    onChange(null);
+});
@@ -0,0 +1,45 @@
+import { COMPONENT_CATEGORIES } from './bom';
+
+// --- Spares Inventory ---
+// What's in the pit box, as opposed to what's bolted to the robot. A spare can
+// point at the component it replaces so event checklists know which to pack.
+
+export const emptySpare = { name: '', category: '', componentId: '', onHand: '', minStock: '', location: '', notes: '' };
+
+const toCount = (value) => {
+    const count = parseInt(value);
+    return isNaN(count) ? 0 : count;
+};
+
+// The rules behind the spares form. Returns an error message, or '' when valid.
+export const validateSpare = (spare) => {
+    if (!spare.name.trim()) {
+        return "Spare name cannot be empty.";
+    }
+    if (spare.category && !COMPONENT_CATEGORIES.includes(spare.category)) {
+        return "Pick a category from the list.";
+    }
+    if ([spare.onHand, spare.minStock].some(value => value !== '' && (isNaN(parseInt(value)) || parseInt(value) < 0))) {
+        return "Counts must be whole numbers of zero or more.";
+    }
+    return '';
+};
+
+// Stored with numeric counts so the stock buttons can use Firestore increments.
+export const spareToDoc = (spare) => ({
+    name: spare.name.trim(),
+    category: spare.category,
+    componentId: spare.componentId || null,
+    onHand: toCount(spare.onHand),
+    minStock: toCount(spare.minStock),
+    location: spare.location.trim(),
+    notes: spare.notes.trim(),
+});
+
+export const isLowStock = (spare) => toCount(spare.onHand) < toCount(spare.minStock);
+
+export const lowStockSpares = (spares = []) => spares.filter(isLowStock);
+
+// Low stock first so shortfalls are the first thing seen before an event.
+export const sortSpares = (spares = []) => [...spares].sort((a, b) =>
+    Number(isLowStock(b)) - Number(isLowStock(a)) || (a.category || 'other').localeCompare(b.category || 'other') || a.name.localeCompare(b.name));
@@ -0,0 +1,238 @@
+import { componentPriceTotal, totalMass, weightLimitOf, formatMass, groupByCategory, buildTotals, gstRateOf } from './bom';
+import { currencyOf, formatMoney, toBase, missingRates } from './currency';
+import { formatDate } from './dates';
+import { resizeImage } from './gallery';
+import { createPdf, wrapText, textWidth, PAGE_WIDTH, PAGE_HEIGHT } from './pdf';
+
+// --- Spec Sheet ---
+// A one-build summary for tech inspection and sponsors: the robot photo, crew,
+// weight, the homepage specs and the parts list with totals. `specSheetOf` gathers
+// it once; the page, the Markdown export and the PDF export all render that.
+
+export const specSheetOf = ({ build, content, rates, photoUrl = '', generatedOn }) => {
+    const components = build.components || [];
+    const groups = groupByCategory(components, rates).map(group => ({
+        category: group.category,
+        rows: group.components.map(c => ({
+            id: c.id,
+            name: c.name,
+            supplier: c.supplier || '',
+            quantity: c.quantity,
+            unitPrice: formatMoney(parseFloat(c.price) || 0, currencyOf(c)),
+            // Null when there's no exchange rate for the part's currency.
+            total: toBase(componentPriceTotal(c), currencyOf(c), rates),
+        })),
+    }));
+    return {
+        robot: content.hero.title,
+        tagline: content.hero.tagline,
+        buildName: build.name,
+        photoUrl: photoUrl || build.photoUrl || content.hero.backgroundUrl,
+        specs: [
+            ...content.specs,
+            { label: 'Weight', value: `${formatMass(totalMass(components))} of ${formatMass(weightLimitOf(build))}` },
+            { label: 'Parts', value: `${components.length} line items` },
+        ],
+        members: content.members.map(m => ({ name: m.name, title: m.title })),
+        groups,
+        totals: { ...buildTotals(build, rates), gstRate: gstRateOf(build) },
+        unconverted: missingRates([...components, ...(build.shipping || [])], rates),
+        generatedOn,
+    };
+};
+
+// Parts, then GST and shipping when there are any, then the total.
+export const totalRowsOf = (sheet) => [
+    ['Parts', sheet.totals.parts],
+    ...(sheet.totals.gst > 0 ? [[`GST (${sheet.totals.gstRate}%)`, sheet.totals.gst]] : []),
+    ...(sheet.totals.shipping > 0 ? [['Shipping', sheet.totals.shipping]] : []),
+    ['Total', sheet.totals.total],
+];
+
+const rupees = (amount) => amount === null ? '—' : formatMoney(amount);
+
+export const specSheetFilename = (sheet, extension) =>
+    `${`${sheet.robot}-${sheet.buildName}`.trim().replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'build'}-spec-sheet.${extension}`;
+
+// --- Markdown Export ---
+
+const cell = (text) => String(text ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+
+export const specSheetToMarkdown = (sheet) => {
+    const lines = [`# ${sheet.robot} — ${sheet.buildName}`, ''];
+    if (sheet.tagline) lines.push(`_${sheet.tagline}_`, '');
+    // Photos stored inline (local mode) would swamp the file, so only links are kept.
+    if (sheet.photoUrl && !sheet.photoUrl.startsWith('data:')) lines.push(`![${cell(sheet.robot)}](${sheet.photoUrl})`, '');
+
+    lines.push('## Key specs', '', '| Spec | |', '| --- | --- |');
+    sheet.specs.forEach(spec => lines.push(`| ${cell(spec.label)} | ${cell(spec.value)} |`));
+
+    if (sheet.members.length > 0) {
+        lines.push('', '## Team', '');
+        sheet.members.forEach(m => lines.push(`- ${m.name}${m.title ? ` — ${m.title}` : ''}`));
+    }
+
+    lines.push('', '## Components', '', '| Part | Supplier | Qty | Unit price | Total |', '| --- | --- | ---: | ---: | ---: |');
+    sheet.groups.forEach(group => {
+        lines.push(`| **${cell(group.category)}** | | | | |`);
+        group.rows.forEach(row => lines.push(`| ${cell(row.name)} | ${cell(row.supplier)} | ${cell(row.quantity)} | ${row.unitPrice} | ${rupees(row.total)} |`));
+    });
+    totalRowsOf(sheet).forEach(([label, amount]) => {
+        const isTotal = label === 'Total';
+        lines.push(`| ${isTotal ? `**${label}**` : label} | | | | ${isTotal ? `**${rupees(amount)}**` : rupees(amount)} |`);
+    });
+    if (sheet.unconverted.length > 0) lines.push('', `_No exchange rate for ${sheet.unconverted.join(', ')}; those prices aren't in the totals._`);
+
+    lines.push('', `_Generated ${formatDate(sheet.generatedOn)}._`, '');
+    return lines.join('\n');
+};
+
+// --- PDF Export ---
+
+const MARGIN = 48;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const GREY = [0.4, 0.4, 0.4];
+const RULE = [0.8, 0.8, 0.8];
+const ACCENT = [0.92, 0.35, 0.05];
+// Part, supplier, qty, unit price, total; the last three are right-aligned.
+const COLUMNS = [
+    { label: 'Part', width: 185 },
+    { label: 'Supplier', width: 110 },
+    { label: 'Qty', width: 40, right: true },
+    { label: 'Unit price', width: 80, right: true },
+    { label: 'Total', width: CONTENT_WIDTH - 415, right: true },
+];
+
+// Re-encodes the photo as a JPEG small enough to embed. Photos from another
+// origin need CORS, so callers should expect this to fail.
+export const loadPdfPhoto = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Couldn't fetch ${url} (${response.status}).`);
+    const { blob, width, height } = await resizeImage(await response.blob(), 1200);
+    return { bytes: new Uint8Array(await blob.arrayBuffer()), width, height };
+};
+
+// `photo` is the result of loadPdfPhoto, or null to leave it out.
+export const specSheetToPdf = (sheet, photo) => {
+    const pdf = createPdf();
+    let y = MARGIN;
+
+    const ensureSpace = (height) => {
+        if (y + height <= PAGE_HEIGHT - MARGIN) return false;
+        pdf.addPage();
+        y = MARGIN;
+        return true;
+    };
+
+    const heading = (text) => {
+        ensureSpace(40);
+        y += 24;
+        pdf.text(text.toUpperCase(), MARGIN, y, { size: 11, bold: true, color: ACCENT });
+        y += 6;
+        pdf.line(MARGIN, y, MARGIN + CONTENT_WIDTH, y, { color: ACCENT });
+        y += 14;
+    };
+
+    const rightText = (text, right, top, options) => pdf.text(text, right - textWidth(text, options.size, options.bold), top, options);
+
+    // Header
+    pdf.text(sheet.robot, MARGIN, y + 22, { size: 24, bold: true });
+    rightText(`Spec sheet · ${formatDate(sheet.generatedOn)}`, MARGIN + CONTENT_WIDTH, y + 22, { size: 9, color: GREY });
+    y += 42;
+    pdf.text(sheet.buildName, MARGIN, y, { size: 14, bold: true, color: GREY });
+    if (sheet.tagline) {
+        y += 16;
+        wrapText(sheet.tagline, CONTENT_WIDTH, 10).forEach(line => {
+            pdf.text(line, MARGIN, y, { size: 10, color: GREY });
+            y += 13;
+        });
+    }
+
+    if (photo) {
+        const maxHeight = 230;
+        const scale = Math.min(CONTENT_WIDTH / photo.width, maxHeight / photo.height);
+        const width = photo.width * scale;
+        const height = photo.height * scale;
+        y += 12;
+        pdf.image(photo, MARGIN + (CONTENT_WIDTH - width) / 2, y, width, height);
+        y += height;
+    }
+
+    // Key specs and team, side by side.
+    heading('Key specs');
+    const specsTop = y;
+    const labelWidth = 110;
+    const columnWidth = CONTENT_WIDTH / 2 - 12;
+    sheet.specs.forEach(spec => {
+        const valueLines = wrapText(spec.value, columnWidth - labelWidth, 10, true);
+        pdf.text(spec.label, MARGIN, y, { size: 9, color: GREY });
+        valueLines.forEach((line, index) => pdf.text(line, MARGIN + labelWidth, y + index * 13, { size: 10, bold: true }));
+        y += Math.max(1, valueLines.length) * 13 + 4;
+    });
+    const specsBottom = y;
+    if (sheet.members.length > 0) {
+        const teamX = MARGIN + CONTENT_WIDTH / 2 + 12;
+        y = specsTop;
+        pdf.text('TEAM', teamX, y, { size: 9, bold: true, color: GREY });
+        y += 15;
+        sheet.members.forEach(m => {
+            pdf.text(m.name, teamX, y, { size: 10, bold: true });
+            if (m.title) rightText(m.title, MARGIN + CONTENT_WIDTH, y, { size: 9, color: GREY });
+            y += 15;
+        });
+    }
+    y = Math.max(y, specsBottom);
+
+    // Components
+    heading('Components');
+    const tableHeader = () => {
+        let x = MARGIN;
+        COLUMNS.forEach(column => {
+            const options = { size: 8, bold: true, color: GREY };
+            if (column.right) rightText(column.label.toUpperCase(), x + column.width, y, options);
+            else pdf.text(column.label.toUpperCase(), x, y, options);
+            x += column.width;
+        });
+        y += 6;
+        pdf.line(MARGIN, y, MARGIN + CONTENT_WIDTH, y, { color: RULE });
+        y += 12;
+    };
+    tableHeader();
+
+    sheet.groups.forEach(group => {
+        if (ensureSpace(32)) tableHeader();
+        pdf.rect(MARGIN, y - 10, CONTENT_WIDTH, 14, { fill: [0.95, 0.95, 0.95] });
+        pdf.text(group.category.toUpperCase(), MARGIN + 4, y, { size: 8, bold: true, color: ACCENT });
+        y += 16;
+        group.rows.forEach(row => {
+            const nameLines = wrapText(row.name, COLUMNS[0].width - 8, 9);
+            const supplierLines = wrapText(row.supplier, COLUMNS[1].width - 8, 9);
+            const height = Math.max(nameLines.length, supplierLines.length, 1) * 11 + 5;
+            if (ensureSpace(height)) tableHeader();
+            nameLines.forEach((line, index) => pdf.text(line, MARGIN, y + index * 11, { size: 9 }));
+            supplierLines.forEach((line, index) => pdf.text(line, MARGIN + COLUMNS[0].width, y + index * 11, { size: 9, color: GREY }));
+            let right = MARGIN + COLUMNS[0].width + COLUMNS[1].width;
+            [String(row.quantity ?? ''), row.unitPrice, rupees(row.total)].forEach((value, index) => {
+                right += COLUMNS[index + 2].width;
+                rightText(value, right, y, { size: 9 });
+            });
+            y += height;
+        });
+    });
+
+    ensureSpace(totalRowsOf(sheet).length * 15 + 10);
+    pdf.line(MARGIN, y - 6, MARGIN + CONTENT_WIDTH, y - 6, { color: RULE });
+    y += 8;
+    totalRowsOf(sheet).forEach(([label, amount]) => {
+        const bold = label === 'Total';
+        rightText(label, MARGIN + CONTENT_WIDTH - COLUMNS[4].width - 12, y, { size: bold ? 11 : 9, bold, color: bold ? [0, 0, 0] : GREY });
+        rightText(rupees(amount), MARGIN + CONTENT_WIDTH, y, { size: bold ? 11 : 9, bold });
+        y += bold ? 17 : 14;
+    });
+    if (sheet.unconverted.length > 0) {
+        y += 4;
+        pdf.text(`No exchange rate for ${sheet.unconverted.join(', ')}; those prices aren't in the totals.`, MARGIN, y, { size: 8, color: GREY });
+    }
+
+    return new Blob([pdf.toBytes()], { type: 'application/pdf' });
+};
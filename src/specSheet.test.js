@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { specSheetOf, totalRowsOf, specSheetToMarkdown, specSheetToPdf, specSheetFilename } from './specSheet';
+import { defaultSiteContent } from './content';
+
+const build = {
+    id: 'robowarz',
+    name: 'RoboWarz 2025',
+    gstRate: 18,
+    photoUrl: '/images/sd1.png',
+    components: [
+        { id: 'motor', name: 'Drive motor | 2207', category: 'drive', supplier: 'RoboKits', quantity: '2', price: '25', currency: 'USD', mass: '30' },
+        { id: 'disc', name: 'S7 disc', category: 'weapon', quantity: '1', price: '1200', mass: '250' },
+        { id: 'esc', name: 'ESC', category: 'electronics', quantity: '1', price: '40', currency: 'CNY', mass: '10' },
+    ],
+};
+
+const sheet = specSheetOf({ build, content: defaultSiteContent, rates: { USD: 80 }, generatedOn: '2026-10-19' });
+
+describe('specSheetOf', () => {
+    it('groups the parts and totals them in rupees, leaving out prices without a rate', () => {
+        expect(sheet.groups.map(g => g.category)).toEqual(['drive', 'weapon', 'electronics']);
+        expect(sheet.groups[0].rows[0]).toMatchObject({ unitPrice: '$25.00', total: 4000 });
+        expect(sheet.groups[2].rows[0].total).toBeNull();
+        expect(sheet.unconverted).toEqual(['CNY']);
+        expect(totalRowsOf(sheet)).toEqual([['Parts', 5200], ['GST (18%)', 936], ['Total', 6136]]);
+    });
+
+    it('adds the weight to the homepage specs', () => {
+        expect(sheet.specs.at(-2)).toEqual({ label: 'Weight', value: '320 g of 1.360 kg' });
+        expect(sheet.members.map(m => m.name)).toContain('Keshav Krishnan');
+        expect(sheet.photoUrl).toBe('/images/sd1.png');
+    });
+});
+
+describe('exports', () => {
+    it('writes a Markdown summary with escaped table cells', () => {
+        const markdown = specSheetToMarkdown(sheet);
+        expect(markdown).toMatch(/^# SIDEWINDER — RoboWarz 2025/);
+        expect(markdown).toContain('| Drive motor \\| 2207 | RoboKits | 2 | $25.00 | ₹4000.00 |');
+        expect(markdown).toContain('| **Total** | | | | **₹6136.00** |');
+        expect(markdown).toContain('No exchange rate for CNY');
+    });
+
+    it('leaves inline photos out of the Markdown', () => {
+        expect(specSheetToMarkdown({ ...sheet, photoUrl: 'data:image/jpeg;base64,AAAA' })).not.toContain('![');
+    });
+
+    it('builds a PDF without a photo', async () => {
+        const pdf = specSheetToPdf(sheet, null);
+        expect(pdf.type).toBe('application/pdf');
+        const text = await pdf.text();
+        expect(text).toContain('(RoboWarz 2025) Tj');
+        expect(text).toContain('(Rs 6136.00) Tj');
+        expect(specSheetFilename(sheet, 'pdf')).toBe('sidewinder-robowarz-2025-spec-sheet.pdf');
+    });
+});
@@ -0,0 +1,44 @@
+// --- Offline Sync Status ---
+// Firestore keeps a local copy of everything we've read and queues writes made
+// while offline, but a write's promise only settles once the server has it. Writes
+// made through `queueWrite` are counted until then, which drives the indicator,
+// and resolve straight away when offline so forms don't hang on a dead connection.
+
+export const SYNC_STATUSES = {
+    online: { label: 'Online', tone: 'bg-green-500' },
+    syncing: { label: 'Syncing…', tone: 'bg-amber-400' },
+    offline: { label: 'Offline: changes are saved on this device', tone: 'bg-neutral-500' },
+};
+
+let pendingWrites = 0;
+const listeners = new Set();
+
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+export const syncStatus = () => isOffline() ? 'offline' : pendingWrites > 0 ? 'syncing' : 'online';
+
+const notify = () => listeners.forEach(listener => listener(syncStatus()));
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('online', notify);
+    window.addEventListener('offline', notify);
+}
+
+export const subscribeToSyncStatus = (listener) => {
+    listeners.add(listener);
+    listener(syncStatus());
+    return () => listeners.delete(listener);
+};
+
+export const queueWrite = (write) => {
+    pendingWrites++;
+    notify();
+    const settled = write.finally(() => {
+        pendingWrites--;
+        notify();
+    });
+    if (!isOffline()) return settled;
+    // Nobody is awaiting the real promise any more, so failures are only logged.
+    settled.catch(err => console.error("Queued write failed:", err));
+    return Promise.resolve();
+};
@@ -0,0 +1,14 @@
+// --- Access Roles ---
+// Keep in sync with the role checks in firestore.rules.
+export const ROLES = ['owner', 'editor', 'viewer'];
+
+export const canEditBuilds = (role) => role === 'owner' || role === 'editor';
+export const canDeleteFromBuilds = (role) => role === 'owner';
+export const canManageTeam = (role) => role === 'owner';
+export const canEditContent = (role) => role === 'owner';
+
+// Members are keyed by lower-cased email so owners can add someone before their first sign-in.
+export const memberKeyFor = (user) => {
+    if (!user || user.isAnonymous || !user.emailVerified || !user.email) return null;
+    return user.email.toLowerCase();
+};
@@ -0,0 +1,34 @@
+import { Link, useLocation } from 'react-router';
+
+export const PageHeader = ({ title, subtitle }) => (
+    <div className="text-center mb-12">
+        <h2 className="text-3xl font-extrabold text-white sm:text-4xl md:text-5xl uppercase tracking-wider">{title}</h2>
+        <p className="mt-3 max-w-2xl mx-auto text-md md:text-xl text-gray-400">{subtitle}</p>
+        <div className="mt-4 w-24 h-1 bg-orange-600 mx-auto rounded"></div>
+    </div>
+);
+
+export const LoadingSpinner = () => (
+    <div className="flex justify-center items-center p-20">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-b-4 border-orange-500"></div>
+    </div>
+);
+
+export const ReadOnlyBanner = ({ user, role }) => {
+    const location = useLocation();
+    const isSignedIn = user && !user.isAnonymous;
+    return (
+        <div className="bg-neutral-800 border border-neutral-700 rounded-lg px-4 py-3 mb-8 text-sm text-gray-300 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+            <p>
+                {role === 'viewer'
+                    ? "You're on the crew as a viewer. Ask a team owner for editor access to change builds."
+                    : isSignedIn
+                    ? "You're viewing the team's builds read-only. Ask a team owner to add your email to the crew."
+                    : user?.isAnonymous
+                        ? "You're viewing the team's builds read-only. Sign in to move the builds saved on this device into the team workspace."
+                        : "You're viewing the team's builds read-only."}
+            </p>
+            {!isSignedIn && <Link to="/login" state={{ from: location.pathname }} className="text-orange-400 hover:text-orange-300 font-medium">Crew sign in</Link>}
+        </div>
+    );
+};
@@ -1,7 +1,100 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { gzipSync } from 'node:zlib'
+
+// Emulator tests talk to `firebase emulators:exec` with a throwaway demo project.
+const emulatorFirebaseConfig = JSON.stringify({
+  apiKey: 'demo-key',
+  authDomain: 'demo-sidewinder.firebaseapp.com',
+  projectId: 'demo-sidewinder',
+  storageBucket: 'demo-sidewinder.appspot.com',
+  appId: 'demo-app',
+})
+
+// Gzipped size limits, in kB. `initial` is everything a first visit downloads
+// before the homepage renders; `chunk` caps any one lazily loaded chunk.
+const BUNDLE_BUDGET_KB = { initial: 100, chunk: 160 }
+
+// Fails the build when a change pushes the bundle past BUNDLE_BUDGET_KB, so
+// Firebase or a heavy page can't creep back into the first load unnoticed.
+const bundleBudget = (budget) => ({
+  name: 'bundle-budget',
+  apply: 'build',
+  generateBundle(_options, bundle) {
+    const chunks = Object.values(bundle).filter(file => file.type === 'chunk')
+    const gzipKb = (chunk) => gzipSync(chunk.code).length / 1024
+    const entry = chunks.find(chunk => chunk.isEntry)
+    const initial = [entry, ...entry.imports.map(name => bundle[name])]
+    const initialKb = initial.reduce((sum, chunk) => sum + gzipKb(chunk), 0)
+    const problems = []
+    if (initialKb > budget.initial) {
+      problems.push(`initial load is ${initialKb.toFixed(1)} kB (${initial.map(chunk => chunk.fileName).join(', ')}), over the ${budget.initial} kB budget`)
+    }
+    chunks.filter(chunk => gzipKb(chunk) > budget.chunk).forEach(chunk => {
+      problems.push(`${chunk.fileName} is ${gzipKb(chunk).toFixed(1)} kB, over the ${budget.chunk} kB per-chunk budget`)
+    })
+    if (problems.length > 0) {
+      this.error(`Bundle budget exceeded (gzipped):\n  ${problems.join('\n  ')}`)
+    }
+  },
+})
+
+// The service worker precaches the whole app, but index.html only links the
+// entry chunk. This writes every built asset, lazy pages and the firebase chunk
+// included, to precache-manifest.js, which public/sw.js loads with importScripts.
+// The file changes with every deploy, so browsers reinstall the worker too.
+const precacheManifest = () => ({
+  name: 'precache-manifest',
+  apply: 'build',
+  generateBundle(_options, bundle) {
+    const assets = Object.keys(bundle).filter(fileName => fileName.startsWith('assets/')).sort().map(fileName => `/${fileName}`)
+    this.emitFile({
+      type: 'asset',
+      fileName: 'precache-manifest.js',
+      source: `self.PRECACHE_ASSETS = ${JSON.stringify(assets, null, 2)};\n`,
+    })
+  },
+})
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), bundleBudget(BUNDLE_BUDGET_KB), precacheManifest()],
+  build: {
+    // Firebase is only needed once someone signs in or opens a crew page, so it
+    // gets one chunk of its own that the shell never imports directly.
+    chunkSizeWarningLimit: 650,
+    rollupOptions: {
+      output: {
+        manualChunks(id) {
+          if (/node_modules\/(@firebase|firebase)\//.test(id)) return 'firebase'
+        },
+      },
+    },
+  },
+  test: {
+    projects: [
+      {
+        // Logic and pages, run against the in-memory local backend.
+        extends: true,
+        test: {
+          name: 'unit',
+          environment: 'jsdom',
+          include: ['src/**/*.test.{js,jsx}'],
+          env: { VITE_DATA_BACKEND: 'local' },
+        },
+      },
+      {
+        // Needs the Auth and Firestore emulators; see `npm run test:emulators`.
+        extends: true,
+        test: {
+          name: 'emulators',
+          environment: 'node',
+          include: ['emulator-tests/**/*.test.js'],
+          env: { VITE_FIREBASE_CONFIG: emulatorFirebaseConfig, VITE_FIREBASE_EMULATORS: 'true' },
+          fileParallelism: false,
+          testTimeout: 20000,
+        },
+      },
+    ],
+  },
 })